@@ -0,0 +1,187 @@
+// ---------------------------------------------------------------------------
+// API keys, scopes and rate limits (auth.json)
+//
+// Without auth.json the control API stays open, as before. With it, every
+// control route needs an API key with the route's scope, and viewers need a
+// viewer token or an allowed origin:
+//
+//   {
+//     "keys": [
+//       { "name": "tts-bot", "key": "…", "scopes": ["speak"], "rateLimit": 120 },
+//       { "name": "panel",   "key": "…", "scopes": ["expression", "chat"] },
+//       { "name": "owner",   "key": "…", "scopes": ["admin"] }
+//     ],
+//     "viewerTokens":   ["…"],
+//     "allowedOrigins": ["http://localhost:3000"],
+//     "rateLimit": 60
+//   }
+//
+//   keys            name (for logs), key (16+ characters), scopes, optional rateLimit
+//   scopes          speak | expression (also eyes, motion, effects, volume, camera) | chat (also listen) | record | admin (allows everything)
+//   viewerTokens    tokens a viewer may pass as ?token=… on the WebSocket URL (or as
+//                   X-Viewer-Token / ?token= to the routes the display reads)
+//   allowedOrigins  browser origins whose WebSocket connections need no token
+//   rateLimit       requests per minute per key, unless the key sets its own
+//
+// Viewers are only unrestricted when neither viewerTokens nor allowedOrigins
+// is given. Any valid API key (in a header) also works as a viewer credential;
+// a page that only has the key in the browser trades it for a one-time viewer
+// ticket (POST /api/viewer-ticket), since the key must not go into the URL.
+// ---------------------------------------------------------------------------
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SCOPES = ['speak', 'expression', 'chat', 'record', 'admin'];
+const KEY_MIN_LENGTH = 16;
+const DEFAULT_RATE_LIMIT = 60; // requests per minute
+const VIEWER_TICKET_TTL_MS = 60_000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === 'string' && v !== '');
+}
+
+function digest(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Load auth.json.
+ * @param {string} file
+ * @returns {null|{ keys: Array<{ name: string, key: string, scopes: string[], rateLimit: number }>,
+ *   viewerTokens: string[], allowedOrigins: string[] }}  null when the file doesn't exist.
+ * @throws {Error} If the file is unreadable or invalid; the message lists every problem.
+ */
+function loadAuthConfig(file) {
+  if (!fs.existsSync(file)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (!isPlainObject(config)) throw new Error(`${file}: must be a JSON object`);
+
+  const errors = [];
+  const defaultLimit = config.rateLimit != null ? config.rateLimit : DEFAULT_RATE_LIMIT;
+  if (!(typeof defaultLimit === 'number' && defaultLimit > 0)) errors.push('rateLimit must be a positive number');
+  if (config.viewerTokens != null && !isStringList(config.viewerTokens)) errors.push('viewerTokens must be an array of strings');
+  if (config.allowedOrigins != null && !isStringList(config.allowedOrigins)) errors.push('allowedOrigins must be an array of strings');
+
+  const keys = [];
+  if (!Array.isArray(config.keys)) {
+    errors.push('keys must be an array');
+  } else {
+    const names = new Set();
+    const secrets = new Set();
+    config.keys.forEach((entry, i) => {
+      const where = `keys[${i}]`;
+      if (!isPlainObject(entry)) {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (typeof entry.name !== 'string' || entry.name === '') errors.push(`${where}.name must be a non-empty string`);
+      else if (names.has(entry.name)) errors.push(`${where}.name "${entry.name}" is used twice`);
+      if (typeof entry.key !== 'string' || entry.key.length < KEY_MIN_LENGTH) {
+        errors.push(`${where}.key must be a string of at least ${KEY_MIN_LENGTH} characters`);
+      } else if (secrets.has(entry.key)) {
+        errors.push(`${where}.key is used twice`);
+      }
+      if (!isStringList(entry.scopes) || entry.scopes.length === 0) {
+        errors.push(`${where}.scopes must be a non-empty array`);
+      } else {
+        for (const scope of entry.scopes) {
+          if (!SCOPES.includes(scope)) errors.push(`${where}.scopes: unknown scope "${scope}" (use ${SCOPES.join(', ')})`);
+        }
+      }
+      const rateLimit = entry.rateLimit != null ? entry.rateLimit : defaultLimit;
+      if (!(typeof rateLimit === 'number' && rateLimit > 0)) errors.push(`${where}.rateLimit must be a positive number`);
+      names.add(entry.name);
+      secrets.add(entry.key);
+      keys.push({ name: entry.name, key: entry.key, scopes: entry.scopes, rateLimit });
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return {
+    keys,
+    viewerTokens: config.viewerTokens || [],
+    allowedOrigins: config.allowedOrigins || [],
+  };
+}
+
+/**
+ * Build the checks for a loaded config.
+ * @param {ReturnType<typeof loadAuthConfig>} config
+ */
+function createAuth(config) {
+  // Secrets are looked up by digest so comparisons don't depend on their content.
+  const byDigest = new Map(config.keys.map((entry) => [digest(entry.key), entry]));
+  const viewerTokens = new Set(config.viewerTokens.map(digest));
+  const buckets = new Map(); // key name -> { tokens, updatedAt }
+  const tickets = new Map(); // ticket digest -> expiry (ms)
+
+  /** The key entry for a presented secret, or null. */
+  function authenticate(secret) {
+    if (typeof secret !== 'string' || secret === '') return null;
+    return byDigest.get(digest(secret)) || null;
+  }
+
+  function hasScope(entry, scope) {
+    return entry.scopes.includes('admin') || entry.scopes.includes(scope);
+  }
+
+  /**
+   * Take one request from the key's bucket (refills continuously up to rateLimit per minute).
+   * @returns {{ ok: boolean, retryAfter: number }}  retryAfter in whole seconds when not ok.
+   */
+  function consume(entry) {
+    const now = Date.now();
+    const bucket = buckets.get(entry.name) || { tokens: entry.rateLimit, updatedAt: now };
+    bucket.tokens = Math.min(entry.rateLimit, bucket.tokens + (now - bucket.updatedAt) * entry.rateLimit / 60_000);
+    bucket.updatedAt = now;
+    buckets.set(entry.name, bucket);
+    if (bucket.tokens < 1) {
+      return { ok: false, retryAfter: Math.ceil((1 - bucket.tokens) * 60 / entry.rateLimit) };
+    }
+    bucket.tokens -= 1;
+    return { ok: true, retryAfter: 0 };
+  }
+
+  /** A viewer token that works once, within VIEWER_TICKET_TTL_MS. */
+  function issueViewerTicket() {
+    const now = Date.now();
+    for (const [ticket, expires] of tickets) {
+      if (expires <= now) tickets.delete(ticket);
+    }
+    const ticket = crypto.randomBytes(24).toString('base64url');
+    tickets.set(digest(ticket), now + VIEWER_TICKET_TTL_MS);
+    return ticket;
+  }
+
+  /** Use up a viewer ticket; false if it is unknown, used or expired. */
+  function redeemTicket(token) {
+    const expires = tickets.get(digest(token));
+    if (expires === undefined) return false;
+    tickets.delete(digest(token));
+    return expires > Date.now();
+  }
+
+  /** May a viewer connect with this token / key from this origin? */
+  function allowViewer({ token, key, origin }) {
+    if (viewerTokens.size === 0 && config.allowedOrigins.length === 0) return true;
+    if (token && (viewerTokens.has(digest(token)) || redeemTicket(token))) return true;
+    if (authenticate(key)) return true;
+    return Boolean(origin) && config.allowedOrigins.includes(origin);
+  }
+
+  return { authenticate, hasScope, consume, issueViewerTicket, allowViewer };
+}
+
+module.exports = { SCOPES, loadAuthConfig, createAuth };
@@ -0,0 +1,131 @@
+// ---------------------------------------------------------------------------
+// Camera presets (cameras.json)
+//
+// Named views of each room, saved with PUT /api/camera/presets/:name and
+// applied with POST /api/camera { preset }:
+//
+//   {
+//     "default": { "face": { "zoom": 3.2, "x": 0.5, "y": 0.2 } },
+//     "alice":   { "bust": { "zoom": 1.6, "x": 0.48, "y": 0.4 } }
+//   }
+//
+//   zoom  1 fits the whole picture in the window, 2 shows half of it, …
+//         (0.1–8, as pan/zoom)
+//   x, y  the point of the picture (the layer images as fitted to the window)
+//         at the middle of the view, as fractions of its width and height, so
+//         a view frames the character the same at any window size
+//
+// Every room starts with DEFAULT_CAMERA_PRESETS; saving one of those names
+// replaces it for that room, and deleting it brings the default back.
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 8;
+const PRESET_NAME_RE = /^[A-Za-z0-9_-]{1,40}$/;
+
+const DEFAULT_CAMERA_PRESETS = {
+  full: { zoom: 1, x: 0.5, y: 0.5 },
+  bust: { zoom: 1.8, x: 0.5, y: 0.38 },
+  face: { zoom: 3, x: 0.5, y: 0.24 },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a view.
+ * @param {object} camera  { zoom, x, y }
+ * @returns {string[]}  Human-readable problems; empty when valid.
+ */
+function validateCamera(camera) {
+  if (!isPlainObject(camera)) return ['camera must be an object with zoom, x and y'];
+  const errors = [];
+  if (!(Number.isFinite(camera.zoom) && camera.zoom >= MIN_ZOOM && camera.zoom <= MAX_ZOOM)) {
+    errors.push(`zoom must be a number from ${MIN_ZOOM} to ${MAX_ZOOM}`);
+  }
+  for (const key of ['x', 'y']) {
+    if (!(Number.isFinite(camera[key]) && camera[key] >= 0 && camera[key] <= 1)) {
+      errors.push(`${key} must be a number from 0 to 1`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load (or start) the presets file.
+ * @param {{ file: string }} options
+ * @throws {Error} If the file exists but is unreadable or invalid.
+ */
+function createCameraPresets({ file }) {
+  let saved = {}; // room -> { name: camera }
+  if (fs.existsSync(file)) {
+    try {
+      saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+    if (!isPlainObject(saved)) throw new Error(`${file}: must be a JSON object of rooms`);
+    const errors = [];
+    for (const [room, presets] of Object.entries(saved)) {
+      if (!isPlainObject(presets)) {
+        errors.push(`${room} must be an object of presets`);
+        continue;
+      }
+      for (const [name, camera] of Object.entries(presets)) {
+        if (!PRESET_NAME_RE.test(name)) errors.push(`${room}.${name}: preset name must match ${PRESET_NAME_RE}`);
+        for (const problem of validateCamera(camera)) errors.push(`${room}.${name}: ${problem}`);
+      }
+    }
+    if (errors.length > 0) throw new Error(`${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  // Writes go one after another, each through a temporary file.
+  let writing = Promise.resolve();
+  function persist() {
+    const data = JSON.stringify(saved, null, 2);
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.promises.writeFile(`${file}.tmp`, data);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  function savedFor(room) {
+    return Object.hasOwn(saved, room) ? saved[room] : {};
+  }
+
+  /** Every preset of a room, defaults included. */
+  function list(room) {
+    return { ...DEFAULT_CAMERA_PRESETS, ...savedFor(room) };
+  }
+
+  function get(room, name) {
+    const presets = list(room);
+    return Object.hasOwn(presets, name) ? presets[name] : null;
+  }
+
+  /**
+   * Save a preset (a validated camera).
+   * @returns {Promise<void>}  Resolves once it is on disk.
+   */
+  function save(room, name, { zoom, x, y }) {
+    if (!PRESET_NAME_RE.test(name)) throw new Error(`invalid preset name ${name}`);
+    saved[room] = { ...savedFor(room), [name]: { zoom, x, y } };
+    return persist();
+  }
+
+  /** @returns {Promise<boolean>}  false when the room has no saved preset of that name. */
+  async function remove(room, name) {
+    if (!Object.hasOwn(savedFor(room), name)) return false;
+    delete saved[room][name];
+    if (Object.keys(saved[room]).length === 0) delete saved[room];
+    await persist();
+    return true;
+  }
+
+  return { list, get, save, remove };
+}
+
+module.exports = { DEFAULT_CAMERA_PRESETS, PRESET_NAME_RE, validateCamera, createCameraPresets };
@@ -0,0 +1,460 @@
+// ---------------------------------------------------------------------------
+// Character manifest (images/character.json)
+//
+// Describes the layer stack instead of hard-coding it in index.html:
+//
+//   layers       [{ id, z, frames: { name: file }, default }]
+//                Each layer shows at most one frame at a time (null = hidden).
+//   blink        { layer, frames: [{ frame, ms }], intervalMs: [min, max],
+//                  distribution, doubleChance, doubleGapMs, closed, wink,
+//                  whileSpeaking, pauseMs }
+//                distribution   how intervals spread over [min, max], see
+//                               BLINK_DISTRIBUTIONS
+//                doubleChance   0–1, how often a blink is followed by another
+//                closed / wink  frames held by POST /api/eyes
+//                whileSpeaking  free | suppress (no blinks during a clip)
+//                               | boundaries (blink only at pauses of pauseMs
+//                               and at the end of a clip)
+//   mouth        { layer, shapes: { closed|open|half|a|i|u|e|o: frame|null } }
+//                Shapes without a frame fall back to "open".
+//   expressions  { name: { label, layers: { layerId: frame|null },
+//                          blink: { …overrides }|null,
+//                          motions: { motionName: { …overrides }|null } } }
+//                Overrides of each layer's resting frame, and of the blink
+//                and motion parameters while the expression shows (null =
+//                no blinking / motion off). A blink override whose frames
+//                have no image turns blinking off for that expression.
+//   defaultExpression
+//   motions      { name: { trigger, property, amplitude, period|duration,
+//                          pivot, easing, repeat } }
+//                trigger   idle (loops) | speaking (loops while a clip plays)
+//                          | expression (once per expression change)
+//                          | manual (only via POST /api/motion)
+//                property  translateX|translateY (% of the character box),
+//                          rotate (deg), scale|scaleX|scaleY (added to 1)
+//                pivot     [x, y] as fractions of the character box
+//                easing    shape of one cycle, see MOTION_EASINGS
+//                Any motion can be played once through POST /api/motion.
+//                A manifest without motions gets DEFAULT_MOTIONS.
+//   tags         { syntax, map }  Optional; expression tags in chat replies
+//                (see tags.js).
+//   effects      { default, presets, bursts, onExpression }  Optional;
+//                particle presets and bursts (see effects.js).
+//
+// A directory without character.json gets DEFAULT_CHARACTER, which matches
+// the original six-image layout.
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+const { VISEME_SHAPES } = require('./lipsync');
+const { validateTagConfig } = require('./tags');
+const { DEFAULT_EFFECTS, validateEffects, resolveEffects } = require('./effects');
+
+const CHARACTER_FILE = 'character.json';
+const MOUTH_SHAPES = [...VISEME_SHAPES, 'open'];
+const NAME_RE = /^[A-Za-z0-9_-]+$/;
+
+const BLINK_DISTRIBUTIONS = ['uniform', 'normal', 'exponential'];
+const BLINK_WHILE_SPEAKING = ['free', 'suppress', 'boundaries'];
+
+const MOTION_TRIGGERS   = ['idle', 'speaking', 'expression', 'manual'];
+const MOTION_PROPERTIES = ['translateX', 'translateY', 'rotate', 'scale', 'scaleX', 'scaleY'];
+// sine 0→1→0 smoothly, linear 0→1→0 at constant speed, wave 0→1→-1→0,
+// bounce 0→1→0 with a hard landing, ease-out quick to 1 then a slow return.
+const MOTION_EASINGS    = ['sine', 'linear', 'wave', 'bounce', 'ease-out'];
+
+// Matches the breathing the page always had, plus a little life.
+const DEFAULT_MOTIONS = {
+  breath: { trigger: 'idle', property: 'scaleY', amplitude: 0.012, period: 4000, pivot: [0.5, 1], easing: 'sine' },
+  sway:   { trigger: 'idle', property: 'rotate', amplitude: 0.5, period: 9000, pivot: [0.5, 1], easing: 'wave' },
+  bounce: { trigger: 'speaking', property: 'translateY', amplitude: -0.4, period: 360, easing: 'bounce' },
+  tilt:   { trigger: 'expression', property: 'rotate', amplitude: 1.5, duration: 800, pivot: [0.5, 1], easing: 'ease-out' },
+  nod:    { trigger: 'manual', property: 'translateY', amplitude: 1, duration: 350, repeat: 2, easing: 'sine' },
+  jump:   { trigger: 'manual', property: 'translateY', amplitude: -6, duration: 500, easing: 'bounce' },
+};
+
+const DEFAULT_CHARACTER = {
+  name: 'PNG Assistant',
+  background: 'background.png',
+  layers: [
+    {
+      id: 'eyes',
+      z: 1,
+      frames: { normal: 'normal.png', half: 'half.png', closed: 'closed.png', wink: 'wink.png' },
+      default: 'normal',
+    },
+    { id: 'smile', z: 2, frames: { on: 'smile.png', closed: 'smile_closed.png' }, default: null },
+    {
+      id: 'mouth',
+      z: 3,
+      frames: {
+        closed: 'mouth.png',
+        half: 'mouth_half.png',
+        a: 'mouth_a.png',
+        i: 'mouth_i.png',
+        u: 'mouth_u.png',
+        e: 'mouth_e.png',
+        o: 'mouth_o.png',
+      },
+      default: 'closed',
+    },
+  ],
+  blink: {
+    layer: 'eyes',
+    frames: [
+      { frame: 'half', ms: 80 },
+      { frame: 'closed', ms: 80 },
+      { frame: 'half', ms: 50 },
+    ],
+    intervalMs: [3000, 7000],
+    distribution: 'normal',
+    doubleChance: 0.12,
+    closed: 'closed',
+    wink: 'wink',
+    whileSpeaking: 'boundaries',
+  },
+  mouth: {
+    layer: 'mouth',
+    shapes: { closed: 'closed', open: null, half: 'half', a: 'a', i: 'i', u: 'u', e: 'e', o: 'o' },
+  },
+  expressions: {
+    normal: { label: '通常', layers: {} },
+    smile: {
+      label: '笑顔',
+      layers: { smile: 'on' },
+      // The smile overlay covers the eyes; blink its own closed eyes instead.
+      blink: { layer: 'smile', frames: [{ frame: 'closed', ms: 140 }], closed: 'closed' },
+    },
+  },
+  defaultExpression: 'normal',
+  motions: DEFAULT_MOTIONS,
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Image paths must stay inside the character's directory. */
+function isSafeFile(file) {
+  return typeof file === 'string' && file !== '' && !path.isAbsolute(file) &&
+    !file.split(/[\\/]/).includes('..');
+}
+
+/**
+ * An expression's blink settings over the manifest's. Moving to another layer
+ * leaves the frames of the old one behind.
+ */
+function mergeBlink(base, override) {
+  if (!isPlainObject(base) || override.layer == null || override.layer === base.layer) return { ...base, ...override };
+  const { frames, closed, wink, ...rest } = base;
+  return { ...rest, ...override };
+}
+
+/** Problems with one motion (or a motion with an expression's overrides applied). */
+function validateMotion(motion, where) {
+  const errors = [];
+  if (!isPlainObject(motion)) return [`${where} must be an object`];
+  if (motion.trigger != null && !MOTION_TRIGGERS.includes(motion.trigger)) {
+    errors.push(`${where}.trigger must be one of ${MOTION_TRIGGERS.join(', ')}`);
+  }
+  if (!MOTION_PROPERTIES.includes(motion.property)) {
+    errors.push(`${where}.property must be one of ${MOTION_PROPERTIES.join(', ')}`);
+  }
+  if (!Number.isFinite(motion.amplitude)) errors.push(`${where}.amplitude must be a number`);
+  for (const key of ['period', 'duration']) {
+    if (motion[key] != null && !(Number.isFinite(motion[key]) && motion[key] > 0)) {
+      errors.push(`${where}.${key} must be a positive number of ms`);
+    }
+  }
+  if (motion.period == null && motion.duration == null) errors.push(`${where} needs a period or a duration`);
+  if (motion.pivot != null && !(Array.isArray(motion.pivot) && motion.pivot.length === 2 &&
+      motion.pivot.every(Number.isFinite))) {
+    errors.push(`${where}.pivot must be [x, y]`);
+  }
+  if (motion.easing != null && !MOTION_EASINGS.includes(motion.easing)) {
+    errors.push(`${where}.easing must be one of ${MOTION_EASINGS.join(', ')}`);
+  }
+  if (motion.repeat != null && !(Number.isInteger(motion.repeat) && motion.repeat > 0)) {
+    errors.push(`${where}.repeat must be a positive integer`);
+  }
+  return errors;
+}
+
+/**
+ * Check a manifest against the schema above.
+ * @param {object} manifest
+ * @returns {string[]}  Human-readable problems; empty when valid.
+ */
+function validateCharacter(manifest) {
+  const errors = [];
+  if (!isPlainObject(manifest)) return ['manifest must be a JSON object'];
+
+  if (manifest.background != null && !isSafeFile(manifest.background)) {
+    errors.push('background must be a relative file name');
+  }
+
+  const layers = new Map();
+  if (!Array.isArray(manifest.layers) || manifest.layers.length === 0) {
+    errors.push('layers must be a non-empty array');
+  } else {
+    manifest.layers.forEach((layer, i) => {
+      const where = `layers[${i}]`;
+      if (!isPlainObject(layer)) {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (typeof layer.id !== 'string' || !NAME_RE.test(layer.id)) {
+        errors.push(`${where}.id must match ${NAME_RE}`);
+        return;
+      }
+      if (layers.has(layer.id)) errors.push(`${where}.id "${layer.id}" is duplicated`);
+      if (layer.z != null && !Number.isFinite(layer.z)) errors.push(`${where}.z must be a number`);
+      if (!isPlainObject(layer.frames) || Object.keys(layer.frames).length === 0) {
+        errors.push(`${where}.frames must be a non-empty object`);
+      } else {
+        for (const [frame, file] of Object.entries(layer.frames)) {
+          if (!isSafeFile(file)) errors.push(`${where}.frames.${frame} must be a relative file name`);
+        }
+        if (layer.default != null && !(layer.default in layer.frames)) {
+          errors.push(`${where}.default "${layer.default}" is not one of its frames`);
+        }
+      }
+      layers.set(layer.id, layer);
+    });
+  }
+
+  function checkFrame(layerId, frame, where) {
+    const layer = layers.get(layerId);
+    if (frame !== null && !(layer && isPlainObject(layer.frames) && frame in layer.frames)) {
+      errors.push(`${where} "${frame}" is not a frame of layer "${layerId}"`);
+    }
+  }
+
+  function checkBlink(blink, where) {
+    if (!isPlainObject(blink) || !layers.has(blink.layer)) {
+      errors.push(`${where}.layer must name a layer`);
+      return;
+    }
+    if (!Array.isArray(blink.frames) || blink.frames.length === 0) {
+      errors.push(`${where}.frames must be a non-empty array`);
+    } else {
+      blink.frames.forEach((step, i) => {
+        if (!isPlainObject(step) || !(Number(step.ms) > 0)) {
+          errors.push(`${where}.frames[${i}] must be { frame, ms > 0 }`);
+          return;
+        }
+        checkFrame(blink.layer, step.frame, `${where}.frames[${i}].frame`);
+      });
+    }
+    if (blink.intervalMs != null) {
+      const [min, max] = Array.isArray(blink.intervalMs) ? blink.intervalMs : [];
+      if (!(min > 0 && max >= min)) errors.push(`${where}.intervalMs must be [min, max] with 0 < min <= max`);
+    }
+    if (blink.distribution != null && !BLINK_DISTRIBUTIONS.includes(blink.distribution)) {
+      errors.push(`${where}.distribution must be one of ${BLINK_DISTRIBUTIONS.join(', ')}`);
+    }
+    if (blink.doubleChance != null && !(blink.doubleChance >= 0 && blink.doubleChance <= 1)) {
+      errors.push(`${where}.doubleChance must be between 0 and 1`);
+    }
+    for (const key of ['doubleGapMs', 'pauseMs']) {
+      if (blink[key] != null && !(Number.isFinite(blink[key]) && blink[key] > 0)) {
+        errors.push(`${where}.${key} must be a positive number of ms`);
+      }
+    }
+    for (const key of ['closed', 'wink']) {
+      if (blink[key] != null) checkFrame(blink.layer, blink[key], `${where}.${key}`);
+    }
+    if (blink.whileSpeaking != null && !BLINK_WHILE_SPEAKING.includes(blink.whileSpeaking)) {
+      errors.push(`${where}.whileSpeaking must be one of ${BLINK_WHILE_SPEAKING.join(', ')}`);
+    }
+  }
+
+  if (manifest.blink != null) checkBlink(manifest.blink, 'blink');
+
+  if (manifest.mouth != null) {
+    const { mouth } = manifest;
+    if (!isPlainObject(mouth) || !layers.has(mouth.layer)) {
+      errors.push('mouth.layer must name a layer');
+    } else if (!isPlainObject(mouth.shapes)) {
+      errors.push('mouth.shapes must be an object');
+    } else {
+      for (const [shape, frame] of Object.entries(mouth.shapes)) {
+        if (!MOUTH_SHAPES.includes(shape)) {
+          errors.push(`mouth.shapes.${shape} is not a mouth shape (${MOUTH_SHAPES.join(', ')})`);
+        } else {
+          checkFrame(mouth.layer, frame, `mouth.shapes.${shape}`);
+        }
+      }
+    }
+  }
+
+  const motions = manifest.motions != null ? manifest.motions : DEFAULT_MOTIONS;
+  if (!isPlainObject(motions)) {
+    errors.push('motions must be an object');
+  } else {
+    for (const [name, motion] of Object.entries(motions)) {
+      if (!NAME_RE.test(name)) errors.push(`motions.${name}: name must match ${NAME_RE}`);
+      errors.push(...validateMotion(motion, `motions.${name}`));
+    }
+  }
+
+  if (!isPlainObject(manifest.expressions) || Object.keys(manifest.expressions).length === 0) {
+    errors.push('expressions must be a non-empty object');
+  } else {
+    for (const [name, expr] of Object.entries(manifest.expressions)) {
+      const where = `expressions.${name}`;
+      if (!NAME_RE.test(name)) errors.push(`${where}: name must match ${NAME_RE}`);
+      if (!isPlainObject(expr) || !isPlainObject(expr.layers)) {
+        errors.push(`${where}.layers must be an object`);
+        continue;
+      }
+      if (expr.label != null && typeof expr.label !== 'string') errors.push(`${where}.label must be a string`);
+      for (const [layerId, frame] of Object.entries(expr.layers)) {
+        if (!layers.has(layerId)) errors.push(`${where}.layers.${layerId} is not a layer`);
+        else checkFrame(layerId, frame, `${where}.layers.${layerId}`);
+      }
+      if (expr.blink != null) {
+        if (!isPlainObject(expr.blink)) errors.push(`${where}.blink must be an object or null`);
+        else checkBlink(mergeBlink(manifest.blink, expr.blink), `${where}.blink`);
+      }
+      if (expr.motions != null && !isPlainObject(expr.motions)) {
+        errors.push(`${where}.motions must be an object`);
+      } else if (expr.motions != null && isPlainObject(motions)) {
+        for (const [name, override] of Object.entries(expr.motions)) {
+          if (!isPlainObject(motions[name])) errors.push(`${where}.motions.${name} is not a motion`);
+          else if (override !== null) errors.push(...validateMotion({ ...motions[name], ...override }, `${where}.motions.${name}`));
+        }
+      }
+    }
+    if (!(manifest.defaultExpression in manifest.expressions)) {
+      errors.push('defaultExpression must name an expression');
+    }
+    if (manifest.tags != null) {
+      errors.push(...validateTagConfig(manifest.tags, Object.keys(manifest.expressions)));
+    }
+    if (manifest.effects != null) {
+      errors.push(...validateEffects(manifest.effects, { expressions: Object.keys(manifest.expressions), isSafeFile }));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate <dir>/character.json, or DEFAULT_CHARACTER if absent.
+ * @param {string} dir
+ * @returns {object}
+ * @throws {Error} If the file is unreadable or invalid; the message lists every problem.
+ */
+function loadCharacter(dir) {
+  const file = path.join(dir, CHARACTER_FILE);
+  if (!fs.existsSync(file)) return DEFAULT_CHARACTER;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  const errors = validateCharacter(manifest);
+  if (errors.length > 0) {
+    throw new Error(`${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return manifest;
+}
+
+/**
+ * Prepare a manifest for the browser: file names become URLs under urlBase,
+ * and frames whose image doesn't exist (optional artwork) are dropped, along
+ * with any reference to them.
+ * @param {object} manifest  A validated manifest.
+ * @param {string} dir       Directory the file names are relative to.
+ * @param {string} urlBase   URL prefix the directory is served under.
+ */
+function resolveCharacter(manifest, dir, urlBase) {
+  const exists = (file) => fs.existsSync(path.join(dir, file));
+  const url = (file) => `${urlBase}/${file.split(path.sep).join('/')}`;
+
+  const layers = manifest.layers.map((layer, i) => {
+    const frames = {};
+    for (const [frame, file] of Object.entries(layer.frames)) {
+      if (exists(file)) frames[frame] = url(file);
+    }
+    const def = layer.default != null && layer.default in frames ? layer.default : null;
+    return { id: layer.id, z: layer.z != null ? layer.z : i + 1, frames, default: def };
+  });
+  const framesOf = Object.fromEntries(layers.map((l) => [l.id, l.frames]));
+  const keep = (layerId, frame) => (frame !== null && frame in framesOf[layerId] ? frame : null);
+
+  const resolved = {
+    name: manifest.name || '',
+    background: manifest.background && exists(manifest.background) ? url(manifest.background) : null,
+    layers,
+    blink: null,
+    mouth: null,
+    expressions: {},
+    defaultExpression: manifest.defaultExpression,
+    motions: {},
+    effects: resolveEffects(manifest.effects || DEFAULT_EFFECTS, { exists, url }),
+  };
+
+  function resolveBlink(blink) {
+    const { layer } = blink;
+    const frames = blink.frames.map((step) => ({ frame: keep(layer, step.frame), ms: Number(step.ms) }));
+    return {
+      layer,
+      frames,
+      intervalMs: blink.intervalMs || DEFAULT_CHARACTER.blink.intervalMs,
+      distribution: blink.distribution || 'uniform',
+      doubleChance: blink.doubleChance || 0,
+      doubleGapMs: blink.doubleGapMs || 120,
+      // Without its own closed frame, "eyes closed" holds the middle of the blink.
+      closed: blink.closed != null ? keep(layer, blink.closed) : frames[Math.floor(frames.length / 2)].frame,
+      wink: blink.wink != null ? keep(layer, blink.wink) : null,
+      whileSpeaking: blink.whileSpeaking || 'free',
+      pauseMs: blink.pauseMs || 300,
+    };
+  }
+
+  if (manifest.blink) resolved.blink = resolveBlink(manifest.blink);
+  if (manifest.mouth) {
+    const { layer } = manifest.mouth;
+    const shapes = {};
+    for (const [shape, frame] of Object.entries(manifest.mouth.shapes)) {
+      // A missing vowel image falls back to "open" rather than hiding the mouth.
+      if (frame === null || keep(layer, frame) !== null) shapes[shape] = frame;
+    }
+    resolved.mouth = { layer, shapes };
+  }
+  for (const [name, expr] of Object.entries(manifest.expressions)) {
+    const layersOverride = {};
+    for (const [layerId, frame] of Object.entries(expr.layers)) {
+      layersOverride[layerId] = keep(layerId, frame);
+    }
+    // Each expression gets its complete blink settings, or null for none.
+    let blink = resolved.blink;
+    if (expr.blink === null) {
+      blink = null;
+    } else if (expr.blink) {
+      const merged = mergeBlink(manifest.blink, expr.blink);
+      const missing = (expr.blink.frames || []).some((step) => step.frame !== null && keep(merged.layer, step.frame) === null);
+      blink = missing ? null : resolveBlink(merged);
+    }
+    resolved.expressions[name] = { label: expr.label || name, layers: layersOverride, blink, motions: expr.motions || {} };
+  }
+  for (const [name, motion] of Object.entries(manifest.motions || DEFAULT_MOTIONS)) {
+    resolved.motions[name] = {
+      trigger: 'idle',
+      pivot: [0.5, 1],
+      easing: 'sine',
+      repeat: 1,
+      ...motion,
+      // Loops run for `period`, one-shots for `duration`; either stands in for the other.
+      period: motion.period || motion.duration,
+      duration: motion.duration || motion.period,
+    };
+  }
+  return resolved;
+}
+
+module.exports = { DEFAULT_CHARACTER, DEFAULT_MOTIONS, validateCharacter, loadCharacter, resolveCharacter };
@@ -0,0 +1,61 @@
+// ---------------------------------------------------------------------------
+// Running local programs
+//
+// ffmpeg (lipsync.js), TTS_COMMAND (tts.js) and STT_COMMAND (stt.js) all run
+// the same way: no shell, input on stdin, output read from stdout, and a kill
+// timer so a program that hangs fails its request instead of holding it (and
+// the room's speech queue) forever.
+// ---------------------------------------------------------------------------
+const { spawn } = require('child_process');
+
+/** Split a command line into arguments, honouring '…' and "…" quoting. */
+function parseCommandLine(line) {
+  const args = [];
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(line)) !== null) {
+    args.push(m[1] !== undefined ? m[1] : m[2] !== undefined ? m[2] : m[3]);
+  }
+  return args;
+}
+
+/**
+ * Run a program to completion.
+ * @param {string} cmd
+ * @param {string[]} args
+ * @param {{ input?: Buffer|string, timeoutMs: number }} options
+ * @returns {Promise<Buffer>}  What it wrote to stdout.
+ * @throws {Error} If it can't start, is killed by the timeout, or exits with
+ *   a non-zero code (the message includes its stderr).
+ */
+function runCommand(cmd, args, { input = '', timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cmd, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const out = [];
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      proc.kill('SIGKILL');
+    }, timeoutMs);
+    proc.stdout.on('data', (d) => out.push(d));
+    proc.stderr.on('data', (d) => { stderr += d; });
+    proc.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    proc.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (timedOut) return reject(new Error(`${cmd} timed out after ${timeoutMs} ms`));
+      if (signal) return reject(new Error(`${cmd} killed by ${signal}`));
+      if (code !== 0) return reject(new Error(`${cmd} exited with code ${code}: ${stderr.trim()}`));
+      resolve(Buffer.concat(out));
+    });
+    // The program may not read stdin at all, or stop early on bad input; the
+    // close handler reports what happened.
+    proc.stdin.on('error', () => {});
+    proc.stdin.end(input);
+  });
+}
+
+module.exports = { parseCommandLine, runCommand };
@@ -0,0 +1,227 @@
+// ---------------------------------------------------------------------------
+// Particle effects: presets and bursts
+//
+// Configured per character in character.json (optional; DEFAULT_EFFECTS
+// otherwise):
+//
+//   "effects": {
+//     "default": "cyber",
+//     "presets": { "cyber": { …particles, rate, max, bloom }, … },
+//     "bursts":  { "confetti": { …particles, count }, … },
+//     "onExpression": { "smile": "confetti" }
+//   }
+//
+// A preset emits particles continuously and sets the bloom around the
+// character; a burst emits `count` particles at once on top of the preset.
+// Particle settings (all optional, see DEFAULT_PARTICLES):
+//
+//   sprite     triangle | circle | sakura | confetti | image (+ "image": file)
+//   colors     ["#rrggbb", …], one picked per particle
+//   emitter    { shape, area }  where particles appear, in fractions of the view:
+//              rect [x, y, w, h] | point [x, y] | ring [cx, cy, r] (r of the shorter side)
+//   direction  deg, 0 = up, 90 = right; spread is the full angle around it
+//   speed      [min, max] px/s; gravity and wind are px/s² down and right
+//   size       [min, max] px; lifeMs [min, max]; opacity [min, max] peak
+//   spin       max rad/s either way
+//
+// POST /api/effects switches presets and fires bursts; onExpression fires a
+// burst whenever a viewer's expression changes to the named one.
+// ---------------------------------------------------------------------------
+const SPRITES = ['triangle', 'circle', 'sakura', 'confetti', 'image'];
+const EMITTER_AREAS = { rect: 4, point: 2, ring: 3 }; // shape -> numbers in `area`
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
+// The cyan triangles the page always had.
+const DEFAULT_PARTICLES = {
+  sprite: 'triangle',
+  colors: ['#00f0ff'],
+  emitter: { shape: 'rect', area: [0.1, 0.1, 0.8, 0.85] },
+  direction: 0,
+  spread: 60,
+  speed: [9, 35],
+  gravity: 0,
+  wind: 0,
+  size: [3, 10],
+  lifeMs: [1500, 3000],
+  opacity: [0.25, 0.55],
+  spin: 0.75,
+};
+
+const DEFAULT_EFFECTS = {
+  default: 'cyber',
+  presets: {
+    cyber: { rate: 21, max: 28, bloom: 1 },
+    sakura: {
+      sprite: 'sakura',
+      colors: ['#ffc4d8', '#ffb0c8', '#fff0f5'],
+      emitter: { shape: 'rect', area: [0, -0.05, 1, 0] },
+      direction: 180,
+      spread: 30,
+      speed: [30, 60],
+      gravity: 4,
+      wind: 10,
+      size: [6, 11],
+      lifeMs: [7000, 11000],
+      opacity: [0.65, 0.9],
+      spin: 2,
+      rate: 5,
+      max: 45,
+      bloom: 0.4,
+    },
+    sparkle: {
+      sprite: 'circle',
+      colors: ['#fff6c8', '#ffe08a', '#ffffff'],
+      emitter: { shape: 'ring', area: [0.5, 0.55, 0.35] },
+      spread: 360,
+      speed: [4, 18],
+      size: [1.5, 4],
+      lifeMs: [800, 1600],
+      opacity: [0.5, 1],
+      rate: 14,
+      max: 40,
+      bloom: 1.4,
+    },
+  },
+  bursts: {
+    confetti: {
+      sprite: 'confetti',
+      colors: ['#ff5a7a', '#ffd23f', '#3ddc97', '#3fa7ff', '#b77dff', '#ffffff'],
+      emitter: { shape: 'point', area: [0.5, 0.3] },
+      spread: 110,
+      speed: [250, 550],
+      gravity: 650,
+      size: [5, 9],
+      lifeMs: [1800, 2800],
+      opacity: [0.9, 1],
+      spin: 9,
+      count: 80,
+    },
+  },
+  onExpression: { smile: 'confetti' },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isRange(value, min = 0) {
+  return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) &&
+    value[0] >= min && value[1] >= value[0];
+}
+
+/**
+ * Check a character's `effects` block.
+ * @param {object} effects
+ * @param {{ expressions: string[], isSafeFile: (file: string) => boolean }} context
+ * @returns {string[]}  Human-readable problems; empty when valid.
+ */
+function validateEffects(effects, { expressions, isSafeFile }) {
+  if (!isPlainObject(effects)) return ['effects must be an object'];
+  const errors = [];
+
+  function checkParticles(spec, where) {
+    if (spec.sprite != null && !SPRITES.includes(spec.sprite)) {
+      errors.push(`${where}.sprite must be one of ${SPRITES.join(', ')}`);
+    }
+    if (spec.sprite === 'image' && !isSafeFile(spec.image)) {
+      errors.push(`${where}.image must be a relative file name`);
+    }
+    if (spec.colors != null && !(Array.isArray(spec.colors) && spec.colors.length > 0 &&
+        spec.colors.every((c) => typeof c === 'string' && COLOR_RE.test(c)))) {
+      errors.push(`${where}.colors must be a non-empty array of "#rrggbb"`);
+    }
+    if (spec.emitter != null) {
+      const { shape, area } = isPlainObject(spec.emitter) ? spec.emitter : {};
+      if (!(shape in EMITTER_AREAS)) {
+        errors.push(`${where}.emitter.shape must be one of ${Object.keys(EMITTER_AREAS).join(', ')}`);
+      } else if (!(Array.isArray(area) && area.length === EMITTER_AREAS[shape] && area.every(Number.isFinite))) {
+        errors.push(`${where}.emitter.area must be ${EMITTER_AREAS[shape]} numbers for a ${shape}`);
+      }
+    }
+    for (const key of ['direction', 'spread', 'gravity', 'wind', 'spin']) {
+      if (spec[key] != null && !Number.isFinite(spec[key])) errors.push(`${where}.${key} must be a number`);
+    }
+    for (const key of ['speed', 'size', 'lifeMs']) {
+      if (spec[key] != null && !isRange(spec[key])) errors.push(`${where}.${key} must be [min, max] with 0 <= min <= max`);
+    }
+    if (spec.opacity != null && !(isRange(spec.opacity) && spec.opacity[1] <= 1)) {
+      errors.push(`${where}.opacity must be [min, max] between 0 and 1`);
+    }
+  }
+
+  const presets = isPlainObject(effects.presets) ? effects.presets : {};
+  if (!isPlainObject(effects.presets) || Object.keys(presets).length === 0) {
+    errors.push('effects.presets must be a non-empty object');
+  }
+  for (const [name, preset] of Object.entries(presets)) {
+    const where = `effects.presets.${name}`;
+    if (!isPlainObject(preset)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    checkParticles(preset, where);
+    if (preset.rate != null && !(Number.isFinite(preset.rate) && preset.rate >= 0)) {
+      errors.push(`${where}.rate must be a number of particles per second`);
+    }
+    if (preset.max != null && !(Number.isInteger(preset.max) && preset.max >= 0)) {
+      errors.push(`${where}.max must be a whole number`);
+    }
+    if (preset.bloom != null && !(Number.isFinite(preset.bloom) && preset.bloom >= 0)) {
+      errors.push(`${where}.bloom must be a number >= 0`);
+    }
+  }
+  if (!(effects.default in presets)) errors.push('effects.default must name a preset');
+
+  const bursts = effects.bursts != null ? effects.bursts : {};
+  if (!isPlainObject(bursts)) errors.push('effects.bursts must be an object');
+  for (const [name, burst] of Object.entries(isPlainObject(bursts) ? bursts : {})) {
+    const where = `effects.bursts.${name}`;
+    if (!isPlainObject(burst)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    checkParticles(burst, where);
+    if (!(Number.isInteger(burst.count) && burst.count > 0)) errors.push(`${where}.count must be a positive whole number`);
+  }
+
+  if (effects.onExpression != null) {
+    if (!isPlainObject(effects.onExpression)) {
+      errors.push('effects.onExpression must be an object');
+    } else {
+      for (const [expression, burst] of Object.entries(effects.onExpression)) {
+        if (!expressions.includes(expression)) errors.push(`effects.onExpression.${expression} is not an expression`);
+        if (!isPlainObject(bursts) || !(burst in bursts)) errors.push(`effects.onExpression.${expression} "${burst}" is not a burst`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Fill in every particle setting for the browser. Image sprites become URLs;
+ * one whose file doesn't exist falls back to circles.
+ * @param {object} effects  A validated `effects` block.
+ * @param {{ exists: (file: string) => boolean, url: (file: string) => string }} files
+ */
+function resolveEffects(effects, { exists, url }) {
+  function particles(spec) {
+    const resolved = { ...DEFAULT_PARTICLES, ...spec };
+    if (resolved.sprite === 'image') {
+      if (exists(resolved.image)) resolved.image = url(resolved.image);
+      else resolved.sprite = 'circle';
+    }
+    return resolved;
+  }
+
+  const presets = {};
+  for (const [name, preset] of Object.entries(effects.presets)) {
+    presets[name] = { rate: 0, max: 0, bloom: 0, ...particles(preset) };
+  }
+  const bursts = {};
+  for (const [name, burst] of Object.entries(effects.bursts || {})) {
+    bursts[name] = particles(burst);
+  }
+  return { default: effects.default, presets, bursts, onExpression: effects.onExpression || {} };
+}
+
+module.exports = { DEFAULT_EFFECTS, validateEffects, resolveEffects };
@@ -0,0 +1,76 @@
+// ---------------------------------------------------------------------------
+// Audio history
+//
+// Every received clip is kept on disk so it can be listed and replayed later:
+//
+//   <dir>/<id>.<ext>   the audio exactly as received
+//   <dir>/<id>.json    metadata, written last (a clip without it is incomplete)
+//
+// Metadata:
+//   { id, room, source, filename, mimeType, size, duration, timestamp, text, visemes }
+//   source    'upload' | 'watcher' | 'chat'
+//   duration  seconds, or null when the format couldn't be decoded
+//   text      the spoken text, when the sender provided it
+//
+// The oldest clips are deleted once either retention limit is exceeded (see
+// store.js).
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+const { createStore, ID_RE } = require('./store');
+
+const EXTENSIONS = {
+  'audio/wav': '.wav', 'audio/x-wav': '.wav', 'audio/wave': '.wav',
+  'audio/mpeg': '.mp3', 'audio/mp3': '.mp3',
+  'audio/ogg': '.ogg', 'audio/webm': '.webm',
+};
+
+function extensionFor(filename, mimeType) {
+  if (EXTENSIONS[mimeType]) return EXTENSIONS[mimeType];
+  // Uploads often arrive as application/octet-stream; trust the file name then,
+  // but only for audio extensions.
+  const ext = path.extname(filename || '').toLowerCase();
+  return Object.values(EXTENSIONS).includes(ext) ? ext : '.bin';
+}
+
+/**
+ * Open (or create) a history directory.
+ * @param {{ dir: string, maxClips: number, maxBytes: number }} options
+ */
+function createHistory({ dir, maxClips, maxBytes }) {
+  const store = createStore({ dir, name: 'history', fileKey: 'audioFile', maxEntries: maxClips, maxBytes });
+
+  /**
+   * Save a clip.
+   * @param {Buffer} buffer
+   * @param {{ id: string, room: string, source: string, filename?: string, mimeType: string,
+   *           duration?: number|null, text?: string|null, visemes?: Array|null }} meta
+   * @returns {Promise<object>}  The stored metadata.
+   */
+  async function add(buffer, meta) {
+    if (!ID_RE.test(meta.id)) throw new Error(`invalid clip id ${meta.id}`);
+    const entry = {
+      id: meta.id,
+      room: meta.room,
+      source: meta.source,
+      filename: meta.filename || '',
+      mimeType: meta.mimeType,
+      size: buffer.length,
+      duration: meta.duration != null ? Math.round(meta.duration * 1000) / 1000 : null,
+      timestamp: Date.now(),
+      text: meta.text || null,
+      visemes: meta.visemes || null,
+      audioFile: `${meta.id}${extensionFor(meta.filename, meta.mimeType)}`,
+    };
+    await fs.promises.writeFile(store.filePath(entry.audioFile), buffer);
+    return store.add(entry);
+  }
+
+  function audioPath(entry) {
+    return store.filePath(entry.audioFile);
+  }
+
+  return { add, list: store.list, get: store.get, audioPath };
+}
+
+module.exports = { createHistory };
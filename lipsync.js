@@ -0,0 +1,208 @@
+// ---------------------------------------------------------------------------
+// Lip-sync envelope
+//
+// Turns a clip into a mouth-openness track that the browser plays back against
+// AudioContext.currentTime, instead of thresholding live RMS every frame.
+//
+// Track format:
+//   { fps, duration, values }  values[i] is openness 0..1 at t = i / fps seconds
+//
+// WAV is decoded natively (see wav.js). Anything else (MP3, OGG, …) needs an
+// ffmpeg binary passed as `ffmpegPath`; without one analyzeAudio() returns null
+// and the browser falls back to its live RMS lip sync. ffmpeg is killed after
+// `ffmpegTimeoutMs` (FFMPEG_TIMEOUT_MS by default).
+//
+// Callers may also post an explicit viseme timeline with a clip; see
+// normalizeVisemeTimeline() for the accepted shapes.
+//
+// Preview from the command line:
+//   node lipsync.js voice.wav
+// ---------------------------------------------------------------------------
+const { runCommand } = require('./command');
+const { decodeWav } = require('./wav');
+
+const DEFAULT_OPTIONS = {
+  fps:        60,    // track resolution (frames per second)
+  attackMs:   30,    // time constant while the mouth opens
+  releaseMs:  90,    // time constant while the mouth closes
+  noiseFloor: 0.015, // RMS treated as silence (same as the browser's VOLUME_THRESHOLD)
+};
+
+const FFMPEG_SAMPLE_RATE = 16000; // plenty for a loudness envelope
+const FFMPEG_TIMEOUT_MS = 30_000;
+
+/**
+ * Compute a smoothed mouth-openness track from mono samples.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+ * @returns {{ fps: number, duration: number, values: number[] }}
+ */
+function computeLipSyncTrack(samples, sampleRate, options = {}) {
+  const { fps, attackMs, releaseMs, noiseFloor } = { ...DEFAULT_OPTIONS, ...options };
+  const hop = sampleRate / fps;
+  const frameCount = Math.ceil(samples.length / hop);
+
+  // Per-frame RMS
+  const rms = new Float32Array(frameCount);
+  let peak = 0;
+  for (let f = 0; f < frameCount; f++) {
+    const start = Math.floor(f * hop);
+    const end   = Math.min(samples.length, Math.floor((f + 1) * hop));
+    let sumSq = 0;
+    for (let i = start; i < end; i++) {
+      sumSq += samples[i] * samples[i];
+    }
+    rms[f] = end > start ? Math.sqrt(sumSq / (end - start)) : 0;
+    if (rms[f] > peak) peak = rms[f];
+  }
+
+  // Silent below the noise floor, fully open a bit under the clip's own peak,
+  // so quiet and loud recordings both use the whole range.
+  const ceiling = Math.max(peak * 0.7, noiseFloor * 2);
+
+  // One-pole attack/release smoothing
+  const frameMs = 1000 / fps;
+  const attack  = 1 - Math.exp(-frameMs / attackMs);
+  const release = 1 - Math.exp(-frameMs / releaseMs);
+
+  const values = new Array(frameCount);
+  let level = 0;
+  for (let f = 0; f < frameCount; f++) {
+    const target = Math.min(1, Math.max(0, (rms[f] - noiseFloor) / (ceiling - noiseFloor)));
+    level += (target - level) * (target > level ? attack : release);
+    values[f] = Math.round(level * 1000) / 1000;
+  }
+
+  return { fps, duration: samples.length / sampleRate, values };
+}
+
+/** Decode any format ffmpeg understands into mono float samples. */
+async function decodeWithFfmpeg(buffer, ffmpegPath, timeoutMs = FFMPEG_TIMEOUT_MS) {
+  const pcm = await runCommand(ffmpegPath, [
+    '-hide_banner', '-loglevel', 'error',
+    '-i', 'pipe:0',
+    '-f', 'f32le', '-ac', '1', '-ar', String(FFMPEG_SAMPLE_RATE),
+    'pipe:1',
+  ], { input: buffer, timeoutMs });
+  const usable = pcm.length - (pcm.length % 4);
+  const samples = new Float32Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + usable));
+  return { sampleRate: FFMPEG_SAMPLE_RATE, samples };
+}
+
+/**
+ * Decode a complete audio file and compute its lip-sync track.
+ * @param {Buffer} buffer
+ * @param {Partial<typeof DEFAULT_OPTIONS> & { ffmpegPath?: string, ffmpegTimeoutMs?: number }} [options]
+ * @returns {Promise<null|{ fps: number, duration: number, values: number[] }>}
+ *   null when the format can't be decoded without ffmpeg.
+ */
+async function analyzeAudio(buffer, options = {}) {
+  let decoded;
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    decoded = decodeWav(buffer);
+  } else if (options.ffmpegPath) {
+    decoded = await decodeWithFfmpeg(buffer, options.ffmpegPath, options.ffmpegTimeoutMs);
+  } else {
+    return null;
+  }
+  return computeLipSyncTrack(decoded.samples, decoded.sampleRate, options);
+}
+
+// ---------------------------------------------------------------------------
+// Explicit viseme timelines
+//
+// Normalised form: [{ start, end, shape }] in seconds from the clip start,
+// where shape is one of VISEME_SHAPES. Gaps between cues mean "closed".
+// ---------------------------------------------------------------------------
+const VISEME_SHAPES = ['closed', 'half', 'a', 'i', 'u', 'e', 'o'];
+
+// VOICEVOX mora vowels. Upper case marks a devoiced vowel, which barely moves
+// the mouth; `cl` is a geminate stop (っ) and `pau` a pause.
+const MORA_VOWEL_SHAPES = {
+  a: 'a', i: 'i', u: 'u', e: 'e', o: 'o',
+  A: 'half', I: 'half', U: 'half', E: 'half', O: 'half',
+  N: 'half', cl: 'closed', pau: 'closed',
+};
+const BILABIAL_CONSONANTS = new Set(['p', 'b', 'm', 'py', 'by', 'my']);
+
+function roundMs(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/** Convert a VOICEVOX AudioQuery (accent_phrases / moras) into viseme cues. */
+function visemesFromAudioQuery(query) {
+  const speed = Number(query.speedScale) > 0 ? Number(query.speedScale) : 1;
+  const cues = [];
+  let t = Number(query.prePhonemeLength) || 0;
+
+  function push(length, shape) {
+    const duration = (Number(length) || 0) / speed;
+    if (duration <= 0) return;
+    cues.push({ start: roundMs(t), end: roundMs(t + duration), shape });
+    t += duration;
+  }
+
+  for (const phrase of query.accent_phrases) {
+    for (const mora of phrase.moras || []) {
+      if (mora.consonant) {
+        push(mora.consonant_length, BILABIAL_CONSONANTS.has(mora.consonant) ? 'closed' : 'half');
+      }
+      push(mora.vowel_length, MORA_VOWEL_SHAPES[mora.vowel] || 'half');
+    }
+    if (phrase.pause_mora) push(phrase.pause_mora.vowel_length, 'closed');
+  }
+  return cues;
+}
+
+/**
+ * Validate and normalise a caller-supplied viseme timeline.
+ * @param {Array<{start:number, end:number, shape:string}>|{accent_phrases:Array}} input
+ *   Either cues in the normalised form or a VOICEVOX AudioQuery.
+ * @returns {Array<{start:number, end:number, shape:string}>}  Sorted by start.
+ * @throws {Error} With a message suitable for a 400 response.
+ */
+function normalizeVisemeTimeline(input) {
+  let cues;
+  if (Array.isArray(input)) {
+    cues = input.map((cue, i) => {
+      if (!cue || typeof cue !== 'object') throw new Error(`cue ${i} is not an object`);
+      const start = Number(cue.start);
+      const end   = Number(cue.end);
+      if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+        throw new Error(`cue ${i} needs numeric start < end (seconds)`);
+      }
+      if (!VISEME_SHAPES.includes(cue.shape)) {
+        throw new Error(`cue ${i} has unknown shape "${cue.shape}" (use ${VISEME_SHAPES.join(', ')})`);
+      }
+      return { start: roundMs(start), end: roundMs(end), shape: cue.shape };
+    });
+  } else if (input && typeof input === 'object' && Array.isArray(input.accent_phrases)) {
+    cues = visemesFromAudioQuery(input);
+  } else {
+    throw new Error('visemes must be an array of { start, end, shape } or a VOICEVOX audio query');
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+module.exports = { computeLipSyncTrack, analyzeAudio, normalizeVisemeTimeline, VISEME_SHAPES };
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node lipsync.js <audio file>');
+    process.exit(1);
+  }
+  analyzeAudio(require('fs').readFileSync(file), { ffmpegPath: process.env.LIPSYNC_FFMPEG || '' })
+    .then((track) => {
+      if (!track) {
+        console.error('Only WAV is supported without LIPSYNC_FFMPEG.');
+        process.exit(1);
+      }
+      console.log(JSON.stringify(track));
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
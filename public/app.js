@@ -7,52 +7,350 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// ---------------------------------------------------------------------------
+// Room
+//
+// One server can host several characters; the page joins the room named in
+// its own URL (index.html?room=alice) and every API call targets that room.
+// Without ?room= the server uses its default room.
+// ---------------------------------------------------------------------------
+const ROOM = new URLSearchParams(location.search).get('room') || '';
+
+/** Append the page's room to an API or WebSocket URL. */
+function roomUrl(url) {
+  if (!ROOM) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}room=${encodeURIComponent(ROOM)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Credentials
+//
+// When the server has an auth.json, open the page as #key=<API key> to use
+// the control panel and chat, or as ?token=<viewer token> to only watch.
+// The key is kept in sessionStorage and taken out of the address bar at once:
+// it only ever travels in headers, never in a URL that could be logged or
+// leak through Referer. The WebSocket, which can't carry headers, connects
+// with a one-time ticket instead (POST /api/viewer-ticket).
+// ---------------------------------------------------------------------------
+const API_KEY_STORAGE = 'png-assistant.key';
+
+const API_KEY = (() => {
+  const hash = new URLSearchParams(location.hash.slice(1));
+  const key = hash.get('key');
+  if (key === null) return sessionStorage.getItem(API_KEY_STORAGE) || '';
+  sessionStorage.setItem(API_KEY_STORAGE, key);
+  hash.delete('key');
+  const rest = String(hash);
+  history.replaceState(history.state, '', `${location.pathname}${location.search}${rest ? `#${rest}` : ''}`);
+  return key;
+})();
+const VIEWER_TOKEN = new URLSearchParams(location.search).get('token') || '';
+
+/** fetch() an API route of the page's room, with the page's credentials. */
+function apiFetch(url, options = {}) {
+  const headers = { ...options.headers };
+  if (API_KEY) headers.Authorization = `Bearer ${API_KEY}`;
+  else if (VIEWER_TOKEN) headers['X-Viewer-Token'] = VIEWER_TOKEN;
+  return fetch(roomUrl(url), { ...options, headers });
+}
+
+/** Credential for the WebSocket URL: the viewer token, or a ticket bought with the API key. */
+async function viewerToken() {
+  if (VIEWER_TOKEN || !API_KEY) return VIEWER_TOKEN;
+  try {
+    const res = await apiFetch('/api/viewer-ticket', { method: 'POST' });
+    if (res.ok) return (await res.json()).token || '';
+    console.warn(`Viewer ticket refused (HTTP ${res.status})`);
+  } catch (e) {
+    console.warn('Could not get a viewer ticket:', e);
+  }
+  return '';
+}
+
+// ---------------------------------------------------------------------------
+// Overlay mode
+//
+// /overlay (or ?overlay=1) is the view for OBS browser sources: transparent,
+// without the background image and panels, ignoring mouse/touch/wheel input,
+// with the camera set by ?scale=&x=&y= until the room's camera (POST
+// /api/camera) takes over. index.html sets the class before the first paint;
+// overlay.css does the rest of the styling.
+// ---------------------------------------------------------------------------
+const OVERLAY = document.documentElement.classList.contains('overlay');
+
+if (OVERLAY) {
+  // Capture on window runs before the pan/zoom handlers and stops them.
+  for (const type of ['wheel', 'mousedown', 'touchstart', 'touchmove', 'dblclick', 'contextmenu']) {
+    window.addEventListener(type, (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    }, { capture: true, passive: false });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Character layers
+//
+// The layer stack comes from GET /api/character (images/character.json, see
+// character.js). Each layer shows at most one frame; blink and lip sync
+// animate their layers, and expressions override the frame a layer rests on.
+// ---------------------------------------------------------------------------
+const characterEl  = document.getElementById('character');
+const backgroundEl = document.getElementById('background');
+
+let character = null;         // resolved manifest
+let layersById = {};          // layerId -> layer entry of the manifest
+const layerImages = {};       // layerId -> { frame: <img> }
+const layerShown  = {};       // layerId -> frame currently displayed (null = hidden)
+let currentExpression = null;
+
+/** Create one <img> per layer frame, stacked by the manifest's z-order. */
+function buildCharacter(manifest) {
+  character  = manifest;
+  layersById = Object.fromEntries(manifest.layers.map((layer) => [layer.id, layer]));
+
+  if (manifest.background && !OVERLAY) {
+    backgroundEl.src = manifest.background;
+    backgroundEl.style.display = 'block';
+  } else {
+    backgroundEl.style.display = 'none';
+  }
+
+  characterEl.replaceChildren();
+  for (const layer of manifest.layers) {
+    layerImages[layer.id] = {};
+    layerShown[layer.id]  = undefined;
+    for (const [frame, url] of Object.entries(layer.frames)) {
+      const img = document.createElement('img');
+      img.draggable = false;
+      img.alt = '';
+      img.src = url;
+      img.className = 'layer-frame';
+      img.dataset.layer = layer.id;
+      img.dataset.frame = frame;
+      img.style.zIndex = layer.z;
+      characterEl.appendChild(img);
+      layerImages[layer.id][frame] = img;
+    }
+  }
+}
+
+/**
+ * Show one frame of a layer (null hides the layer). The compositor draws
+ * whatever layerShown says; only the DOM path toggles the <img>s.
+ */
+function showLayerFrame(layerId, frame) {
+  const images = layerImages[layerId];
+  if (!images || layerShown[layerId] === frame) return;
+  layerShown[layerId] = frame;
+  if (compositor) return;
+  for (const [key, img] of Object.entries(images)) {
+    img.style.display = key === frame ? 'block' : 'none';
+  }
+}
+
+/** The frame a layer rests on under the current expression. */
+function restingFrame(layerId) {
+  const overrides = currentExpression ? character.expressions[currentExpression].layers : {};
+  if (layerId in overrides) return overrides[layerId];
+  return layersById[layerId] ? layersById[layerId].default : null;
+}
+
 // ---------------------------------------------------------------------------
 // Eye / blink state
+//
+// The blink settings come from the manifest, per expression (see
+// character.js): which layer and frames to blink, how the intervals spread,
+// double blinks, and what to do while a clip plays. The server can hold the
+// eyes closed or winking (POST /api/eyes); blinks wait until they open.
 // ---------------------------------------------------------------------------
-const eyeLayers = {
-  normal: document.getElementById('eye-normal'),
-  closed: document.getElementById('eye-closed'),
-  half:   document.getElementById('eye-half'),
-};
+let blinkingLayer = null;   // layer a blink is animating right now
+let heldEyes      = 'open'; // open | closed | wink, from the server
+let blinkTimer    = null;
+let blinkOwed     = false;  // a blink was held back while speaking
+let mouthClosedAt = null;   // when the mouth last closed during a clip (ms)
+
+/** Blink settings of the current expression, or null when it doesn't blink. */
+function blinkConfig() {
+  if (!character) return null;
+  return currentExpression ? character.expressions[currentExpression].blink : character.blink;
+}
+
+/**
+ * Show a frame of the blink layer.
+ * @param {string|null} frame  Frame name, or null for the resting frame.
+ */
+function setEyeState(frame) {
+  const config = blinkConfig();
+  if (!config) return;
+  showLayerFrame(config.layer, frame == null ? restingFrame(config.layer) : frame);
+}
+
+/** Show the held eye state (the resting frame when open, or when there is no such frame). */
+function applyHeldEyes() {
+  const config = blinkConfig();
+  if (!config || blinkingLayer) return;
+  const frame = heldEyes === 'closed' ? config.closed : heldEyes === 'wink' ? config.wink : null;
+  setEyeState(frame);
+}
+
+function setHeldEyes(state) {
+  heldEyes = state;
+  applyHeldEyes();
+}
+
+/** Milliseconds until the next blink, drawn from the configured distribution. */
+function nextBlinkDelay(config) {
+  const [min, max] = config ? config.intervalMs : [3000, 7000];
+  const clamp = (ms) => Math.min(max, Math.max(min, ms));
+  switch (config && config.distribution) {
+    case 'normal': {
+      // Box–Muller; the range spans ±3σ around its middle.
+      const z = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      return clamp((min + max) / 2 + z * (max - min) / 6);
+    }
+    case 'exponential':
+      // Mostly short gaps with the odd long one, mean a third into the range.
+      return clamp(min - Math.log(1 - Math.random()) * (max - min) / 3);
+    default:
+      return min + Math.random() * (max - min);
+  }
+}
 
-function setEyeState(state) {
-  for (const [key, el] of Object.entries(eyeLayers)) {
-    el.style.display = key === state ? 'block' : 'none';
+/** Play one blink (or a double blink) with the current settings. */
+async function playBlink() {
+  const config = blinkConfig();
+  if (!config || blinkingLayer || heldEyes !== 'open') return;
+  blinkOwed = false;
+  const times = Math.random() < config.doubleChance ? 2 : 1;
+  blinkingLayer = config.layer;
+  for (let i = 0; i < times; i++) {
+    if (i > 0) await sleep(config.doubleGapMs);
+    for (const step of config.frames) {
+      showLayerFrame(config.layer, step.frame);
+      await sleep(step.ms);
+    }
+    showLayerFrame(config.layer, restingFrame(config.layer));
   }
+  blinkingLayer = null;
+  // The expression or held state may have changed mid-blink.
+  applyHeldEyes();
 }
 
-async function blink() {
-  const frames = ['normal', 'half', 'closed', 'half', 'normal'];
-  const delays = [50, 80, 80, 50];
+/** Blink timer: blink unless speech holds it back, then schedule the next one. */
+function scheduleBlink() {
+  clearTimeout(blinkTimer);
+  blinkTimer = setTimeout(() => {
+    const config = blinkConfig();
+    if (config && playingClipId !== null && config.whileSpeaking !== 'free') blinkOwed = true;
+    else playBlink();
+    scheduleBlink();
+  }, nextBlinkDelay(blinkConfig()));
+}
 
-  for (let i = 0; i < frames.length; i++) {
-    setEyeState(frames[i]);
-    if (i < delays.length) await sleep(delays[i]);
+/**
+ * A pause in speech or the end of a clip. With whileSpeaking "boundaries"
+ * the eyes blink here; with "suppress" a blink held back during the clip
+ * happens once it is over.
+ */
+function speechBoundary(ended) {
+  const config = blinkConfig();
+  if (!config) return;
+  if (config.whileSpeaking === 'boundaries' || (ended && blinkOwed)) {
+    playBlink();
+    scheduleBlink();
   }
+}
 
-  setTimeout(blink, 3000 + Math.random() * 4000);
+/** Watch the mouth for pauses in speech (called for every lip-sync shape). */
+function trackSpeechPause(shape) {
+  if (playingClipId === null) {
+    mouthClosedAt = Infinity; // silence before the next clip's first word is no pause
+    return;
+  }
+  const config = blinkConfig();
+  if (!config || config.whileSpeaking !== 'boundaries') return;
+  if (shape !== 'closed') {
+    mouthClosedAt = null;
+  } else if (mouthClosedAt === null) {
+    mouthClosedAt = performance.now();
+  } else if (mouthClosedAt !== Infinity && performance.now() - mouthClosedAt >= config.pauseMs) {
+    mouthClosedAt = Infinity; // once per pause
+    speechBoundary(false);
+  }
 }
 
 // ---------------------------------------------------------------------------
-// Expression (smile overlay)
+// Expression
 // ---------------------------------------------------------------------------
-const smileEl = document.getElementById('smile');
+const expressionButtonsEl = document.getElementById('expression-buttons');
+
+/** Apply a named expression from the manifest to every resting layer. */
+function setExpression(name) {
+  if (!character.expressions[name]) return;
+  const changed = currentExpression !== null && name !== currentExpression;
+  currentExpression = name;
+
+  const animated = new Set();
+  if (blinkingLayer) animated.add(blinkingLayer);
+  if (character.mouth) animated.add(character.mouth.layer);
+  for (const layer of character.layers) {
+    if (!animated.has(layer.id)) showLayerFrame(layer.id, restingFrame(layer.id));
+  }
+  applyHeldEyes();
+  // The mouth's closed frame may be overridden by the expression.
+  if (character.mouth) setMouthShape(mouthShape || 'closed');
+
+  for (const btn of expressionButtonsEl.querySelectorAll('.btn-expr')) {
+    btn.classList.toggle('active', btn.dataset.expr === name);
+  }
 
-function setExpression(value) {
-  smileEl.style.display = value === 'smile' ? 'block' : 'none';
+  if (changed) {
+    for (const [motionName, motion] of Object.entries(character.motions)) {
+      if (motion.trigger === 'expression') playMotion(motionName);
+    }
+    if (character.effects.onExpression[name]) burstEffect(character.effects.onExpression[name]);
+  }
 }
 
 // ---------------------------------------------------------------------------
 // Mouth / lip sync
+//
+// The manifest's `mouth.shapes` maps lip-sync shapes onto frames of the mouth
+// layer:
+//   closed            usually mouth.png (an expression may override it)
+//   open              usually null, revealing the open mouth of the base layers
+//   half, a/i/u/e/o   optional; a shape without a frame falls back to "open"
 // ---------------------------------------------------------------------------
-const mouthEl = document.getElementById('mouth');
+const MOUTH_VOWELS = ['a', 'i', 'u', 'e', 'o'];
+
 const VOLUME_THRESHOLD = 0.015; // RMS threshold to consider "speaking"
+const HALF_OPEN_RMS    = 0.05;  // RMS below which the mouth is only half open
+const TRACK_OPEN_LEVEL = 0.3;   // openness in a server lip-sync track drawn as "open"
+const TRACK_FULL_LEVEL = 0.6;   // openness at which vowel shapes take over from "half"
+const VISEME_HOLD_MS   = 70;    // minimum time a vowel shape stays up, avoids flicker
+
+// Rough F1/F2 targets (Hz) of the Japanese vowels, used for nearest-match.
+const VOWEL_FORMANTS = {
+  a: [800, 1200],
+  i: [300, 2300],
+  u: [350, 1300],
+  e: [500, 1900],
+  o: [500, 850],
+};
 
 let audioCtx = null;
 let gainNode = null;
 let currentVolume = 1.0;
 let lipSyncRafId = null;
+let activeSources = new Set(); // AudioBufferSourceNodes of the clip being played
+let activeStream  = null;      // streamed clip state, see startAudioStream()
+let playingClipId = null;      // server id of the clip being played
+let playbackSeq   = 0;         // bumped on every new clip so stale decodes are dropped
+let mouthShape    = null;      // shape last requested by lip sync
+let expressionCueTimers = [];  // pending expression changes of the clip being played
+
+const STREAM_LEAD_TIME = 0.08; // s of headroom when (re)starting a stream, absorbs network jitter
 
 function getAudioContext() {
   if (!audioCtx || audioCtx.state === 'closed') {
@@ -66,14 +364,41 @@ function getAudioContext() {
 
 function setVolume(value) {
   currentVolume = value;
+  volumeSliderEl.value = String(value);
   if (gainNode) {
     gainNode.gain.value = value;
   }
 }
 
+/** Frame of the mouth layer that draws a shape. */
+function mouthFrame(shape) {
+  const { layer, shapes } = character.mouth;
+  if (shape === 'closed') {
+    const overrides = character.expressions[currentExpression].layers;
+    if (!(layer in overrides) && 'closed' in shapes) return shapes.closed;
+    return restingFrame(layer);
+  }
+  if (shape in shapes) return shapes[shape];
+  return 'open' in shapes ? shapes.open : null;
+}
+
+/**
+ * Show one mouth shape.
+ * @param {'closed'|'half'|'open'|'a'|'i'|'u'|'e'|'o'} shape
+ */
+function setMouthShape(shape) {
+  mouthShape = shape;
+  trackSpeechPause(shape);
+  if (!character || !character.mouth) return;
+  showLayerFrame(character.mouth.layer, mouthFrame(shape));
+}
+
 function setMouthOpen(open) {
-  // mouth.png = closed mouth diff; hiding it reveals the open-mouth state
-  mouthEl.style.display = open ? 'none' : 'block';
+  setMouthShape(open ? 'open' : 'closed');
+}
+
+function hasVowelShapes() {
+  return Boolean(character && character.mouth) && MOUTH_VOWELS.some((v) => v in character.mouth.shapes);
 }
 
 function stopLipSync() {
@@ -84,68 +409,382 @@ function stopLipSync() {
   setMouthOpen(false); // closed
 }
 
-async function playAudio(base64, mimeType) {
-  stopLipSync();
+/** Frequency (Hz) of the strongest smoothed bin between lo and hi. */
+function peakFrequency(freqData, binHz, lo, hi) {
+  const first = Math.max(1, Math.round(lo / binHz));
+  const last  = Math.min(freqData.length - 2, Math.round(hi / binHz));
+  let best = -Infinity;
+  let bestBin = first;
+  for (let i = first; i <= last; i++) {
+    // 3-bin sum smooths over individual harmonics
+    const v = freqData[i - 1] + freqData[i] + freqData[i + 1];
+    if (v > best) {
+      best = v;
+      bestBin = i;
+    }
+  }
+  return bestBin * binHz;
+}
 
-  const ctx = getAudioContext();
-  if (ctx.state === 'suspended') {
-    await ctx.resume();
+/**
+ * Build a vowel estimator for an analyser: picks F1/F2 peaks from the
+ * frequency data and returns the nearest vowel, held for VISEME_HOLD_MS.
+ * Returns "open" when no vowel artwork is available, skipping the FFT work.
+ */
+function createVowelEstimator(analyser) {
+  const freqData = new Float32Array(analyser.frequencyBinCount);
+  const binHz = analyser.context.sampleRate / analyser.fftSize;
+  let vowel = 'a';
+  let vowelSince = 0;
+
+  return function estimateVowel() {
+    if (!hasVowelShapes()) return 'open';
+
+    const now = performance.now();
+    if (now - vowelSince < VISEME_HOLD_MS) return vowel;
+
+    analyser.getFloatFrequencyData(freqData);
+    const f1 = peakFrequency(freqData, binHz, 200, 1000);
+    const f2 = peakFrequency(freqData, binHz, Math.max(700, f1 + 250), 3000);
+
+    let best = vowel;
+    let bestDist = Infinity;
+    for (const [v, [t1, t2]] of Object.entries(VOWEL_FORMANTS)) {
+      const d = Math.log(f1 / t1) ** 2 + Math.log(f2 / t2) ** 2;
+      if (d < bestDist) {
+        bestDist = d;
+        best = v;
+      }
+    }
+    if (best !== vowel) {
+      vowel = best;
+      vowelSince = now;
+    }
+    return vowel;
+  };
+}
+
+/** Drive the mouth from an analyser until stopLipSync() is called. */
+function startLipSync(analyser) {
+  const dataArray = new Float32Array(analyser.fftSize);
+  const estimateVowel = createVowelEstimator(analyser);
+
+  function lipSyncLoop() {
+    analyser.getFloatTimeDomainData(dataArray);
+
+    let sumSq = 0;
+    for (const sample of dataArray) {
+      sumSq += sample * sample;
+    }
+    const rms = Math.sqrt(sumSq / dataArray.length);
+
+    if (rms <= VOLUME_THRESHOLD) setMouthShape('closed');
+    else if (rms < HALF_OPEN_RMS) setMouthShape('half');
+    else setMouthShape(estimateVowel());
+
+    lipSyncRafId = requestAnimationFrame(lipSyncLoop);
+  }
+
+  lipSyncLoop();
+}
+
+/** Seconds into the clip that are audible right now. */
+function clipTime(startTime) {
+  // currentTime runs ahead of what is audible by the output latency.
+  return audioCtx.currentTime - (audioCtx.outputLatency || 0) - startTime;
+}
+
+/**
+ * Follow a server-computed lip-sync track ({ fps, duration, values }) in step
+ * with the audio clock, until stopLipSync() is called. The track decides how
+ * far the mouth opens; the analyser still picks the vowel.
+ * @param {{ fps: number, values: number[] }} track
+ * @param {number} startTime  AudioContext time at which the clip started.
+ * @param {AnalyserNode} analyser
+ */
+function startTrackLipSync(track, startTime, analyser) {
+  const estimateVowel = createVowelEstimator(analyser);
+
+  function trackLoop() {
+    const t = clipTime(startTime);
+    const value = t >= 0 ? track.values[Math.floor(t * track.fps)] || 0 : 0;
+
+    if (value <= TRACK_OPEN_LEVEL) setMouthShape('closed');
+    else if (value < TRACK_FULL_LEVEL) setMouthShape('half');
+    else setMouthShape(estimateVowel());
+
+    lipSyncRafId = requestAnimationFrame(trackLoop);
+  }
+
+  trackLoop();
+}
+
+/**
+ * Play an explicit viseme timeline ([{ start, end, shape }], seconds) posted
+ * with the clip. Gaps between cues are drawn closed.
+ * @param {Array<{start: number, end: number, shape: string}>} visemes
+ * @param {number} startTime  AudioContext time at which the clip started.
+ */
+function startTimelineLipSync(visemes, startTime) {
+  let index = 0;
+
+  function timelineLoop() {
+    const t = clipTime(startTime);
+    while (index < visemes.length && visemes[index].end <= t) index++;
+    const cue = visemes[index];
+    setMouthShape(cue && cue.start <= t ? cue.shape : 'closed');
+
+    lipSyncRafId = requestAnimationFrame(timelineLoop);
+  }
+
+  timelineLoop();
+}
+
+/**
+ * Apply expression cues ([{ at, value }], seconds) sent with a clip, in step
+ * with its playback. Pending cues are dropped when playback stops.
+ * @param {Array<{at: number, value: string}>} cues
+ * @param {number} startTime  AudioContext time at which the clip started.
+ */
+function scheduleExpressionCues(cues, startTime) {
+  for (const cue of cues) {
+    const delay = Math.max(0, (cue.at - clipTime(startTime)) * 1000);
+    expressionCueTimers.push(setTimeout(() => setExpression(cue.value), delay));
   }
+}
+
+function createAnalyser(ctx) {
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 2048; // ~23 Hz bins at 48 kHz, fine enough for formants
+  analyser.connect(gainNode);
+  return analyser;
+}
 
-  // Decode base64 → ArrayBuffer
+function base64ToBytes(base64) {
   const binary = atob(base64);
   const bytes = new Uint8Array(binary.length);
   for (let i = 0; i < binary.length; i++) {
     bytes[i] = binary.charCodeAt(i);
   }
+  return bytes;
+}
+
+/** Stop whatever clip is playing without reporting it as ended. */
+function stopPlayback() {
+  playbackSeq++;
+  for (const source of activeSources) {
+    source.onended = null;
+    try { source.stop(); } catch {}
+  }
+  activeSources.clear();
+  if (activeStream) {
+    activeStream.analyser.disconnect();
+    activeStream = null;
+  }
+  for (const timer of expressionCueTimers) clearTimeout(timer);
+  expressionCueTimers = [];
+  playingClipId = null;
+  stopLipSync();
+}
+
+/**
+ * Play one clip from the server's speech queue. Any clip still playing is cut
+ * off: the server only sends the next clip after we report the previous one
+ * ended, so an early `audio` message means it was sent in interrupt mode.
+ * @param {string} base64
+ * @param {string} mimeType
+ * @param {string} [id]  Clip id, echoed back in the playback.* reports.
+ * @param {object} [lipsync]  Server-computed track; live RMS is used without one.
+ * @param {Array} [visemes]  Explicit viseme timeline; takes precedence over both.
+ * @param {Array} [expressions]  Expression cues from tags in a spoken chat reply.
+ * @param {number} [offset]  Seconds into the clip to start from (joining mid-clip).
+ */
+async function playAudio(base64, mimeType, id, lipsync, visemes, expressions, offset = 0) {
+  stopPlayback();
+  const seq = playbackSeq;
+  playingClipId = id;
+
+  const ctx = getAudioContext();
+  if (ctx.state === 'suspended') {
+    await ctx.resume();
+  }
 
+  const decodeStart = ctx.currentTime;
   let audioBuffer;
   try {
-    audioBuffer = await ctx.decodeAudioData(bytes.buffer);
+    audioBuffer = await ctx.decodeAudioData(base64ToBytes(base64).buffer);
   } catch (err) {
     console.error('Failed to decode audio:', err);
+    // The server moves on once no viewer can play it, instead of waiting for the watchdog.
+    if (seq === playbackSeq) {
+      playingClipId = null;
+      sendToServer({ type: 'playback.error', id, error: `Could not decode ${mimeType}: ${err.message}` });
+    }
     return;
   }
 
-  // Set up audio graph
-  const analyser = ctx.createAnalyser();
-  analyser.fftSize = 256;
-  const dataArray = new Float32Array(analyser.fftSize);
+  // A newer clip (or audio.stop) arrived while we were decoding.
+  if (seq !== playbackSeq) return;
+
+  // Decoding took a while too; a clip that is over by now is reported right away.
+  if (offset > 0) offset += ctx.currentTime - decodeStart;
+  if (offset >= audioBuffer.duration) {
+    playingClipId = null;
+    sendToServer({ type: 'playback.ended', id });
+    return;
+  }
 
+  // Set up audio graph
+  const analyser = createAnalyser(ctx);
   const source = ctx.createBufferSource();
   source.buffer = audioBuffer;
   source.connect(analyser);
-  analyser.connect(gainNode);
+  activeSources.add(source);
 
-  // Lip sync loop
-  function lipSyncLoop() {
-    analyser.getFloatTimeDomainData(dataArray);
+  source.onended = () => {
+    activeSources.delete(source);
+    analyser.disconnect();
+    playingClipId = null;
+    stopLipSync();
+    speechBoundary(true);
+    sendToServer({ type: 'playback.ended', id });
+  };
 
-    let sumSq = 0;
-    for (const sample of dataArray) {
-      sumSq += sample * sample;
+  // startTime is where the clip would have started, so the lip sync and
+  // expression cues line up when joining mid-clip.
+  const startTime = ctx.currentTime - offset;
+  source.start(ctx.currentTime, offset);
+  sendToServer({ type: 'playback.started', id });
+  if (Array.isArray(visemes) && visemes.length > 0) {
+    startTimelineLipSync(visemes, startTime);
+  } else if (lipsync && Array.isArray(lipsync.values)) {
+    startTrackLipSync(lipsync, startTime, analyser);
+  } else {
+    startLipSync(analyser);
+  }
+  if (Array.isArray(expressions)) scheduleExpressionCues(expressions, startTime);
+}
+
+// --- Streamed clips (audio.stream.start / audio.chunk / audio.stream.end) ---
+
+/** Convert interleaved little-endian PCM into an AudioBuffer. */
+function pcmToAudioBuffer(ctx, bytes, stream) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const isFloat = stream.format === 'f32le';
+  const bytesPerSample = isFloat ? 4 : 2;
+  const frames = Math.floor(bytes.byteLength / (bytesPerSample * stream.channels));
+  const buffer = ctx.createBuffer(stream.channels, frames, stream.sampleRate);
+
+  for (let ch = 0; ch < stream.channels; ch++) {
+    const out = buffer.getChannelData(ch);
+    for (let i = 0; i < frames; i++) {
+      const pos = (i * stream.channels + ch) * bytesPerSample;
+      out[i] = isFloat ? view.getFloat32(pos, true) : view.getInt16(pos, true) / 32768;
     }
-    const rms = Math.sqrt(sumSq / dataArray.length);
+  }
+  return buffer;
+}
 
-    setMouthOpen(rms > VOLUME_THRESHOLD);
+function startAudioStream(msg) {
+  stopPlayback();
 
-    lipSyncRafId = requestAnimationFrame(lipSyncLoop);
+  const ctx = getAudioContext();
+  if (ctx.state === 'suspended') ctx.resume();
+
+  // One analyser for the whole stream so lip sync runs across chunk boundaries.
+  const analyser = createAnalyser(ctx);
+  activeStream = {
+    id:         msg.id,
+    format:     msg.format,
+    sampleRate: msg.sampleRate,
+    channels:   msg.channels,
+    analyser,
+    nextTime:   0,     // AudioContext time where the next chunk starts
+    ended:      false, // audio.stream.end received
+    // Frames to drop when joining a stream mid-clip (msg.offset in seconds).
+    skipFrames: Math.round((msg.offset || 0) * msg.sampleRate),
+    started:    false, // playback.started sent (with the first audible chunk)
+  };
+  playingClipId = msg.id;
+  startLipSync(analyser);
+}
+
+function appendAudioChunk(msg) {
+  const stream = activeStream;
+  if (!stream || stream.id !== msg.id) return;
+
+  let bytes = base64ToBytes(msg.data);
+  if (stream.skipFrames > 0) {
+    const frameBytes = (stream.format === 'f32le' ? 4 : 2) * stream.channels;
+    const skipped = Math.min(stream.skipFrames, bytes.byteLength / frameBytes);
+    stream.skipFrames -= skipped;
+    bytes = bytes.subarray(skipped * frameBytes);
+    if (bytes.byteLength === 0) return;
+  }
+
+  const ctx = getAudioContext();
+  const buffer = pcmToAudioBuffer(ctx, bytes, stream);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(stream.analyser);
+
+  // Schedule chunks back to back; after an underrun, restart just ahead of now.
+  const startAt = Math.max(stream.nextTime, ctx.currentTime + STREAM_LEAD_TIME);
+  source.start(startAt);
+  stream.nextTime = startAt + buffer.duration;
+  if (!stream.started) {
+    stream.started = true;
+    sendToServer({ type: 'playback.started', id: stream.id });
   }
 
+  activeSources.add(source);
   source.onended = () => {
-    stopLipSync();
+    activeSources.delete(source);
+    finishAudioStreamIfDrained();
   };
+}
 
-  source.start();
-  lipSyncLoop();
+function endAudioStream(msg) {
+  if (!activeStream || activeStream.id !== msg.id) return;
+  activeStream.ended = true;
+  finishAudioStreamIfDrained();
+}
+
+function finishAudioStreamIfDrained() {
+  const stream = activeStream;
+  if (!stream || !stream.ended || activeSources.size > 0) return;
+
+  activeStream = null;
+  stream.analyser.disconnect();
+  playingClipId = null;
+  stopLipSync();
+  speechBoundary(true);
+  sendToServer({ type: 'playback.ended', id: stream.id });
 }
 
 // ---------------------------------------------------------------------------
 // WebSocket
 // ---------------------------------------------------------------------------
-function connectWebSocket() {
+let socket = null; // current WebSocket, replaced on reconnect
+
+/** Send a JSON message to the server if the socket is open. */
+function sendToServer(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+async function connectWebSocket() {
   const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-  const ws = new WebSocket(`${protocol}//${location.host}`);
+  const query = new URLSearchParams();
+  if (CHAT_MIRROR) query.set('mirror', '1');
+  // Keep our connection id (and the replies streaming to it) across reconnects.
+  if (chatConnectionId) query.set('resume', chatConnectionId);
+  const token = await viewerToken();
+  if (token) query.set('token', token);
+  const search = String(query);
+  const ws = new WebSocket(roomUrl(`${protocol}//${location.host}/${search ? `?${search}` : ''}`));
+  socket = ws;
 
   ws.addEventListener('open', () => {
     console.log('WebSocket connected');
@@ -160,11 +799,48 @@ function connectWebSocket() {
       return;
     }
 
-    if (msg.type === 'audio') {
-      playAudio(msg.data, msg.mimeType);
+    if (msg.type === 'connection') {
+      // Passed to /api/chat so replies come back to this tab only.
+      chatConnectionId = msg.id;
+      chatMicEl.hidden = !(msg.listen && CAN_RECORD_VOICE);
+    } else if (msg.type === 'state') {
+      applyState(msg);
+    } else if (msg.type === 'audio') {
+      playAudio(msg.data, msg.mimeType, msg.id, msg.lipsync, msg.visemes, msg.expressions);
+    } else if (msg.type === 'audio.stream.start') {
+      startAudioStream(msg);
+    } else if (msg.type === 'audio.chunk') {
+      appendAudioChunk(msg);
+    } else if (msg.type === 'audio.stream.end') {
+      endAudioStream(msg);
+    } else if (msg.type === 'audio.stop') {
+      stopPlayback();
     } else if (msg.type === 'expression') {
-      setExpression(msg.value);
-    } else if (msg.type === 'chat.delta' || msg.type === 'chat.final' || msg.type === 'chat.error') {
+      if (character) setExpression(msg.value);
+    } else if (msg.type === 'eyes') {
+      setHeldEyes(msg.state);
+    } else if (msg.type === 'motion') {
+      playMotion(msg.motion);
+    } else if (msg.type === 'record.start') {
+      startRecording(msg);
+    } else if (msg.type === 'record.stop') {
+      stopRecording(msg.id);
+    } else if (msg.type === 'recording') {
+      setRoomRecording(msg.id);
+    } else if (msg.type === 'effects') {
+      setEffects(msg.enabled, msg.preset);
+    } else if (msg.type === 'effects.burst') {
+      burstEffect(msg.burst);
+    } else if (msg.type === 'volume') {
+      setVolume(msg.value);
+    } else if (msg.type === 'camera') {
+      moveCamera(msg.camera, msg.duration, msg.easing);
+      showCameraPreset(msg.preset);
+    } else if (msg.type === 'camera.auto') {
+      setAutoCamera(msg.enabled);
+    } else if (msg.type === 'camera.presets') {
+      buildCameraPresets(msg.presets);
+    } else if (msg.type.startsWith('chat.')) {
       // Relay streaming chat events from the gateway to the chat UI.
       handleChatEvent(msg);
     }
@@ -180,6 +856,43 @@ function connectWebSocket() {
   });
 }
 
+/**
+ * Catch up with the room on (re)connecting: the server sends a `state`
+ * snapshot with the expression, effects, volume, the clip playing (with how
+ * far in it is) and the chat replies still streaming to this tab.
+ */
+function applyState(state) {
+  if (character) setExpression(state.expression);
+  setHeldEyes(state.eyes);
+  setEffects(state.effects, state.effectsPreset);
+  setVolume(state.volume);
+  setRoomRecording(state.recording);
+  // Cut to the room's camera, unless it hasn't moved since before we
+  // reconnected (we may have panned away from it by hand).
+  if (state.camera && JSON.stringify(state.camera) !== roomCamera) moveCamera(state.camera);
+  showCameraPreset(state.cameraPreset);
+  setAutoCamera(state.autoCamera);
+  // The server dropped our recording while we were disconnected.
+  if (recorder && recorder.id !== state.recording) stopRecording(recorder.id);
+
+  const clip = state.clip;
+  if (!clip) {
+    // Whatever we were playing was stopped or finished while we were away.
+    if (playingClipId) stopPlayback();
+  } else if (clip.id !== playingClipId && !clip.stream) {
+    playAudio(clip.data, clip.mimeType, clip.id, clip.lipsync, clip.visemes, clip.expressions, clip.offset);
+  }
+  // A streamed clip's frames follow as audio.stream.start / audio.chunk; one
+  // we are already playing restarts from the snapshot's offset.
+
+  for (const run of state.chat) catchUpChatRun(run);
+  // Our reply ended while we were disconnected (its chat.final went to the
+  // old connection): keep what arrived and unlock the input.
+  if (activeRunId && !chatStopEl.disabled && !state.chat.some((run) => run.runId === activeRunId)) {
+    finishAssistantEntry(null, false);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Pan / Zoom
 // ---------------------------------------------------------------------------
@@ -189,6 +902,12 @@ const stageEl  = document.getElementById('stage');
 let scale   = 1;
 let offsetX = 0;
 let offsetY = 0;
+let push    = 1; // extra zoom about the middle of the view (the auto camera, see Camera)
+let stageMatrix = new DOMMatrix(); // the above as one transform, read by every renderer
+
+// { kind, canvas, maxTextureSize, load(images), draw() } once compositing (see
+// Compositor); null while the DOM elements show the page themselves.
+let compositor = null;
 
 const MIN_SCALE = 0.1;
 const MAX_SCALE = 8;
@@ -198,7 +917,12 @@ function clampScale(s) {
 }
 
 function applyTransform() {
-  stageEl.style.transform = `translate(${offsetX}px, ${offsetY}px) scale(${scale})`;
+  const cx = canvasEl.clientWidth / 2;
+  const cy = canvasEl.clientHeight / 2;
+  const x = cx - (cx - offsetX) * push;
+  const y = cy - (cy - offsetY) * push;
+  stageMatrix = new DOMMatrix().translate(x, y).scale(scale * push);
+  if (!compositor) stageEl.style.transform = stageMatrix.toString();
 }
 
 function zoomAt(cx, cy, factor) {
@@ -209,9 +933,24 @@ function zoomAt(cx, cy, factor) {
   applyTransform();
 }
 
+// Overlay: the camera comes from the URL (?scale=1.5&x=-200&y=40, x/y in CSS
+// px) until the room's camera takes over.
+if (OVERLAY) {
+  const params = new URLSearchParams(location.search);
+  const number = (name, fallback) => {
+    const value = Number(params.get(name));
+    return params.has(name) && Number.isFinite(value) ? value : fallback;
+  };
+  scale   = clampScale(number('scale', 1));
+  offsetX = number('x', 0);
+  offsetY = number('y', 0);
+  applyTransform();
+}
+
 // --- Mouse wheel zoom ---
 canvasEl.addEventListener('wheel', (e) => {
   e.preventDefault();
+  takeCamera();
   const rect = canvasEl.getBoundingClientRect();
   // Normalize across deltaMode (pixel / line / page)
   const lineH = 16;
@@ -235,6 +974,7 @@ canvasEl.addEventListener('dragstart', (e) => e.preventDefault());
 canvasEl.addEventListener('mousedown', (e) => {
   if (e.button !== 0) return;
   e.preventDefault();
+  takeCamera();
   isDragging  = true;
   dragStartX  = e.clientX;
   dragStartY  = e.clientY;
@@ -270,6 +1010,7 @@ function activeTouches() { return Object.values(touches); }
 
 canvasEl.addEventListener('touchstart', (e) => {
   e.preventDefault();
+  takeCamera();
   for (const t of e.changedTouches) {
     touches[t.identifier] = { x: t.clientX, y: t.clientY };
   }
@@ -342,7 +1083,150 @@ canvasEl.addEventListener('touchcancel', (e) => {
 });
 
 // ---------------------------------------------------------------------------
-// Effects: Bloom + Sparkle particles
+// Camera
+//
+// POST /api/camera moves every viewer to a view { zoom, x, y } (see
+// cameras.js): zoom 1 fits the picture in the window, x/y is the point of
+// the picture at the middle of the view. The move eases over `duration` ms;
+// panning or zooming by hand stops it, and stays on this page only. With the
+// auto camera on, the view pushes in a little while a clip plays and drifts
+// back after it.
+// ---------------------------------------------------------------------------
+const AUTO_CAMERA_ZOOM   = 0.08; // extra zoom when fully pushed in
+const AUTO_CAMERA_IN_MS  = 900;
+const AUTO_CAMERA_OUT_MS = 2500;
+
+// t in [0, 1] → progress of a move
+const CAMERA_EASINGS = {
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (2 - 2 * t) ** 3 / 2),
+  'ease-in':     (t) => t ** 3,
+  'ease-out':    (t) => 1 - (1 - t) ** 3,
+  linear:        (t) => t,
+};
+
+let roomCamera   = null;  // JSON of the last view the room's camera was sent to
+let cameraView   = null;  // the room's view, while this page follows it
+let cameraMove   = null;  // { from, to, start, duration, easing } while easing to cameraView
+let autoCamera   = false;
+let autoCameraPush  = 0;  // 0..1, how far the auto camera has pushed in (eased into `push`)
+let lastCameraFrame = null;
+
+/** Where the layer images are fitted in the window: [x, y, w, h] in CSS px. */
+function pictureRect() {
+  const w = canvasEl.clientWidth;
+  const h = canvasEl.clientHeight;
+  for (const images of Object.values(layerImages)) {
+    for (const img of Object.values(images)) {
+      const size = sourceSize(img);
+      if (size[0]) return containRect(size, w, h);
+    }
+  }
+  return [0, 0, w, h];
+}
+
+/** The current view (without the auto camera's push) as { zoom, x, y }. */
+function currentView() {
+  const [px, py, pw, ph] = pictureRect();
+  const w = canvasEl.clientWidth;
+  const h = canvasEl.clientHeight;
+  return {
+    zoom: scale,
+    x: ((w / 2 - offsetX) / scale - px) / pw,
+    y: ((h / 2 - offsetY) / scale - py) / ph,
+  };
+}
+
+/** Set scale / offsetX / offsetY to show a view. */
+function showView({ zoom, x, y }) {
+  const [px, py, pw, ph] = pictureRect();
+  scale   = clampScale(zoom);
+  offsetX = canvasEl.clientWidth / 2 - (px + x * pw) * scale;
+  offsetY = canvasEl.clientHeight / 2 - (py + y * ph) * scale;
+  applyTransform();
+}
+
+/**
+ * Ease to the room's view.
+ * @param {{ zoom: number, x: number, y: number }} view
+ * @param {number} [duration]  ms; 0 cuts straight to it.
+ * @param {string} [easing]  A CAMERA_EASINGS name.
+ */
+function moveCamera(view, duration = 0, easing = 'ease-in-out') {
+  roomCamera = JSON.stringify(view);
+  cameraView = view;
+  cameraMove = {
+    from: currentView(),
+    to: view,
+    start: null, // the next frame's timestamp
+    duration,
+    easing: CAMERA_EASINGS[easing] || CAMERA_EASINGS['ease-in-out'],
+  };
+}
+
+/** Pan/zoom by hand: stop following the room's camera until it moves again. */
+function takeCamera() {
+  cameraView = null;
+  cameraMove = null;
+}
+
+function setAutoCamera(enabled) {
+  autoCamera = enabled;
+  btnCameraAutoEl.classList.toggle('active', enabled);
+}
+
+function cameraLoop(timestamp) {
+  const dt = lastCameraFrame === null ? 0 : timestamp - lastCameraFrame;
+  lastCameraFrame = timestamp;
+  let changed = false;
+
+  if (cameraMove) {
+    if (cameraMove.start === null) cameraMove.start = timestamp;
+    const { from, to, start, duration, easing } = cameraMove;
+    const t = duration > 0 ? Math.min(1, (timestamp - start) / duration) : 1;
+    const k = easing(t);
+    // Zoom moves geometrically so zooming in and out feel equally fast.
+    showView({
+      zoom: from.zoom * (to.zoom / from.zoom) ** k,
+      x: from.x + (to.x - from.x) * k,
+      y: from.y + (to.y - from.y) * k,
+    });
+    if (t >= 1) cameraMove = null;
+    changed = true;
+  }
+
+  const target = autoCamera && playingClipId !== null ? 1 : 0;
+  if (autoCameraPush !== target) {
+    const step = dt / (target ? AUTO_CAMERA_IN_MS : AUTO_CAMERA_OUT_MS);
+    autoCameraPush = target ? Math.min(1, autoCameraPush + step) : Math.max(0, autoCameraPush - step);
+    push = 1 + AUTO_CAMERA_ZOOM * autoCameraPush * autoCameraPush * (3 - 2 * autoCameraPush);
+    changed = true;
+  }
+
+  if (changed) applyTransform();
+  requestAnimationFrame(cameraLoop);
+}
+
+requestAnimationFrame(cameraLoop);
+
+// The room's view is relative to the picture and the window: show it again
+// once the picture's size is known and whenever the window changes size.
+// (load doesn't bubble, so listen while it goes down to the <img>.)
+characterEl.addEventListener('load', () => {
+  if (cameraView && !cameraMove) showView(cameraView);
+}, true);
+window.addEventListener('resize', () => {
+  if (cameraView && !cameraMove) showView(cameraView);
+  else applyTransform();
+});
+
+// ---------------------------------------------------------------------------
+// Effects: bloom and particles
+//
+// Presets and bursts come from the manifest's `effects` (see effects.js). The
+// room's preset emits particles continuously and sets how strongly the
+// character glows; a burst (POST /api/effects { burst }, or an expression
+// listed in onExpression) adds a batch on top. Nothing is drawn while effects
+// are off.
 // ---------------------------------------------------------------------------
 const particleCanvas = document.getElementById('particles');
 const pctx = particleCanvas.getContext('2d');
@@ -354,54 +1238,47 @@ function resizeParticleCanvas() {
 resizeParticleCanvas();
 window.addEventListener('resize', resizeParticleCanvas);
 
-const PARTICLE_MAX = 28;
-const CYBER_COLORS = [
-  [0, 240, 255],  // cyan only
+// drop-shadow layers of the bloom at strength 1: [blur px, color]
+const BLOOM_LAYERS = [
+  [4,  'rgba(255, 235, 255, 1)'],
+  [14, 'rgba(230, 180, 255, 0.75)'],
+  [36, 'rgba(190, 120, 255, 0.4)'],
 ];
 
-class Particle {
-  constructor() { this.init(); }
-
-  init() {
-    const W = particleCanvas.width;
-    const H = particleCanvas.height;
-    this.x  = W * (0.1 + Math.random() * 0.8);
-    this.y  = H * (0.1 + Math.random() * 0.85);
-    this.size = 3 + Math.random() * 7;
-    this.dx = (Math.random() - 0.5) * 0.5;
-    this.dy = -(0.15 + Math.random() * 0.35);
-    this.rotation = Math.random() * Math.PI * 2;
-    this.rotSpeed = (Math.random() - 0.5) * 0.025;
-    this.life     = 0;
-    this.maxLife  = 90 + Math.floor(Math.random() * 90);
-    this.maxOpacity = 0.25 + Math.random() * 0.3;
-    this.color = CYBER_COLORS[Math.floor(Math.random() * CYBER_COLORS.length)];
-  }
+const spriteImages = {}; // url -> <img> of image sprites
 
-  get opacity() {
-    const p = this.life / this.maxLife;
-    if (p < 0.15) return this.maxOpacity * (p / 0.15);
-    if (p > 0.72) return this.maxOpacity * (1 - (p - 0.72) / 0.28);
-    return this.maxOpacity;
+function spriteImage(url) {
+  if (!spriteImages[url]) {
+    spriteImages[url] = new Image();
+    spriteImages[url].src = url;
   }
+  return spriteImages[url];
+}
 
-  update() {
-    this.x        += this.dx;
-    this.y        += this.dy;
-    this.rotation += this.rotSpeed;
-    this.life++;
-    return this.life < this.maxLife;
-  }
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [n >> 16, (n >> 8) & 255, n & 255];
+}
 
-  draw(ctx) {
-    const [r, g, b] = this.color;
-    const s = this.size;
+function between([min, max]) {
+  return min + Math.random() * (max - min);
+}
 
-    ctx.save();
-    ctx.translate(this.x, this.y);
-    ctx.rotate(this.rotation);
-    ctx.globalAlpha = this.opacity;
+/** Where a new particle appears, in canvas pixels. */
+function emitPoint({ shape, area }, W, H) {
+  if (shape === 'point') return [area[0] * W, area[1] * H];
+  if (shape === 'ring') {
+    const angle = Math.random() * 2 * Math.PI;
+    const r = area[2] * Math.min(W, H);
+    return [area[0] * W + Math.cos(angle) * r, area[1] * H + Math.sin(angle) * r];
+  }
+  return [(area[0] + Math.random() * area[2]) * W, (area[1] + Math.random() * area[3]) * H];
+}
 
+// How each sprite draws itself around (0, 0), already rotated and faded.
+const SPRITES = {
+  triangle(ctx, p, [r, g, b]) {
+    const s = p.size;
     // Equilateral triangle (circumradius = s)
     ctx.beginPath();
     ctx.moveTo(0,            -s);
@@ -426,24 +1303,121 @@ class Particle {
     ctx.strokeStyle  = `rgba(${r},${g},${b},1)`;
     ctx.lineWidth    = 1.0;
     ctx.stroke();
+  },
+
+  circle(ctx, p, [r, g, b]) {
+    const glow = ctx.createRadialGradient(0, 0, 0, 0, 0, p.size * 2);
+    glow.addColorStop(0,   `rgba(${r},${g},${b},1)`);
+    glow.addColorStop(0.3, `rgba(${r},${g},${b},0.6)`);
+    glow.addColorStop(1,   `rgba(${r},${g},${b},0)`);
+    ctx.fillStyle = glow;
+    ctx.beginPath();
+    ctx.arc(0, 0, p.size * 2, 0, Math.PI * 2);
+    ctx.fill();
+  },
+
+  sakura(ctx, p, [r, g, b]) {
+    const s = p.size;
+    ctx.scale(Math.cos(p.life * 3 + p.phase), 1); // flutter
+    // A petal with a notch at its tip
+    ctx.beginPath();
+    ctx.moveTo(0, s);
+    ctx.bezierCurveTo( s * 0.9,  s * 0.4,  s * 0.7, -s * 0.8,  s * 0.2, -s);
+    ctx.lineTo(0, -s * 0.75);
+    ctx.lineTo(-s * 0.2, -s);
+    ctx.bezierCurveTo(-s * 0.7, -s * 0.8, -s * 0.9,  s * 0.4,  0, s);
+    ctx.fillStyle = `rgb(${r},${g},${b})`;
+    ctx.fill();
+  },
+
+  confetti(ctx, p, [r, g, b]) {
+    ctx.scale(1, Math.cos(p.life * 10 + p.phase)); // tumbling
+    ctx.fillStyle = `rgb(${r},${g},${b})`;
+    ctx.fillRect(-p.size / 2, -p.size / 4, p.size, p.size / 2);
+  },
+
+  image(ctx, p) {
+    if (p.image.complete && p.image.naturalWidth) ctx.drawImage(p.image, -p.size, -p.size, p.size * 2, p.size * 2);
+  },
+};
+
+class Particle {
+  /**
+   * @param {object} spec  Resolved preset or burst settings.
+   * @param {boolean} burst  Part of a burst (doesn't count towards the preset's max).
+   */
+  constructor(spec, burst) {
+    [this.x, this.y] = emitPoint(spec.emitter, particleCanvas.width, particleCanvas.height);
+    const angle = (spec.direction + (Math.random() - 0.5) * spec.spread) * Math.PI / 180;
+    const speed = between(spec.speed);
+    this.vx = Math.sin(angle) * speed;  // px/s, direction 0 is up
+    this.vy = -Math.cos(angle) * speed;
+    this.ax = spec.wind;
+    this.ay = spec.gravity;
+    this.size     = between(spec.size);
+    this.rotation = Math.random() * Math.PI * 2;
+    this.rotSpeed = (Math.random() * 2 - 1) * spec.spin;
+    this.phase    = Math.random() * Math.PI * 2;
+    this.life     = 0;
+    this.maxLife  = between(spec.lifeMs) / 1000;
+    this.maxOpacity = between(spec.opacity);
+    this.color  = hexToRgb(spec.colors[Math.floor(Math.random() * spec.colors.length)]);
+    this.sprite = spec.sprite;
+    this.image  = spec.sprite === 'image' ? spriteImage(spec.image) : null;
+    this.burst  = burst;
+  }
+
+  get opacity() {
+    const p = this.life / this.maxLife;
+    if (p < 0.15) return this.maxOpacity * (p / 0.15);
+    if (p > 0.72) return this.maxOpacity * (1 - (p - 0.72) / 0.28);
+    return this.maxOpacity;
+  }
+
+  /** Advance by dt seconds; false once the particle has lived out its life. */
+  update(dt) {
+    this.vx       += this.ax * dt;
+    this.vy       += this.ay * dt;
+    this.x        += this.vx * dt;
+    this.y        += this.vy * dt;
+    this.rotation += this.rotSpeed * dt;
+    this.life     += dt;
+    return this.life < this.maxLife;
+  }
 
+  draw(ctx) {
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.rotation);
+    ctx.globalAlpha = this.opacity;
+    SPRITES[this.sprite](ctx, this, this.color);
     ctx.restore();
   }
 }
 
 const particles = [];
 let particleRafId = null;
+let lastParticleFrame = null;
+let spawnDebt = 0;          // particles owed to the preset's rate, fractional
 let effectsEnabled = true;
+let effectsPreset = null;   // name of the room's preset
 
-function particleLoop() {
+function particleLoop(timestamp) {
+  // Capped so a tab coming back from the background doesn't jump ahead.
+  const dt = lastParticleFrame === null ? 0 : Math.min(0.1, (timestamp - lastParticleFrame) / 1000);
+  lastParticleFrame = timestamp;
   pctx.clearRect(0, 0, particleCanvas.width, particleCanvas.height);
 
-  if (particles.length < PARTICLE_MAX && Math.random() < 0.35) {
-    particles.push(new Particle());
+  const preset = character && character.effects.presets[effectsPreset];
+  if (preset) {
+    let live = particles.filter((p) => !p.burst).length;
+    for (spawnDebt += preset.rate * dt; spawnDebt >= 1; spawnDebt--) {
+      if (live++ < preset.max) particles.push(new Particle(preset, false));
+    }
   }
 
   for (let i = particles.length - 1; i >= 0; i--) {
-    if (!particles[i].update()) {
+    if (!particles[i].update(dt)) {
       particles.splice(i, 1);
     } else {
       particles[i].draw(pctx);
@@ -453,14 +1427,45 @@ function particleLoop() {
   particleRafId = requestAnimationFrame(particleLoop);
 }
 
-function setEffects(enabled) {
+/** How strongly the character glows now (0 = no bloom). */
+function bloomStrength() {
+  const preset = character && character.effects.presets[effectsPreset];
+  return effectsEnabled && preset ? preset.bloom : 0;
+}
+
+/** The bloom as a CSS / canvas filter. */
+function bloomFilter(strength) {
+  return strength > 0
+    ? BLOOM_LAYERS.map(([blur, color]) => `drop-shadow(0 0 ${blur * strength}px ${color})`).join(' ')
+    : 'none';
+}
+
+/** Glow around the character at the preset's bloom strength (the compositor reads it every frame). */
+function applyBloom() {
+  characterEl.style.filter = compositor ? 'none' : bloomFilter(bloomStrength());
+}
+
+/**
+ * Turn the effects on or off, optionally switching preset. Particles of the
+ * previous preset live out their lives.
+ * @param {boolean} enabled
+ * @param {string} [preset]  Preset name from the manifest.
+ */
+function setEffects(enabled, preset) {
   effectsEnabled = enabled;
+  if (preset && character && character.effects.presets[preset] && preset !== effectsPreset) {
+    effectsPreset = preset;
+    spawnDebt = 0;
+  }
   document.getElementById('btn-effects').classList.toggle('active', enabled);
+  effectsPresetEl.value = effectsPreset || '';
+  applyBloom();
   if (enabled) {
-    characterEl.classList.add('bloom');
-    if (!particleRafId) particleLoop();
+    if (!particleRafId) {
+      lastParticleFrame = null;
+      particleRafId = requestAnimationFrame(particleLoop);
+    }
   } else {
-    characterEl.classList.remove('bloom');
     cancelAnimationFrame(particleRafId);
     particleRafId = null;
     pctx.clearRect(0, 0, particleCanvas.width, particleCanvas.height);
@@ -468,27 +1473,676 @@ function setEffects(enabled) {
   }
 }
 
-document.getElementById('btn-effects').addEventListener('click', () => {
-  setEffects(!effectsEnabled);
+/** Fire a one-shot burst from the manifest (ignored while effects are off). */
+function burstEffect(name) {
+  const burst = character && character.effects.bursts[name];
+  if (!burst || !effectsEnabled) return;
+  for (let i = 0; i < burst.count; i++) particles.push(new Particle(burst, true));
+}
+
+// Preset picker, one option per preset in the manifest
+const effectsPresetEl = document.getElementById('effects-preset');
+
+function buildEffectsPresets() {
+  effectsPresetEl.replaceChildren(...Object.keys(character.effects.presets).map((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    return option;
+  }));
+  effectsPresetEl.value = effectsPreset || character.effects.default;
+}
+
+effectsPresetEl.addEventListener('change', async () => {
+  const res = await apiFetch('/api/effects', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ preset: effectsPresetEl.value }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    console.warn('Effects preset:', err.error || 'failed');
+    effectsPresetEl.value = effectsPreset || '';
+  }
+  // The server broadcasts the change back to every viewer, including us.
 });
 
+document.getElementById('btn-effects').addEventListener('click', async () => {
+  const res = await apiFetch('/api/effects', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ enabled: !effectsEnabled }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    console.warn('Effects:', err.error || 'failed');
+  }
+  // The server broadcasts the change back to every viewer, including us.
+});
+
+// ---------------------------------------------------------------------------
+// Idle motion
+//
+// The manifest's `motions` (see character.js) are composed into one transform
+// (characterMatrix, also #character's CSS on the DOM path) every frame:
+//   idle        loops all the time (breathing, sway)
+//   speaking    loops while a clip plays, fading in and out
+//   expression  plays once when the expression changes (head tilt)
+//   manual      only when the server sends `motion` (POST /api/motion)
+// The current expression's `motions` override their parameters, or turn a
+// motion off with null.
+// ---------------------------------------------------------------------------
+const MOTION_FADE_MS = 200; // speaking motions fade in/out over this long
+
+// One cycle, t in [0, 1) → multiple of the amplitude.
+const MOTION_EASINGS = {
+  sine:       (t) => (1 - Math.cos(2 * Math.PI * t)) / 2,
+  linear:     (t) => 1 - Math.abs(2 * t - 1),
+  wave:       (t) => Math.sin(2 * Math.PI * t),
+  bounce:     (t) => Math.sin(Math.PI * t),
+  'ease-out': (t) => (t < 0.25 ? 1 - (1 - t / 0.25) ** 2 : (1 + Math.cos(Math.PI * (t - 0.25) / 0.75)) / 2),
+};
+
+let speakingWeight  = 0;    // 0..1, eases towards 1 while a clip plays
+let lastMotionFrame = null;
+let characterMatrix = new DOMMatrix(); // this frame's motions, read by every renderer
+const oneShotMotions = [];  // { motion, start } playing once
+
+/** A motion with the current expression's overrides, or null when it is off. */
+function effectiveMotion(name) {
+  const motion = character && character.motions[name];
+  if (!motion) return null;
+  const overrides = currentExpression ? character.expressions[currentExpression].motions : {};
+  if (!(name in overrides)) return motion;
+  return overrides[name] === null ? null : { ...motion, ...overrides[name] };
+}
+
+/** Play a motion once (`motion` from the server, or an expression change). */
+function playMotion(name) {
+  const motion = effectiveMotion(name);
+  if (motion) oneShotMotions.push({ motion, start: performance.now() });
+}
+
+/** Transform of a motion at cycle position t, scaled by weight, on a w×h #character. */
+function motionMatrix(motion, t, weight, w, h) {
+  const value = motion.amplitude * MOTION_EASINGS[motion.easing](t) * weight;
+  // #character has transform-origin 0 0, so each motion brings its own pivot.
+  const px = motion.pivot[0] * w;
+  const py = motion.pivot[1] * h;
+  const m = new DOMMatrix().translate(px, py);
+  switch (motion.property) {
+    case 'translateX': m.translateSelf(value / 100 * w, 0); break;
+    case 'translateY': m.translateSelf(0, value / 100 * h); break;
+    case 'rotate':     m.rotateSelf(value); break;
+    case 'scale':      m.scaleSelf(1 + value); break;
+    case 'scaleX':     m.scaleSelf(1 + value, 1); break;
+    case 'scaleY':     m.scaleSelf(1, 1 + value); break;
+  }
+  return m.translateSelf(-px, -py);
+}
+
+function motionLoop(timestamp) {
+  const dt = lastMotionFrame === null ? 0 : timestamp - lastMotionFrame;
+  lastMotionFrame = timestamp;
+  const target = playingClipId !== null ? 1 : 0;
+  speakingWeight += Math.max(-dt / MOTION_FADE_MS, Math.min(dt / MOTION_FADE_MS, target - speakingWeight));
+
+  const w = canvasEl.clientWidth;
+  const h = canvasEl.clientHeight;
+  const matrix = new DOMMatrix();
+  if (character) {
+    for (const name of Object.keys(character.motions)) {
+      const motion = effectiveMotion(name);
+      if (!motion) continue;
+      const t = (timestamp % motion.period) / motion.period;
+      if (motion.trigger === 'idle') matrix.multiplySelf(motionMatrix(motion, t, 1, w, h));
+      if (motion.trigger === 'speaking' && speakingWeight > 0) matrix.multiplySelf(motionMatrix(motion, t, speakingWeight, w, h));
+    }
+  }
+  for (let i = oneShotMotions.length - 1; i >= 0; i--) {
+    const { motion, start } = oneShotMotions[i];
+    const elapsed = Math.max(0, timestamp - start);
+    if (elapsed >= motion.duration * motion.repeat) {
+      oneShotMotions.splice(i, 1);
+      continue;
+    }
+    matrix.multiplySelf(motionMatrix(motion, (elapsed % motion.duration) / motion.duration, 1, w, h));
+  }
+  characterMatrix = matrix;
+  if (!compositor) characterEl.style.transform = matrix.toString();
+  requestAnimationFrame(motionLoop);
+}
+
+requestAnimationFrame(motionLoop);
+
+// ---------------------------------------------------------------------------
+// Compositor
+//
+// Instead of stacking an <img> per layer frame and toggling their display,
+// the page decodes every frame once and draws the picture onto one canvas
+// (#compositor) each animation frame: background, the shown frame of each
+// layer with pan/zoom and idle motion, the bloom, the particles. WebGL does
+// the bloom as a blur pass over the layers' alpha; the 2D fallback uses the
+// same drop-shadow filter as the DOM path.
+//
+//   ?renderer=auto   WebGL, else 2D canvas, else DOM (default)
+//   ?renderer=webgl | 2d | dom
+//
+// The DOM elements under #stage stay in place (hidden), so setEyeState,
+// setExpression and setMouthOpen work the same on every path. Pan/zoom and
+// motion live in stageMatrix and characterMatrix, which every renderer reads;
+// they are only written to the elements' CSS on the DOM path. containRect and
+// the renderer choice are in render.js.
+// ---------------------------------------------------------------------------
+const RENDERER_KINDS = rendererKinds(new URLSearchParams(location.search).get('renderer'));
+
+let compositorEl = document.getElementById('compositor');
+let compositeImages = null;  // { layers: { layerId: { frame: ImageBitmap } }, background }
+
+/** Pixel size of an <img> or ImageBitmap (0 while an <img> isn't loaded). */
+function sourceSize(source) {
+  if (source instanceof HTMLImageElement) {
+    return source.complete ? [source.naturalWidth, source.naturalHeight] : [0, 0];
+  }
+  return [source.width, source.height];
+}
+
+/** Draw an image where object-fit: contain puts it in a w×h box. */
+function drawContained(ctx, source, w, h) {
+  const size = sourceSize(source);
+  if (!size[0]) return;
+  ctx.drawImage(source, ...containRect(size, w, h));
+}
+
+/** The decoded frame of a layer, falling back to its <img>. */
+function frameSource(layerId, frame) {
+  if (frame == null) return null;
+  const decoded = compositeImages && compositeImages.layers[layerId];
+  return (decoded && decoded[frame]) || layerImages[layerId][frame] || null;
+}
+
+/** Keep a canvas at the page size in device pixels. */
+function fitCanvas(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  const width  = Math.max(1, Math.round(canvasEl.clientWidth * dpr));
+  const height = Math.max(1, Math.round(canvasEl.clientHeight * dpr));
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width  = width;
+    canvas.height = height;
+  }
+}
+
+/**
+ * Composite one frame of the page onto a 2D canvas (the 2D compositor and
+ * recordings). layerCanvas is scratch space of the same size.
+ */
+function drawComposite(canvas, layerCanvas) {
+  const w = canvasEl.clientWidth;
+  const h = canvasEl.clientHeight;
+  const dpr = canvas.width / w;
+  const ctx = canvas.getContext('2d');
+  const stage = new DOMMatrix().scale(dpr, dpr).multiply(stageMatrix);
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.setTransform(stage);
+  if (backgroundEl.style.display !== 'none') {
+    drawContained(ctx, (compositeImages && compositeImages.background) || backgroundEl, w, h);
+  }
+
+  // The layers go onto their own canvas first so bloom glows around the whole
+  // figure, as the CSS filter on #character does.
+  const lctx = layerCanvas.getContext('2d');
+  lctx.setTransform(1, 0, 0, 1, 0, 0);
+  lctx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+  lctx.setTransform(new DOMMatrix().scale(dpr, dpr).multiply(characterMatrix));
+  for (const layer of [...character.layers].sort((a, b) => a.z - b.z)) {
+    const source = frameSource(layer.id, layerShown[layer.id]);
+    if (source) drawContained(lctx, source, w, h);
+  }
+  ctx.filter = bloomFilter(bloomStrength());
+  ctx.drawImage(layerCanvas, 0, 0, w, h);
+  ctx.filter = 'none';
+
+  if (effectsEnabled) ctx.drawImage(particleCanvas, 0, 0, w, h);
+}
+
+function create2DCompositor(canvas) {
+  if (!canvas.getContext('2d')) return null;
+  const layerCanvas = document.createElement('canvas');
+  return {
+    kind: '2d',
+    maxTextureSize: Infinity,
+    load() {},
+    draw() {
+      fitCanvas(canvas);
+      if (layerCanvas.width !== canvas.width || layerCanvas.height !== canvas.height) {
+        layerCanvas.width  = canvas.width;
+        layerCanvas.height = canvas.height;
+      }
+      drawComposite(canvas, layerCanvas);
+    },
+  };
+}
+
+const GL_QUAD_VS = `
+attribute vec2 a_pos;
+uniform mat3 u_matrix;
+varying vec2 v_uv;
+void main() {
+  v_uv = a_pos;
+  gl_Position = vec4((u_matrix * vec3(a_pos, 1.0)).xy, 0.0, 1.0);
+}`;
+
+const GL_TEXTURE_FS = `
+precision mediump float;
+uniform sampler2D u_texture;
+varying vec2 v_uv;
+void main() {
+  gl_FragColor = texture2D(u_texture, v_uv);
+}`;
+
+// Gaussian blur of the alpha along u_step (9 taps in 5 linear fetches),
+// painted in u_color (premultiplied).
+const GL_BLUR_FS = `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform vec2 u_step;
+uniform vec4 u_color;
+varying vec2 v_uv;
+void main() {
+  float a = texture2D(u_texture, v_uv).a * 0.2270270270;
+  a += (texture2D(u_texture, v_uv + u_step * 1.3846153846).a +
+        texture2D(u_texture, v_uv - u_step * 1.3846153846).a) * 0.3162162162;
+  a += (texture2D(u_texture, v_uv + u_step * 3.2307692308).a +
+        texture2D(u_texture, v_uv - u_step * 3.2307692308).a) * 0.0702702703;
+  gl_FragColor = u_color * a;
+}`;
+
+const GL_BLUR_SIGMA = Math.SQRT2; // of the kernel above, in steps
+
+// Unit square -> whole render target, without the y flip of glMatrix().
+const GL_FULL_TARGET = new Float32Array([2, 0, 0, 0, 2, 0, -1, -1, 1]);
+
+/** A DOMMatrix from the unit square to canvas pixels, as a clip-space mat3. */
+function glMatrix(m, width, height) {
+  return new Float32Array([
+    2 * m.a / width,     -2 * m.b / height,     0,
+    2 * m.c / width,     -2 * m.d / height,     0,
+    2 * m.e / width - 1, 1 - 2 * m.f / height,  1,
+  ]);
+}
+
+function createWebGLCompositor(canvas) {
+  const gl = canvas.getContext('webgl', { alpha: true, premultipliedAlpha: true, antialias: false });
+  if (!gl) return null;
+
+  function program(fragmentSource) {
+    const prog = gl.createProgram();
+    for (const [type, source] of [[gl.VERTEX_SHADER, GL_QUAD_VS], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+      gl.attachShader(prog, shader);
+    }
+    gl.bindAttribLocation(prog, 0, 'a_pos');
+    gl.linkProgram(prog);
+    if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(prog));
+    const uniforms = {};
+    for (const name of ['u_matrix', 'u_texture', 'u_step', 'u_color']) {
+      uniforms[name] = gl.getUniformLocation(prog, name);
+    }
+    return { prog, uniforms };
+  }
+
+  const textureProgram = program(GL_TEXTURE_FS);
+  const blurProgram    = program(GL_BLUR_FS);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+  gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true); // the particle canvas; bitmaps come premultiplied
+  gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+  function createTexture(source, width, height) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    if (source) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    }
+    return texture;
+  }
+
+  // Offscreen render targets by name, reallocated when their size changes.
+  const targets = {};
+  function target(name, width, height) {
+    let t = targets[name];
+    if (!t || t.width !== width || t.height !== height) {
+      if (t) {
+        gl.deleteTexture(t.texture);
+        gl.deleteFramebuffer(t.framebuffer);
+      }
+      t = { width, height, texture: createTexture(null, width, height), framebuffer: gl.createFramebuffer() };
+      gl.bindFramebuffer(gl.FRAMEBUFFER, t.framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, t.texture, 0);
+      targets[name] = t;
+    }
+    return t;
+  }
+
+  function bindTarget(t) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t ? t.framebuffer : null);
+    gl.viewport(0, 0, t ? t.width : canvas.width, t ? t.height : canvas.height);
+  }
+
+  function drawTexture(texture, matrix) {
+    gl.useProgram(textureProgram.prog);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.uniform1i(textureProgram.uniforms.u_texture, 0);
+    gl.uniformMatrix3fv(textureProgram.uniforms.u_matrix, false, matrix);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  function blur(texture, step, color) {
+    gl.useProgram(blurProgram.prog);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.uniform1i(blurProgram.uniforms.u_texture, 0);
+    gl.uniformMatrix3fv(blurProgram.uniforms.u_matrix, false, GL_FULL_TARGET);
+    gl.uniform2fv(blurProgram.uniforms.u_step, step);
+    gl.uniform4fv(blurProgram.uniforms.u_color, color);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  // BLOOM_LAYERS colors, premultiplied for the shader
+  const bloomColors = BLOOM_LAYERS.map(([, color]) => {
+    const [r, g, b, a = 1] = color.match(/[\d.]+/g).map(Number);
+    return [r / 255 * a, g / 255 * a, b / 255 * a, a];
+  });
+  const WHITE = [1, 1, 1, 1];
+
+  /**
+   * One drop-shadow of the layers: blurred on a target scaled down so the
+   * kernel stays a few texels wide, then drawn onto the screen.
+   */
+  function glow(layers, sigma, color, i) {
+    const scaleDown = Math.max(1, Math.ceil(sigma / 2));
+    const width  = Math.ceil(canvas.width / scaleDown);
+    const height = Math.ceil(canvas.height / scaleDown);
+    const a = target(`glow${i}a`, width, height);
+    const b = target(`glow${i}b`, width, height);
+    const stepSize = sigma / scaleDown / GL_BLUR_SIGMA;
+
+    gl.disable(gl.BLEND);
+    bindTarget(a);
+    drawTexture(layers.texture, GL_FULL_TARGET);
+    bindTarget(b);
+    blur(a.texture, [stepSize / width, 0], WHITE);
+    bindTarget(a);
+    blur(b.texture, [0, stepSize / height], color);
+    gl.enable(gl.BLEND);
+    bindTarget(null);
+    drawTexture(a.texture, GL_FULL_TARGET);
+  }
+
+  let textures = { layers: {}, background: null }; // ImageBitmaps as { texture, size }
+  let particleTexture = null;
+
+  return {
+    kind: 'webgl',
+    maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+
+    load(images) {
+      for (const frames of Object.values(textures.layers)) {
+        for (const { texture } of Object.values(frames)) gl.deleteTexture(texture);
+      }
+      if (textures.background) gl.deleteTexture(textures.background.texture);
+      const upload = (bitmap) => ({ texture: createTexture(bitmap), size: [bitmap.width, bitmap.height] });
+      textures = { layers: {}, background: images.background ? upload(images.background) : null };
+      for (const [layerId, frames] of Object.entries(images.layers)) {
+        textures.layers[layerId] = {};
+        for (const [frame, bitmap] of Object.entries(frames)) textures.layers[layerId][frame] = upload(bitmap);
+      }
+    },
+
+    draw() {
+      fitCanvas(canvas);
+      const w = canvasEl.clientWidth;
+      const h = canvasEl.clientHeight;
+      const dpr = canvas.width / w;
+      const view   = new DOMMatrix().scale(dpr, dpr).multiply(stageMatrix);
+      const figure = view.multiply(characterMatrix);
+      const place  = (m, [x, y, dw, dh]) => glMatrix(m.translate(x, y).scale(dw, dh), canvas.width, canvas.height);
+
+      // Layers, bottom to top, onto their own target for the bloom
+      const layers = target('layers', canvas.width, canvas.height);
+      bindTarget(layers);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.enable(gl.BLEND);
+      for (const layer of [...character.layers].sort((a, b) => a.z - b.z)) {
+        const frame = layerShown[layer.id];
+        const tex = frame != null && textures.layers[layer.id] && textures.layers[layer.id][frame];
+        if (tex) drawTexture(tex.texture, place(figure, containRect(tex.size, w, h)));
+      }
+
+      bindTarget(null);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      if (textures.background && backgroundEl.style.display !== 'none') {
+        drawTexture(textures.background.texture, place(view, containRect(textures.background.size, w, h)));
+      }
+      const strength = bloomStrength();
+      if (strength > 0) {
+        // CSS drop-shadow blur is twice the Gaussian's standard deviation.
+        BLOOM_LAYERS.forEach(([blurPx], i) => glow(layers, blurPx * strength * dpr / 2, bloomColors[i], i));
+      }
+      drawTexture(layers.texture, GL_FULL_TARGET);
+
+      if (effectsEnabled) {
+        if (!particleTexture) particleTexture = createTexture(null, 1, 1);
+        gl.bindTexture(gl.TEXTURE_2D, particleTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, particleCanvas);
+        drawTexture(particleTexture, place(view, [0, 0, w, h]));
+      }
+    },
+  };
+}
+
+/** Decode an <img> once into an ImageBitmap (premultiplied, at most maxSize on a side). */
+async function decodeImage(img, maxSize) {
+  try {
+    await img.decode();
+    const k = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+    const options = { premultiplyAlpha: 'premultiply' };
+    if (k < 1) {
+      options.resizeWidth  = Math.floor(img.naturalWidth * k);
+      options.resizeHeight = Math.floor(img.naturalHeight * k);
+      options.resizeQuality = 'high';
+    }
+    return await createImageBitmap(img, options);
+  } catch (err) {
+    console.warn(`Compositor: can't decode ${img.src}:`, err.message || err);
+    return null;
+  }
+}
+
+/** Decode the background and every layer frame (the ones that fail are left out). */
+async function decodeCharacter(maxSize) {
+  const images = { layers: {}, background: null };
+  const jobs = [];
+  for (const [layerId, frames] of Object.entries(layerImages)) {
+    images.layers[layerId] = {};
+    for (const [frame, img] of Object.entries(frames)) {
+      jobs.push(decodeImage(img, maxSize).then((bitmap) => {
+        if (bitmap) images.layers[layerId][frame] = bitmap;
+      }));
+    }
+  }
+  if (backgroundEl.style.display !== 'none') {
+    jobs.push(decodeImage(backgroundEl, maxSize).then((bitmap) => { images.background = bitmap; }));
+  }
+  await Promise.all(jobs);
+  return images;
+}
+
+/** The compositor for a renderer on a fresh canvas, or null if it can't run here. */
+function createCompositor(kind) {
+  const canvas = document.createElement('canvas');
+  canvas.id = 'compositor';
+  try {
+    const created = kind === 'webgl' ? createWebGLCompositor(canvas) : create2DCompositor(canvas);
+    if (!created) return null;
+    created.canvas = canvas;
+    if (kind === 'webgl') {
+      canvas.addEventListener('webglcontextlost', () => {
+        console.warn('Compositor: WebGL context lost, switching to 2D');
+        useCompositor(createCompositor('2d'));
+      });
+    }
+    return created;
+  } catch (err) {
+    console.warn(`Compositor: ${kind} failed:`, err.message);
+    return null;
+  }
+}
+
+/** Switch to a compositor (null = back to the DOM path). */
+function useCompositor(next) {
+  compositor = next;
+  if (next) {
+    if (compositeImages) next.load(compositeImages);
+    compositorEl.replaceWith(next.canvas);
+    compositorEl = next.canvas;
+  }
+  canvasEl.classList.toggle('composited', Boolean(next));
+  // Bring the DOM path up to date with what the compositor was drawing.
+  for (const [layerId, images] of Object.entries(layerImages)) {
+    for (const [frame, img] of Object.entries(images)) {
+      img.style.display = !next && layerShown[layerId] === frame ? 'block' : 'none';
+    }
+  }
+  if (!next) {
+    stageEl.style.transform = stageMatrix.toString();
+    characterEl.style.transform = characterMatrix.toString();
+  }
+  applyBloom();
+}
+
+function compositeLoop() {
+  // Nothing to draw while the page has no size (a hidden browser source).
+  if (compositor && character && canvasEl.clientWidth && canvasEl.clientHeight) compositor.draw();
+  requestAnimationFrame(compositeLoop);
+}
+
+/** Pick the renderer from ?renderer= once the character is built; the DOM path shows until then. */
+async function startCompositor() {
+  if (!RENDERER_KINDS.length) return;
+  const picked = pickRenderer(RENDERER_KINDS, createCompositor);
+  if (picked) {
+    compositeImages = await decodeCharacter(picked.compositor.maxTextureSize);
+    useCompositor(picked.compositor);
+    console.log(`Compositor: ${picked.kind}`);
+    requestAnimationFrame(compositeLoop);
+    return;
+  }
+  console.warn('Compositor: no canvas renderer available, using the DOM');
+}
+
 // ---------------------------------------------------------------------------
-// Breathing animation
+// Recording
+//
+// POST /api/record/start picks one viewer to record (record.start). That page
+// redraws what it shows – background, layers with bloom, particles, pan/zoom
+// and idle motion – onto a canvas every frame (drawComposite, whichever
+// renderer the page uses), adds the audio leaving gainNode,
+// encodes both with MediaRecorder and uploads the WebM to
+// POST /api/recordings/:id when record.stop arrives.
 // ---------------------------------------------------------------------------
-const characterEl = document.getElementById('character');
+const RECORD_FPS = 30;
+const RECORD_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+let recorder = null; // { id, uploadToken, mediaRecorder, chunks, rafId, audioDest }
+
+/** Start recording on the server's request (record.start). */
+function startRecording(msg) {
+  if (recorder) stopRecording(recorder.id);
+  if (typeof MediaRecorder === 'undefined') {
+    console.warn('Recording: MediaRecorder is not available in this browser');
+    return;
+  }
+
+  const dpr = window.devicePixelRatio || 1;
+  const canvas = document.createElement('canvas');
+  canvas.width  = Math.round(canvasEl.clientWidth * dpr);
+  canvas.height = Math.round(canvasEl.clientHeight * dpr);
+  const layerCanvas = document.createElement('canvas');
+  layerCanvas.width  = canvas.width;
+  layerCanvas.height = canvas.height;
 
-const BREATH_PERIOD    = 4000;  // ms per full breath cycle
-const BREATH_AMPLITUDE = 0.012; // scaleY variation (1.2% stretch)
+  // Everything played goes through gainNode; tap it for the recording.
+  const ctx = getAudioContext();
+  const audioDest = ctx.createMediaStreamDestination();
+  gainNode.connect(audioDest);
+
+  const stream = new MediaStream([
+    ...canvas.captureStream(RECORD_FPS).getVideoTracks(),
+    ...audioDest.stream.getAudioTracks(),
+  ]);
+  const mimeType = RECORD_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+  const mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const rec = { id: msg.id, uploadToken: msg.uploadToken, mediaRecorder, chunks: [], rafId: null, audioDest };
+
+  mediaRecorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) rec.chunks.push(e.data);
+  });
+  mediaRecorder.addEventListener('stop', () => {
+    const blob = new Blob(rec.chunks, { type: mediaRecorder.mimeType || 'video/webm' });
+    uploadRecording(rec, blob);
+  });
 
-function breathLoop(timestamp) {
-  // Smooth 0→1→0 sine curve: inhale then exhale
-  const phase  = (timestamp % BREATH_PERIOD) / BREATH_PERIOD;
-  const breath = (1 - Math.cos(phase * 2 * Math.PI)) / 2;
-  characterEl.style.transform = `scaleY(${1 + BREATH_AMPLITUDE * breath})`;
-  requestAnimationFrame(breathLoop);
+  function frame() {
+    if (character) drawComposite(canvas, layerCanvas);
+    rec.rafId = requestAnimationFrame(frame);
+  }
+  frame();
+  mediaRecorder.start(1000); // a chunk per second keeps memory spread out
+  recorder = rec;
+  console.log(`Recording ${msg.id} (${mediaRecorder.mimeType || 'default format'})`);
 }
 
-requestAnimationFrame(breathLoop);
+/** Stop recording (record.stop); the video is uploaded once MediaRecorder flushes. */
+function stopRecording(id) {
+  const rec = recorder;
+  if (!rec || rec.id !== id) return;
+  recorder = null;
+  cancelAnimationFrame(rec.rafId);
+  try { gainNode.disconnect(rec.audioDest); } catch {}
+  rec.mediaRecorder.stop();
+}
+
+async function uploadRecording(rec, blob) {
+  try {
+    const res = await fetch(`/api/recordings/${encodeURIComponent(rec.id)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': blob.type, 'X-Recording-Token': rec.uploadToken },
+      body: blob,
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.error || `HTTP ${res.status}`);
+    }
+    console.log(`Recording ${rec.id} uploaded (${blob.size} bytes)`);
+  } catch (err) {
+    console.warn('Recording upload failed:', err.message);
+  }
+}
 
 // ---------------------------------------------------------------------------
 // Control panel
@@ -503,33 +2157,675 @@ btnToggleEl.addEventListener('click', () => {
 });
 
 document.getElementById('btn-replay').addEventListener('click', async () => {
-  const res = await fetch('/api/replay');
+  const res = await apiFetch('/api/replay');
   if (!res.ok) {
     const err = await res.json().catch(() => ({}));
     console.warn('Replay:', err.error || 'failed');
   }
 });
 
-document.getElementById('volume-slider').addEventListener('input', (e) => {
-  setVolume(parseFloat(e.target.value));
+// Record button: records on this page, or stops the room's recording
+const btnRecordEl = document.getElementById('btn-record');
+let roomRecordingId = null; // recording in progress in the room (WS `recording`)
+
+function setRoomRecording(id) {
+  roomRecordingId = id;
+  btnRecordEl.classList.toggle('active', Boolean(id));
+  btnRecordEl.textContent = id ? '⏹ 録画停止' : '⏺ 録画';
+}
+
+btnRecordEl.addEventListener('click', async () => {
+  btnRecordEl.disabled = true; // stopping waits for the upload
+  try {
+    const res = roomRecordingId
+      ? await apiFetch('/api/record/stop', { method: 'POST' })
+      : await apiFetch('/api/record/start', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ connectionId: chatConnectionId || undefined }),
+        });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      console.warn('Record:', err.error || 'failed');
+    }
+  } finally {
+    btnRecordEl.disabled = false;
+  }
 });
 
-// Expression buttons
-document.querySelectorAll('.btn-expr').forEach((btn) => {
-  btn.addEventListener('click', async () => {
-    const expr = btn.dataset.expr;
-    const res = await fetch('/api/expression', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ expression: expr }),
+// The slider is heard here while dragging; the server sets it for every
+// viewer once it is released.
+const volumeSliderEl = document.getElementById('volume-slider');
+
+volumeSliderEl.addEventListener('input', () => {
+  setVolume(parseFloat(volumeSliderEl.value));
+});
+
+volumeSliderEl.addEventListener('change', async () => {
+  const res = await apiFetch('/api/volume', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ volume: parseFloat(volumeSliderEl.value) }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    console.warn('Volume:', err.error || 'failed');
+  }
+});
+
+// Camera: the room's presets, saving the current view as one, the auto camera
+const cameraPresetEl  = document.getElementById('camera-preset');
+const btnCameraAutoEl = document.getElementById('btn-camera-auto');
+const btnCameraSaveEl = document.getElementById('btn-camera-save');
+let cameraPresetName = null; // preset the room's camera went to last
+
+function showCameraPreset(name) {
+  cameraPresetName = name || null;
+  cameraPresetEl.value = cameraPresetName || '';
+}
+
+/** One option per preset, after a blank one for views that aren't presets. */
+function buildCameraPresets(presets) {
+  const blank = document.createElement('option');
+  blank.value = '';
+  blank.textContent = '🎥 カメラ';
+  cameraPresetEl.replaceChildren(blank, ...Object.keys(presets).map((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    return option;
+  }));
+  cameraPresetEl.value = cameraPresetName && cameraPresetName in presets ? cameraPresetName : '';
+}
+
+async function loadCameraPresets() {
+  try {
+    const res = await apiFetch('/api/camera');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    buildCameraPresets((await res.json()).presets);
+  } catch (err) {
+    console.warn('Camera presets:', err.message);
+  }
+}
+
+async function postCamera(body) {
+  const res = await apiFetch('/api/camera', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    console.warn('Camera:', err.error || 'failed');
+  }
+  // The server broadcasts the change back to every viewer, including us.
+}
+
+cameraPresetEl.addEventListener('change', () => {
+  if (cameraPresetEl.value) postCamera({ preset: cameraPresetEl.value });
+  else showCameraPreset(cameraPresetName);
+});
+
+btnCameraAutoEl.addEventListener('click', () => postCamera({ auto: !autoCamera }));
+
+btnCameraSaveEl.addEventListener('click', async () => {
+  const name = prompt('プリセット名（英数字・_・-）', cameraPresetName || '');
+  if (!name) return;
+  const view = currentView();
+  const fraction = (v) => Math.round(Math.min(1, Math.max(0, v)) * 1000) / 1000;
+  const res = await apiFetch(`/api/camera/presets/${encodeURIComponent(name)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ zoom: Math.round(view.zoom * 1000) / 1000, x: fraction(view.x), y: fraction(view.y) }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    console.warn('Camera preset:', err.error || 'failed');
+  }
+  // The server sends the new preset list to every viewer (camera.presets).
+});
+
+// Expression buttons, one per expression in the manifest
+function buildExpressionButtons() {
+  expressionButtonsEl.replaceChildren();
+  for (const [name, expr] of Object.entries(character.expressions)) {
+    const btn = document.createElement('button');
+    btn.className = 'btn-expr';
+    btn.dataset.expr = name;
+    btn.textContent = expr.label;
+    btn.addEventListener('click', async () => {
+      const res = await apiFetch('/api/expression', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ expression: name }),
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        console.warn('Expression:', err.error || 'failed');
+      }
+      // The server broadcasts the change back to every viewer, including us.
     });
-    if (res.ok) {
-      document.querySelectorAll('.btn-expr').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
+    expressionButtonsEl.appendChild(btn);
+  }
+}
+
+// History list: received clips of this room, newest first, replayable by id
+const HISTORY_PAGE_SIZE = 20;
+const SOURCE_LABELS = { upload: 'アップロード', watcher: 'ファイル監視', chat: 'チャット' };
+
+const historyPanelEl = document.getElementById('history-panel');
+const historyListEl  = document.getElementById('history-list');
+const historyEmptyEl = document.getElementById('history-empty');
+const historyMoreEl  = document.getElementById('history-more');
+const btnHistoryEl   = document.getElementById('btn-history');
+let historyShown = 0; // entries currently listed
+
+function appendHistoryItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const play = document.createElement('button');
+  play.className = 'history-play';
+  play.textContent = '▶';
+  play.title = '再生';
+  play.addEventListener('click', async () => {
+    const res = await apiFetch(`/api/history/${encodeURIComponent(entry.id)}/replay`, { method: 'POST' });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      console.warn('History replay:', err.error || 'failed');
     }
   });
+
+  const text = document.createElement('div');
+  text.className = 'history-text';
+  const label = document.createElement('span');
+  label.className = 'history-label';
+  label.textContent = entry.text || entry.filename || entry.id;
+  label.title = label.textContent;
+  const meta = document.createElement('span');
+  meta.className = 'history-meta';
+  meta.textContent = [
+    new Date(entry.timestamp).toLocaleString(),
+    SOURCE_LABELS[entry.source] || entry.source,
+    entry.duration != null ? `${entry.duration.toFixed(1)}s` : null,
+  ].filter(Boolean).join(' · ');
+  text.append(label, meta);
+
+  item.append(play, text);
+  historyListEl.appendChild(item);
+}
+
+/** Fetch the next page of history (or the first one when `reset`). */
+async function loadHistory(reset) {
+  if (reset) {
+    historyListEl.replaceChildren();
+    historyShown = 0;
+  }
+  try {
+    const res = await apiFetch(`/api/history?offset=${historyShown}&limit=${HISTORY_PAGE_SIZE}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const page = await res.json();
+    page.items.forEach(appendHistoryItem);
+    historyShown += page.items.length;
+    historyEmptyEl.hidden = page.total > 0;
+    historyMoreEl.hidden  = historyShown >= page.total;
+  } catch (err) {
+    console.warn('History:', err.message);
+  }
+}
+
+btnHistoryEl.addEventListener('click', () => {
+  historyPanelEl.hidden = !historyPanelEl.hidden;
+  btnHistoryEl.classList.toggle('active', !historyPanelEl.hidden);
+  if (!historyPanelEl.hidden) loadHistory(true);
 });
 
+historyMoreEl.addEventListener('click', () => loadHistory(false));
+
+// ---------------------------------------------------------------------------
+// Chat markdown
+//
+// Assistant replies are shown as markdown: paragraphs, headings, lists,
+// quotes, tables, fenced code (highlighted, with a copy button), links,
+// images, **bold**, *italic*, ~~strike~~ and `code`. Everything is built as
+// DOM nodes from the text, so HTML in a reply stays text, and only absolute
+// http(s)/mailto links and http(s)/raster data: images are made live.
+// A streaming reply is re-rendered as it grows (an unclosed ``` shows as code
+// until its fence arrives).
+// ---------------------------------------------------------------------------
+const MD_FENCE_RE   = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const MD_HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MD_HR_RE      = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MD_QUOTE_RE   = /^ {0,3}> ?/;
+const MD_LIST_RE    = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_DIVIDER_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Spans, leftmost first; at the same position the earlier alternative wins.
+const MD_INLINE_RE = new RegExp([
+  /(?<code>(?<ticks>`+)(?<codeText>[\s\S]*?[^`])\k<ticks>(?!`))/.source,
+  /(?<image>!\[(?<imageAlt>[^\]]*)\]\(\s*<?(?<imageUrl>(?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\))/.source,
+  /(?<link>\[(?<linkText>(?:[^[\]]|\[[^\]]*\])*)\]\(\s*<?(?<linkUrl>(?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\))/.source,
+  /(?<autolink><(?<autolinkUrl>(?:https?:\/\/|mailto:)[^\s>]+)>)/.source,
+  /(?<url>https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~])/.source,
+  /(?<strong>\*\*(?=\S)(?<strongText>[\s\S]*?\S)\*\*|(?<!\w)__(?=\S)(?<strongText2>[\s\S]*?\S)__(?!\w))/.source,
+  /(?<strike>~~(?=\S)(?<strikeText>[\s\S]*?\S)~~)/.source,
+  /(?<em>\*(?=[^\s*])(?<emText>[\s\S]*?[^\s*])\*|(?<!\w)_(?=[^\s_])(?<emText2>[\s\S]*?[^\s_])_(?!\w))/.source,
+  /(?<escape>\\(?<escaped>[!-/:-@[-`{-~]))/.source,
+  /(?<br>\n)/.source,
+].join('|'), 'g');
+
+/**
+ * A link or image URL that is safe to make live, or null.
+ * @param {string} url
+ * @param {boolean} [image]  Images may also be data: URLs of raster formats.
+ */
+function safeChatUrl(url, image = false) {
+  if (image && /^data:image\/(?:png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/i.test(url)) return url;
+  if (!(/^https?:\/\//i.test(url) || (!image && /^mailto:/i.test(url)))) return null;
+  try {
+    return new URL(url).href;
+  } catch {
+    return null;
+  }
+}
+
+/** An <img> for a reply's image, or null when its URL isn't allowed. */
+function chatImage(url, alt = '') {
+  const src = safeChatUrl(url, true);
+  if (!src) return null;
+  const img = document.createElement('img');
+  img.className = 'chat-image';
+  img.src = src;
+  img.alt = alt;
+  img.loading = 'lazy';
+  img.referrerPolicy = 'no-referrer';
+  return img;
+}
+
+/** Append the spans of one block's text to `parent`. */
+function appendInline(parent, text) {
+  let last = 0;
+  for (const match of text.matchAll(MD_INLINE_RE)) {
+    if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+    last = match.index + match[0].length;
+    const g = match.groups;
+
+    if (g.code) {
+      const code = document.createElement('code');
+      code.textContent = g.codeText.replace(/\n/g, ' ');
+      parent.appendChild(code);
+    } else if (g.image) {
+      const img = chatImage(g.imageUrl, g.imageAlt);
+      parent.appendChild(img || document.createTextNode(g.imageAlt));
+    } else if (g.link || g.autolink || g.url) {
+      const url = g.linkUrl || g.autolinkUrl || g.url;
+      const href = safeChatUrl(url);
+      const a = href ? document.createElement('a') : document.createElement('span');
+      if (href) {
+        a.href = href;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+      }
+      if (g.link && g.linkText) appendInline(a, g.linkText);
+      else a.textContent = url.replace(/^mailto:/i, '');
+      parent.appendChild(a);
+    } else if (g.strong || g.strike || g.em) {
+      const el = document.createElement(g.strong ? 'strong' : g.strike ? 'del' : 'em');
+      appendInline(el, g.strongText ?? g.strongText2 ?? g.strikeText ?? g.emText ?? g.emText2);
+      parent.appendChild(el);
+    } else if (g.escape) {
+      parent.appendChild(document.createTextNode(g.escaped));
+    } else {
+      parent.appendChild(document.createElement('br'));
+    }
+  }
+  if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function isTableStart(line, next) {
+  return line.includes('|') && next !== undefined && next.includes('|') && next.includes('-') && MD_DIVIDER_RE.test(next);
+}
+
+/** Does `line` begin a block other than a paragraph? */
+function startsBlock(line, next) {
+  return MD_FENCE_RE.test(line) || MD_HEADING_RE.test(line) || MD_HR_RE.test(line) ||
+    MD_QUOTE_RE.test(line) || MD_LIST_RE.test(line) || isTableStart(line, next);
+}
+
+/** Cells of a table row, without the outer pipes. */
+function tableCells(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/** Append the blocks of `lines` to `parent`. */
+function appendBlocks(parent, lines) {
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = MD_FENCE_RE.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      const code = [];
+      for (i++; i < lines.length; i++) {
+        const closing = lines[i].trim();
+        if (closing.startsWith(marker) && closing === closing[0].repeat(closing.length)) break;
+        code.push(lines[i]);
+      }
+      i++; // the closing fence, or past the end of a reply still streaming
+      parent.appendChild(codeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+
+    const heading = MD_HEADING_RE.exec(line);
+    if (heading) {
+      const h = document.createElement(`h${heading[1].length}`);
+      appendInline(h, heading[2]);
+      parent.appendChild(h);
+      i++;
+      continue;
+    }
+
+    if (MD_HR_RE.test(line)) {
+      parent.appendChild(document.createElement('hr'));
+      i++;
+      continue;
+    }
+
+    if (MD_QUOTE_RE.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && lines[i].trim(); i++) quoted.push(lines[i].replace(MD_QUOTE_RE, ''));
+      const blockquote = document.createElement('blockquote');
+      appendBlocks(blockquote, quoted);
+      parent.appendChild(blockquote);
+      continue;
+    }
+
+    if (MD_LIST_RE.test(line)) {
+      i = appendList(parent, lines, i);
+      continue;
+    }
+
+    if (isTableStart(line, lines[i + 1])) {
+      i = appendTable(parent, lines, i);
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1]); i++) {
+      paragraph.push(lines[i].trim());
+    }
+    const p = document.createElement('p');
+    appendInline(p, paragraph.join('\n'));
+    parent.appendChild(p);
+  }
+}
+
+/**
+ * Append the list starting at lines[i]; deeper-indented lines belong to its
+ * items (nested lists, continued paragraphs).
+ * @returns {number}  Index of the first line after the list.
+ */
+function appendList(parent, lines, i) {
+  const first = MD_LIST_RE.exec(lines[i]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const sameList = (m) => m && m[1].length === indent && /\d/.test(m[2]) === ordered;
+  const items = []; // { lines, contentIndent }
+  let loose = false;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = MD_LIST_RE.exec(line);
+    if (sameList(item)) {
+      items.push({ lines: [item[3]], contentIndent: item[0].length - item[3].length });
+      i++;
+      continue;
+    }
+    const current = items[items.length - 1];
+    const lead = line.length - line.trimStart().length;
+    if (!line.trim()) {
+      // A blank line continues the list only if more of it follows.
+      const next = lines[i + 1];
+      const nextLead = next === undefined ? 0 : next.length - next.trimStart().length;
+      if (next === undefined || !next.trim() || !(nextLead > indent || sameList(MD_LIST_RE.exec(next)))) break;
+      current.lines.push('');
+      loose = loose || nextLead <= indent;
+      i++;
+      continue;
+    }
+    if (lead > indent) {
+      current.lines.push(line.slice(Math.min(lead, current.contentIndent)));
+    } else if (current.lines[current.lines.length - 1].trim() && !startsBlock(line, lines[i + 1])) {
+      current.lines.push(line.trim()); // lazy continuation of the item's paragraph
+    } else {
+      break;
+    }
+    i++;
+  }
+
+  const list = document.createElement(ordered ? 'ol' : 'ul');
+  const start = parseInt(first[2], 10);
+  if (ordered && start !== 1) list.start = start;
+  for (const item of items) {
+    const li = document.createElement('li');
+    appendBlocks(li, item.lines);
+    if (!loose) {
+      for (const p of li.querySelectorAll(':scope > p')) p.replaceWith(...p.childNodes);
+    }
+    list.appendChild(li);
+  }
+  parent.appendChild(list);
+  return i;
+}
+
+/**
+ * Append the table whose header is lines[i] (the divider follows it).
+ * @returns {number}  Index of the first line after the table.
+ */
+function appendTable(parent, lines, i) {
+  const header = tableCells(lines[i]);
+  const align = tableCells(lines[i + 1]).map((cell) =>
+    cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : cell.startsWith(':') ? 'left' : '');
+
+  function row(cells, tag) {
+    const tr = document.createElement('tr');
+    header.forEach((_, col) => {
+      const cell = document.createElement(tag);
+      if (align[col]) cell.style.textAlign = align[col];
+      appendInline(cell, cells[col] || '');
+      tr.appendChild(cell);
+    });
+    return tr;
+  }
+
+  const table = document.createElement('table');
+  const thead = table.createTHead();
+  thead.appendChild(row(header, 'th'));
+  const tbody = table.createTBody();
+  for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) {
+    tbody.appendChild(row(tableCells(lines[i]), 'td'));
+  }
+  // Wide tables scroll sideways inside the bubble.
+  const wrap = document.createElement('div');
+  wrap.className = 'chat-table';
+  wrap.appendChild(table);
+  parent.appendChild(wrap);
+  return i;
+}
+
+/** Render markdown `text` as a fragment. */
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  appendBlocks(fragment, text.replace(/\r\n?/g, '\n').split('\n'));
+  return fragment;
+}
+
+// ---------------------------------------------------------------------------
+// Code blocks: a language label, a copy button and light highlighting.
+//
+// The highlighter only knows comments, strings, numbers and keywords – enough
+// to make a snippet readable, not a parser. Unknown languages stay plain.
+// ---------------------------------------------------------------------------
+const C_KEYWORDS = 'auto bool break case catch char class const continue default delete do double else enum extern ' +
+  'false final float fn for func go goto if impl implements import include int interface let long loop match mod ' +
+  'mut namespace new nil null package private protected pub public return self short signed sizeof static struct ' +
+  'super switch template this throw throws true try type typedef unsigned use using var void volatile where while';
+
+const CODE_GRAMMARS = {
+  js: {
+    comments: [/\/\/.*/, /\/\*[\s\S]*?(?:\*\/|$)/],
+    strings: [/`(?:\\[\s\S]|[^`\\])*`?/, /"(?:\\.|[^"\\\n])*"?/, /'(?:\\.|[^'\\\n])*'?/],
+    keywords: 'as async await break case catch class const continue debugger default delete do else enum export ' +
+      'extends false finally for from function if implements import in instanceof interface let new null of private ' +
+      'protected public readonly return static super switch this throw true try type typeof undefined var void while yield',
+  },
+  python: {
+    comments: [/#.*/],
+    strings: [/[rbfu]{0,2}"""[\s\S]*?(?:"""|$)/, /[rbfu]{0,2}'''[\s\S]*?(?:'''|$)/, /[rbfu]{0,2}"(?:\\.|[^"\\\n])*"?/, /[rbfu]{0,2}'(?:\\.|[^'\\\n])*'?/],
+    keywords: 'False None True and as assert async await break class continue def del elif else except finally for ' +
+      'from global if import in is lambda match nonlocal not or pass raise return try while with yield',
+  },
+  bash: {
+    comments: [/(?<![\w$])#.*/],
+    strings: [/"(?:\\[\s\S]|[^"\\])*"?/, /'[^']*'?/],
+    keywords: 'case do done elif else esac exit export fi for function if in local readonly return set shift then unset until while',
+  },
+  json: {
+    strings: [/"(?:\\.|[^"\\\n])*"?/],
+    keywords: 'false null true',
+  },
+  yaml: {
+    comments: [/(?<!\S)#.*/],
+    strings: [/"(?:\\.|[^"\\\n])*"?/, /'(?:''|[^'\n])*'?/],
+    keywords: 'false no null off on true yes',
+  },
+  css: {
+    comments: [/\/\*[\s\S]*?(?:\*\/|$)/],
+    strings: [/"(?:\\.|[^"\\\n])*"?/, /'(?:\\.|[^'\\\n])*'?/],
+    keywords: 'important inherit initial none unset',
+  },
+  sql: {
+    comments: [/--.*/, /\/\*[\s\S]*?(?:\*\/|$)/],
+    strings: [/'(?:''|[^'])*'?/],
+    keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group ' +
+      'having in index inner insert into is join key left like limit not null offset on or order outer primary ' +
+      'right select set table then union update values view when where with',
+    ignoreCase: true,
+  },
+  c: {
+    comments: [/\/\/.*/, /\/\*[\s\S]*?(?:\*\/|$)/, /^\s*#\s*\w+/m],
+    strings: [/"(?:\\.|[^"\\\n])*"?/, /'(?:\\.|[^'\\\n])'?/, /`[^`]*`?/],
+    keywords: C_KEYWORDS,
+  },
+};
+
+const CODE_LANGUAGES = {
+  js: 'js', javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', ts: 'js', typescript: 'js', tsx: 'js',
+  py: 'python', python: 'python',
+  sh: 'bash', bash: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  json: 'json', jsonc: 'js', json5: 'js',
+  yaml: 'yaml', yml: 'yaml', toml: 'yaml', ini: 'yaml',
+  css: 'css', scss: 'css',
+  sql: 'sql',
+  c: 'c', h: 'c', cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', java: 'c', kotlin: 'c', go: 'c', golang: 'c',
+  rust: 'c', rs: 'c', swift: 'c', php: 'c',
+};
+
+const compiledGrammars = new Map(); // grammar name -> RegExp
+
+/** One global RegExp whose named groups are the token kinds, or null for plain text. */
+function codeGrammar(lang) {
+  const name = CODE_LANGUAGES[lang.toLowerCase()];
+  if (!name) return null;
+  if (!compiledGrammars.has(name)) {
+    const grammar = CODE_GRAMMARS[name];
+    const words = grammar.keywords.split(' ').join('|');
+    const parts = [];
+    if (grammar.comments) parts.push(`(?<comment>${grammar.comments.map((re) => re.source).join('|')})`);
+    parts.push(`(?<string>${grammar.strings.map((re) => re.source).join('|')})`);
+    parts.push('(?<number>\\b(?:0[xX][\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)');
+    parts.push(`(?<keyword>\\b(?:${words})\\b)`);
+    compiledGrammars.set(name, new RegExp(parts.join('|'), grammar.ignoreCase ? 'gim' : 'gm'));
+  }
+  return compiledGrammars.get(name);
+}
+
+/** Fill `codeEl` with `code`, wrapping tokens in <span class="tok-…">. */
+function highlightCode(codeEl, code, lang) {
+  const grammar = codeGrammar(lang);
+  if (!grammar) {
+    codeEl.textContent = code;
+    return;
+  }
+  let last = 0;
+  for (const match of code.matchAll(grammar)) {
+    if (match.index > last) codeEl.appendChild(document.createTextNode(code.slice(last, match.index)));
+    const token = document.createElement('span');
+    token.className = `tok-${Object.keys(match.groups).find((kind) => match.groups[kind] !== undefined)}`;
+    token.textContent = match[0];
+    codeEl.appendChild(token);
+    last = match.index + match[0].length;
+  }
+  if (last < code.length) codeEl.appendChild(document.createTextNode(code.slice(last)));
+}
+
+/** Copy `text`; the Clipboard API is missing on plain-http LAN pages, so fall back to execCommand. */
+async function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.appendChild(area);
+  area.select();
+  const copied = document.execCommand('copy');
+  area.remove();
+  if (!copied) throw new Error('copy was refused');
+}
+
+function codeBlock(code, lang) {
+  const block = document.createElement('div');
+  block.className = 'chat-code';
+
+  const bar = document.createElement('div');
+  bar.className = 'chat-code-bar';
+  const label = document.createElement('span');
+  label.textContent = lang || 'code';
+  const copy = document.createElement('button');
+  copy.type = 'button';
+  copy.className = 'chat-code-copy';
+  copy.textContent = 'Copy';
+  copy.addEventListener('click', async () => {
+    try {
+      await copyText(code);
+      copy.textContent = 'Copied';
+    } catch (err) {
+      console.warn('Copy failed:', err.message);
+      copy.textContent = 'Failed';
+    }
+    setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+  });
+  bar.append(label, copy);
+
+  const pre = document.createElement('pre');
+  const codeEl = document.createElement('code');
+  highlightCode(codeEl, code, lang);
+  pre.appendChild(codeEl);
+  block.append(bar, pre);
+  return block;
+}
+
 // ---------------------------------------------------------------------------
 // Chat UI  (Stage 1)
 //
@@ -537,15 +2833,37 @@ document.querySelectorAll('.btn-expr').forEach((btn) => {
 // is handled server-side.  The browser only:
 //   1. POSTs { text } to /api/chat
 //   2. Receives chat.delta / chat.final / chat.error via the existing WS
+//      (assistant text is rendered as markdown, see Chat markdown above)
+//   3. GETs earlier messages of the session from /api/chat/history
+//   4. POSTs to /api/chat/:runId/abort when Stop is pressed
+//   5. POSTs recordings to /api/listen (see Voice input below)
+//
+// Replies are matched to the entry that asked by runId; the server only sends
+// a tab its own runs. With ?mirror=1 the panel is a read-only view of every
+// conversation in the room instead.
 // ---------------------------------------------------------------------------
+const CHAT_MIRROR = new URLSearchParams(location.search).get('mirror') === '1';
+
 const chatPanelEl    = document.getElementById('chat-panel');
 const chatToggleEl   = document.getElementById('chat-toggle');
 const chatTranscript = document.getElementById('chat-transcript');
 const chatInputEl    = document.getElementById('chat-input');
 const chatSendEl     = document.getElementById('chat-send');
+const chatStopEl     = document.getElementById('chat-stop');
+const chatOlderEl    = document.getElementById('chat-load-older');
 
-// Currently streaming assistant entry (content span), null when idle.
+// Currently streaming assistant entry (content element), null when idle.
 let activeAssistantContent = null;
+// Gateway run of that entry (the idempotencyKey sent to /api/chat).
+let activeRunId = null;
+// This tab's WebSocket connection, as announced by the server.
+let chatConnectionId = null;
+// Mirror mode: runId -> content element of other viewers' replies.
+const mirroredRuns = new Map();
+// Assistant content element -> { text, images, frame }: the markdown it shows.
+const chatSources = new WeakMap();
+
+if (CHAT_MIRROR) document.getElementById('chat-input-row').hidden = true;
 
 /** Toggle the chat panel open/closed. */
 chatToggleEl.addEventListener('click', () => {
@@ -554,12 +2872,11 @@ chatToggleEl.addEventListener('click', () => {
 });
 
 /**
- * Append a new entry row to the transcript.
- * @param {'user'|'assistant'} role
- * @param {string} text  Initial text content.
- * @returns {HTMLElement}  The content span (so callers can update it live).
+ * Build a transcript entry row. Assistant text is markdown; the user's is
+ * shown as typed.
+ * @param {string[]} [images]  URLs of images sent with the message.
  */
-function appendChatEntry(role, text) {
+function createChatEntry(role, text, images = []) {
   const entry = document.createElement('div');
   entry.className = `chat-entry chat-entry--${role}`;
 
@@ -567,12 +2884,60 @@ function appendChatEntry(role, text) {
   roleLabel.className = 'chat-entry-role';
   roleLabel.textContent = role === 'user' ? 'You' : 'Assistant';
 
-  const content = document.createElement('span');
+  const content = document.createElement('div');
   content.className = 'chat-entry-content';
-  content.textContent = text;
+  if (role === 'assistant') {
+    setChatMarkdown(content, text, images);
+  } else {
+    content.textContent = text;
+    content.append(...images.map((url) => chatImage(url)).filter(Boolean));
+  }
 
   entry.appendChild(roleLabel);
   entry.appendChild(content);
+  return entry;
+}
+
+/** Show the entry's markdown and images. */
+function renderChatContent(content) {
+  const source = chatSources.get(content);
+  content.classList.add('chat-md');
+  content.replaceChildren(renderMarkdown(source.text), ...source.images.map((url) => chatImage(url)).filter(Boolean));
+}
+
+/** Replace an assistant entry's text (and images) and render it now. */
+function setChatMarkdown(content, text, images = []) {
+  const source = chatSources.get(content);
+  if (source) cancelAnimationFrame(source.frame);
+  chatSources.set(content, { text, images, frame: 0 });
+  renderChatContent(content);
+}
+
+/** Add streamed text to an assistant entry; it is re-rendered once per frame. */
+function appendChatMarkdown(content, text) {
+  let source = chatSources.get(content);
+  if (!source) {
+    source = { text: '', images: [], frame: 0 };
+    chatSources.set(content, source);
+  }
+  source.text += text;
+  if (source.frame) return;
+  source.frame = requestAnimationFrame(() => {
+    source.frame = 0;
+    renderChatContent(content);
+    chatTranscript.scrollTop = chatTranscript.scrollHeight;
+  });
+}
+
+/**
+ * Append a new entry row to the transcript.
+ * @param {'user'|'assistant'} role
+ * @param {string} text  Initial text content.
+ * @returns {HTMLElement}  The content element (so callers can update it live).
+ */
+function appendChatEntry(role, text) {
+  const entry = createChatEntry(role, text);
+  const content = entry.querySelector('.chat-entry-content');
   chatTranscript.appendChild(entry);
 
   // Auto-scroll to bottom.
@@ -581,10 +2946,20 @@ function appendChatEntry(role, text) {
   return content;
 }
 
-/** Enable or disable the send controls together. */
+/** Enable or disable the send controls together; Stop takes Send's place while disabled. */
 function setChatControlsEnabled(enabled) {
   chatInputEl.disabled = !enabled;
+  chatMicEl.disabled   = !enabled;
   chatSendEl.disabled  = !enabled;
+  chatSendEl.hidden    = !enabled;
+  chatStopEl.hidden    = enabled;
+  chatStopEl.disabled  = true; // until the run id is known
+}
+
+/** Random run id (crypto.randomUUID() is missing on plain-http LAN pages). */
+function newRunId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
 }
 
 /** Send the typed message to the server. */
@@ -596,25 +2971,21 @@ async function sendChatMessage() {
 
   // Show the user's message in the transcript immediately.
   appendChatEntry('user', text);
-
-  // Pre-create the assistant entry that will be filled in by streaming events.
-  const assistantContent = appendChatEntry('assistant', '');
-  assistantContent.closest('.chat-entry').classList.add('chat-entry--streaming');
-  activeAssistantContent = assistantContent;
-
-  setChatControlsEnabled(false);
+  const runId = startAssistantEntry();
 
   try {
-    const res  = await fetch('/api/chat', {
+    const res  = await apiFetch('/api/chat', {
       method:  'POST',
       headers: { 'Content-Type': 'application/json' },
-      body:    JSON.stringify({ text }),
+      body:    JSON.stringify({ text, connectionId: chatConnectionId || undefined, idempotencyKey: runId }),
     });
     const data = await res.json();
 
     if (!res.ok || !data.ok) {
       // Server returned an error before even reaching the gateway.
       finishAssistantEntry('[Error: ' + (data.error || 'server error') + ']', true);
+    } else if (activeRunId === runId) {
+      chatStopEl.disabled = false;
     }
     // On success, streaming reply arrives as WebSocket events (chat.delta / chat.final).
   } catch (err) {
@@ -622,41 +2993,154 @@ async function sendChatMessage() {
   }
 }
 
+/**
+ * Pre-create the assistant entry that will be filled in by streaming events
+ * and lock the input until it is finished.
+ * @returns {string}  The run id to send with the message.
+ */
+function startAssistantEntry() {
+  const assistantContent = appendChatEntry('assistant', '');
+  assistantContent.closest('.chat-entry').classList.add('chat-entry--streaming');
+  activeAssistantContent = assistantContent;
+  // Chosen here so events that beat the HTTP response still find their entry.
+  const runId = activeRunId = newRunId();
+
+  setChatControlsEnabled(false);
+  return runId;
+}
+
 /**
  * Finalise the active assistant entry and re-enable input.
  * @param {string|null} finalText  If non-null, overwrite the content.
  * @param {boolean}     isError    Whether to mark the entry as an error.
+ * @param {string[]}    [images]   Image URLs of the reply.
  */
-function finishAssistantEntry(finalText, isError) {
+function finishAssistantEntry(finalText, isError, images) {
   if (!activeAssistantContent) return;
 
-  const entry = activeAssistantContent.closest('.chat-entry');
+  settleChatEntry(activeAssistantContent, finalText, isError, images);
+
+  activeAssistantContent = null;
+  activeRunId = null;
+  setChatControlsEnabled(true);
+  chatInputEl.focus();
+}
+
+/**
+ * Mark a streamed entry as finished, optionally replacing its text.
+ * Errors are shown as plain text.
+ * @param {string[]} [images]  URLs of images that came with the reply.
+ */
+function settleChatEntry(content, finalText, isError, images = []) {
+  const entry = content.closest('.chat-entry');
   entry.classList.remove('chat-entry--streaming');
 
-  if (finalText !== null) {
-    activeAssistantContent.textContent = finalText;
-  }
   if (isError) {
+    const source = chatSources.get(content);
+    if (source) cancelAnimationFrame(source.frame);
+    chatSources.delete(content);
+    content.classList.remove('chat-md');
+    content.textContent = finalText;
     entry.classList.add('chat-entry--error');
+  } else {
+    const source = chatSources.get(content);
+    setChatMarkdown(content, finalText !== null ? finalText : source ? source.text : '', images);
+    chatTranscript.scrollTop = chatTranscript.scrollHeight;
   }
+}
 
-  activeAssistantContent = null;
-  setChatControlsEnabled(true);
-  chatInputEl.focus();
+/** Stop the streaming reply (and any speech queued from it). */
+async function abortChatReply() {
+  if (!activeRunId) return;
+  const runId = activeRunId;
+  chatStopEl.disabled = true;
+  try {
+    const res  = await apiFetch(`/api/chat/${encodeURIComponent(runId)}/abort`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    // The gateway confirms with chat.final (state "aborted"); don't leave the
+    // input locked if that never comes.
+    if (activeRunId === runId) {
+      activeAssistantContent.closest('.chat-entry').dataset.state = 'aborted';
+      finishAssistantEntry(null, false);
+    }
+  } catch (err) {
+    console.warn('Abort failed:', err.message);
+    if (activeRunId === runId) chatStopEl.disabled = false;
+  }
+}
+
+// Session history: pages of earlier messages, newest page first.
+let chatHistoryOffset = 0;    // offset of the next (older) page; null when none left
+let chatHistoryLoading = false;
+
+/**
+ * Fetch the next older page of the session and insert it above what is shown,
+ * keeping the scroll position (or staying at the bottom on the first page).
+ */
+async function loadChatHistory() {
+  if (chatHistoryLoading || chatHistoryOffset === null) return;
+  chatHistoryLoading = true;
+  chatOlderEl.disabled = true;
+  try {
+    const res  = await apiFetch(`/api/chat/history?offset=${chatHistoryOffset}`);
+    const data = await res.json();
+    if (res.status === 503 && chatHistoryOffset === 0) {
+      // Gateway not connected yet (server just started) – try again shortly.
+      setTimeout(loadChatHistory, 3000);
+      return;
+    }
+    if (res.status === 401 || res.status === 403) {
+      // Display-only page (no API key with the chat scope): nothing to show.
+      chatHistoryOffset = null;
+      return;
+    }
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+    const first = chatHistoryOffset === 0;
+    const fromBottom = chatTranscript.scrollHeight - chatTranscript.scrollTop;
+    const anchor = chatOlderEl.nextSibling;
+    for (const message of data.messages) {
+      const entry = createChatEntry(message.role, message.text, message.images || []);
+      entry.classList.add('chat-entry--history');
+      chatTranscript.insertBefore(entry, anchor);
+    }
+    chatTranscript.scrollTop = first ? chatTranscript.scrollHeight : chatTranscript.scrollHeight - fromBottom;
+
+    chatHistoryOffset = data.nextOffset;
+    chatOlderEl.hidden = chatHistoryOffset === null;
+  } catch (err) {
+    console.warn('Chat history:', err.message);
+    chatOlderEl.hidden = false; // the button retries
+  } finally {
+    chatHistoryLoading = false;
+    chatOlderEl.disabled = false;
+  }
 }
 
+chatOlderEl.addEventListener('click', loadChatHistory);
+
 /**
  * Handle chat streaming events relayed from the gateway via WebSocket.
  * Called from the existing ws.addEventListener('message', …) handler.
  *
- * @param {{ type: string, runId?: string, text?: string, state?: string, error?: string }} msg
+ * @param {{ type: string, runId?: string, text?: string, images?: string[], state?: string, error?: string }} msg
  */
 function handleChatEvent(msg) {
+  if (msg.runId && msg.runId === activeRunId) {
+    handleOwnChatEvent(msg);
+  } else if (CHAT_MIRROR) {
+    mirrorChatEvent(msg);
+  }
+  // Anything else is another viewer's conversation.
+}
+
+/** Events of the reply this tab is waiting for. */
+function handleOwnChatEvent(msg) {
   if (msg.type === 'chat.delta') {
     // Streamed chunk: append to the live entry.
     if (!activeAssistantContent) return;
-    activeAssistantContent.textContent += msg.text || '';
-    chatTranscript.scrollTop = chatTranscript.scrollHeight;
+    appendChatMarkdown(activeAssistantContent, msg.text || '');
 
   } else if (msg.type === 'chat.final') {
     // Stream complete.  The final message may carry the full text.
@@ -666,7 +3150,7 @@ function handleChatEvent(msg) {
     if (msg.runId) entry.dataset.runId = msg.runId;
     if (msg.state) entry.dataset.state = msg.state;
     // If the final event includes the complete text, prefer it; otherwise keep deltas.
-    finishAssistantEntry(msg.text != null ? msg.text : null, false);
+    finishAssistantEntry(msg.text != null ? msg.text : null, false, msg.images);
 
   } else if (msg.type === 'chat.error') {
     // Gateway reported an error for this run.
@@ -676,8 +3160,55 @@ function handleChatEvent(msg) {
   }
 }
 
+/** Mirror mode: show every conversation in the room as it happens. */
+function mirrorChatEvent(msg) {
+  if (msg.type === 'chat.user') {
+    appendChatEntry('user', msg.text || '');
+    return;
+  }
+
+  const content = mirroredEntry(msg.runId);
+
+  if (msg.type === 'chat.delta') {
+    appendChatMarkdown(content, msg.text || '');
+  } else if (msg.type === 'chat.final') {
+    if (msg.state) content.closest('.chat-entry').dataset.state = msg.state;
+    settleChatEntry(content, msg.text != null ? msg.text : null, false, msg.images);
+    mirroredRuns.delete(msg.runId);
+  } else if (msg.type === 'chat.error') {
+    settleChatEntry(content, '[Error: ' + (msg.error || 'unknown gateway error') + ']', true);
+    mirroredRuns.delete(msg.runId);
+  }
+}
+
+/** Content element of another viewer's reply, created on its first event. */
+function mirroredEntry(runId) {
+  let content = mirroredRuns.get(runId);
+  if (!content) {
+    content = appendChatEntry('assistant', '');
+    content.closest('.chat-entry').classList.add('chat-entry--streaming');
+    mirroredRuns.set(runId, content);
+  }
+  return content;
+}
+
+/**
+ * A reply that was already streaming when we connected (from the `state`
+ * snapshot): show the text so far; further chat.delta events append to it.
+ * @param {{ runId: string, text: string }} run
+ */
+function catchUpChatRun(run) {
+  let content = null;
+  if (run.runId === activeRunId) content = activeAssistantContent;
+  else if (CHAT_MIRROR) content = mirroredEntry(run.runId);
+  if (!content) return;
+  setChatMarkdown(content, run.text);
+  chatTranscript.scrollTop = chatTranscript.scrollHeight;
+}
+
 // Wire up send button and Enter key.
 chatSendEl.addEventListener('click', sendChatMessage);
+chatStopEl.addEventListener('click', abortChatReply);
 chatInputEl.addEventListener('keydown', (e) => {
   if (e.key === 'Enter' && !e.shiftKey) {
     e.preventDefault();
@@ -685,19 +3216,261 @@ chatInputEl.addEventListener('keydown', (e) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Voice input (push-to-talk)
+//
+// Hold 🎤 and talk, let go to send. A short tap records hands-free instead:
+// tap again to send, or let voice-activity detection end the recording once
+// you have been quiet for LISTEN_SILENCE_MS (?vad=0 turns that off). The clip
+// is re-encoded here as 16 kHz mono WAV and posted to /api/listen, which
+// transcribes it (STT_PROVIDER) and sends the text on like a typed message;
+// the bubble shows what was heard. The button only appears when the server
+// announces STT in the `connection` message, and getUserMedia needs
+// localhost or https.
+// ---------------------------------------------------------------------------
+const LISTEN_VAD = new URLSearchParams(location.search).get('vad') !== '0';
+const LISTEN_THRESHOLD   = 0.02;   // RMS level counted as speech
+const LISTEN_SILENCE_MS  = 1200;   // quiet after speech that ends a hands-free recording
+const LISTEN_NO_SPEECH_MS = 8000;  // hands-free recording dropped when nothing is said
+const LISTEN_MAX_MS      = 60_000; // longest recording
+const LISTEN_HOLD_MS     = 350;    // pressed longer than this = push-to-talk
+const LISTEN_SAMPLE_RATE = 16000;
+
+const CAN_RECORD_VOICE = Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+
+const chatMicEl = document.getElementById('chat-mic');
+
+// The recording in progress, null when idle:
+// { pressedAt, handsFree, stopRequested, cancelled, stream, recorder, chunks, timers, disconnect }
+let listening = null;
+
+/** Start recording from the microphone. */
+async function startListening() {
+  if (listening || chatMicEl.disabled) return;
+  const session = { pressedAt: performance.now(), handsFree: false, stopRequested: false, cancelled: false, chunks: [] };
+  listening = session;
+  chatMicEl.classList.add('recording');
+
+  try {
+    session.stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+  } catch (err) {
+    console.warn('Microphone:', err.message);
+    endListening(session);
+    return;
+  }
+  // Released while the permission prompt was up: nothing was recorded.
+  if (session.stopRequested) {
+    endListening(session);
+    return;
+  }
+
+  const recorder = session.recorder = new MediaRecorder(session.stream);
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) session.chunks.push(e.data);
+  });
+  recorder.addEventListener('stop', () => {
+    endListening(session);
+    if (!session.cancelled && session.chunks.length > 0) {
+      sendVoiceMessage(new Blob(session.chunks, { type: recorder.mimeType }));
+    }
+  });
+  recorder.start();
+  session.timers = [setTimeout(() => stopListening(), LISTEN_MAX_MS)];
+  watchVoiceActivity(session);
+}
+
+/**
+ * Finish the recording and send it.
+ * @param {boolean} [cancel]  Drop it instead.
+ */
+function stopListening(cancel = false) {
+  const session = listening;
+  if (!session) return;
+  session.cancelled = session.cancelled || cancel;
+  if (session.recorder) {
+    if (session.recorder.state === 'recording') session.recorder.stop();
+  } else {
+    session.stopRequested = true;
+  }
+}
+
+/** Release the microphone and everything watching it. */
+function endListening(session) {
+  if (session.stream) session.stream.getTracks().forEach((track) => track.stop());
+  (session.timers || []).forEach((timer) => clearTimeout(timer));
+  if (session.disconnect) session.disconnect();
+  if (listening === session) listening = null;
+  chatMicEl.classList.remove('recording', 'hearing');
+}
+
+/**
+ * Follow the microphone level: the button lights up while you speak and,
+ * hands-free, the recording ends after a pause (or without any speech).
+ */
+function watchVoiceActivity(session) {
+  const ctx = getAudioContext();
+  if (ctx.state === 'suspended') ctx.resume();
+  const source = ctx.createMediaStreamSource(session.stream);
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  const startedAt = performance.now();
+  let heardAt = 0;
+
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (const v of samples) sum += v * v;
+    const speaking = Math.sqrt(sum / samples.length) > LISTEN_THRESHOLD;
+    const now = performance.now();
+    if (speaking) heardAt = now;
+    chatMicEl.classList.toggle('hearing', speaking);
+
+    if (!LISTEN_VAD || !session.handsFree) return;
+    if (heardAt ? now - heardAt > LISTEN_SILENCE_MS : now - startedAt > LISTEN_NO_SPEECH_MS) {
+      stopListening(!heardAt);
+    }
+  }, 50);
+  session.disconnect = () => {
+    clearInterval(timer);
+    source.disconnect();
+  };
+}
+
+/** Decode a recording and re-encode it as 16 kHz mono 16-bit WAV (what whisper.cpp reads). */
+async function recordingToWav(blob) {
+  // Decoding resamples to the context's rate; the channels are mixed down here.
+  const decoded = await new OfflineAudioContext(1, 1, LISTEN_SAMPLE_RATE).decodeAudioData(await blob.arrayBuffer());
+  const samples = new Float32Array(decoded.length);
+  for (let c = 0; c < decoded.numberOfChannels; c++) {
+    decoded.getChannelData(c).forEach((v, i) => { samples[i] += v / decoded.numberOfChannels; });
+  }
+
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+  const ascii = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);                     // fmt chunk size
+  view.setUint16(20, 1, true);                      // PCM
+  view.setUint16(22, 1, true);                      // mono
+  view.setUint32(24, LISTEN_SAMPLE_RATE, true);
+  view.setUint32(28, LISTEN_SAMPLE_RATE * 2, true); // bytes per second
+  view.setUint16(32, 2, true);                      // bytes per frame
+  view.setUint16(34, 16, true);                     // bits per sample
+  ascii(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((v, i) => view.setInt16(44 + i * 2, Math.max(-1, Math.min(1, v)) * 0x7fff, true));
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+/** Post a recording to /api/listen; the reply streams in like a typed message's. */
+async function sendVoiceMessage(blob) {
+  if (chatMicEl.disabled) return;
+
+  // Filled in with what the server heard.
+  const userContent = appendChatEntry('user', '🎤 …');
+  const userEntry = userContent.closest('.chat-entry');
+  userEntry.classList.add('chat-entry--listening');
+  const runId = startAssistantEntry();
+
+  try {
+    let audio = blob;
+    try {
+      audio = await recordingToWav(blob);
+    } catch (err) {
+      console.warn('Sending the recording as recorded:', err.message);
+    }
+    const form = new FormData();
+    if (chatConnectionId) form.append('connectionId', chatConnectionId);
+    form.append('idempotencyKey', runId);
+    form.append('audio', audio, audio.type === 'audio/wav' ? 'voice.wav' : 'voice');
+
+    const res  = await apiFetch('/api/listen', { method: 'POST', body: form });
+    const data = await res.json();
+    if (!res.ok || !data.ok) {
+      userEntry.remove();
+      finishAssistantEntry('[Error: ' + (data.error || 'server error') + ']', true);
+      return;
+    }
+    userEntry.classList.remove('chat-entry--listening');
+    userContent.textContent = data.text;
+    if (activeRunId === runId) chatStopEl.disabled = false;
+  } catch (err) {
+    userEntry.remove();
+    finishAssistantEntry('[Error: ' + err.message + ']', true);
+  }
+}
+
+// Hold to talk; a tap (or Enter/Space on the button) toggles a hands-free recording.
+chatMicEl.addEventListener('pointerdown', (e) => {
+  if (e.button !== 0) return;
+  chatMicEl.setPointerCapture(e.pointerId);
+  if (listening) {
+    if (listening.handsFree) stopListening();
+    return;
+  }
+  startListening();
+});
+for (const type of ['pointerup', 'pointercancel']) {
+  chatMicEl.addEventListener(type, () => {
+    if (!listening || listening.handsFree) return;
+    if (type === 'pointerup' && performance.now() - listening.pressedAt < LISTEN_HOLD_MS) {
+      listening.handsFree = true;
+    } else {
+      stopListening(type === 'pointercancel');
+    }
+  });
+}
+chatMicEl.addEventListener('click', (e) => {
+  if (e.detail !== 0) return; // pointer clicks are handled above
+  if (listening) {
+    stopListening();
+  } else {
+    startListening();
+    if (listening) listening.handsFree = true;
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Init
 // ---------------------------------------------------------------------------
-// Start with normal eyes, closed mouth, no smile
-setEyeState('normal');
-setMouthOpen(false);
-setExpression('normal');
+/** Load the character manifest, then start animating and connect. */
+async function init() {
+  try {
+    const res = await apiFetch('/api/character');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    buildCharacter(await res.json());
+  } catch (err) {
+    console.error('Failed to load character manifest; retrying in 3s:', err);
+    setTimeout(init, 3000);
+    return;
+  }
+
+  buildExpressionButtons();
+  buildEffectsPresets();
+  loadCameraPresets();
+
+  // Start with the default expression and a closed mouth
+  setExpression(character.defaultExpression);
+  setMouthOpen(false);
+
+  // Start blinking
+  scheduleBlink();
 
-// Start blink loop
-blink();
+  // Start effects
+  setEffects(true, character.effects.default);
 
-// Start effects
-setEffects(true);
+  // Draw on one canvas from now on, unless ?renderer=dom
+  startCompositor();
+
+  // Connect to server
+  connectWebSocket();
+
+  // Show what was said before this page was opened (the overlay has no chat panel)
+  if (!OVERLAY) loadChatHistory();
+}
 
-// Connect to server
-connectWebSocket();
+init();
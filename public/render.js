@@ -0,0 +1,37 @@
+// ---------------------------------------------------------------------------
+// Renderer helpers
+//
+// The parts of the compositor (see app.js) that need no browser: where an
+// image lands in the view, and which renderer ?renderer= ends up with. Loaded
+// before app.js; the tests require it directly.
+// ---------------------------------------------------------------------------
+const RENDERERS = ['auto', 'webgl', '2d', 'dom'];
+
+/** Where object-fit: contain puts a width×height image in a w×h box: [x, y, w, h]. */
+function containRect([width, height], w, h) {
+  const k = Math.min(w / width, h / height);
+  return [(w - width * k) / 2, (h - height * k) / 2, width * k, height * k];
+}
+
+/** The canvas renderers to try for a ?renderer= value, best first ([] = DOM only). */
+function rendererKinds(value) {
+  const renderer = RENDERERS.includes(value) ? value : 'auto';
+  if (renderer === 'dom') return [];
+  return renderer === 'auto' ? ['webgl', '2d'] : [renderer];
+}
+
+/**
+ * The first of `kinds` that `create(kind)` can start, or null if none can.
+ * @param {string[]} kinds
+ * @param {(kind: string) => object|null} create
+ * @returns {{ kind: string, compositor: object }|null}
+ */
+function pickRenderer(kinds, create) {
+  for (const kind of kinds) {
+    const compositor = create(kind);
+    if (compositor) return { kind, compositor };
+  }
+  return null;
+}
+
+if (typeof module === 'object') module.exports = { RENDERERS, containRect, rendererKinds, pickRenderer };
@@ -0,0 +1,85 @@
+// ---------------------------------------------------------------------------
+// Recordings
+//
+// Videos of the character recorded by a viewer (POST /api/record/start|stop)
+// and uploaded when the recording stops:
+//
+//   <dir>/<id>.webm.part   upload in progress
+//   <dir>/<id>.webm        the video as uploaded
+//   <dir>/<id>.json        metadata, written last (a video without it is incomplete)
+//
+// Metadata:
+//   { id, room, mimeType, size, duration, timestamp, videoFile }
+//   mimeType   video/webm, video/mp4 or video/x-matroska, else application/octet-stream
+//   duration   seconds between start and stop
+//   timestamp  when the recording started
+//
+// The oldest recordings are deleted once their total size exceeds maxBytes
+// (see store.js).
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const { createStore, ID_RE } = require('./store');
+
+const EXTENSIONS = { 'video/webm': '.webm', 'video/mp4': '.mp4', 'video/x-matroska': '.mkv' };
+
+/**
+ * The stored type of an upload: one of EXTENSIONS (parameters such as codecs
+ * are dropped), anything else is kept as application/octet-stream.
+ */
+function videoType(mimeType) {
+  const type = String(mimeType || 'video/webm').split(';')[0].trim().toLowerCase();
+  return EXTENSIONS[type] ? type : 'application/octet-stream';
+}
+
+/**
+ * Open (or create) a recordings directory.
+ * @param {{ dir: string, maxBytes: number }} options
+ */
+function createRecordings({ dir, maxBytes }) {
+  const store = createStore({ dir, name: 'recordings', fileKey: 'videoFile', maxBytes });
+
+  // Left over from uploads cut off by a restart.
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith('.part')) fs.rmSync(store.filePath(file), { force: true });
+  }
+
+  /** Where an upload in progress is written; pass it to add() or discard() when done. */
+  function partPath(id) {
+    if (!ID_RE.test(id)) throw new Error(`invalid recording id ${id}`);
+    return store.filePath(`${id}.webm.part`);
+  }
+
+  /**
+   * Keep a finished upload.
+   * @param {{ id: string, room: string, mimeType: string, size: number,
+   *           startedAt: number, duration: number }} meta
+   * @returns {Promise<object>}  The stored metadata.
+   */
+  async function add(meta) {
+    const mimeType = videoType(meta.mimeType);
+    const entry = {
+      id: meta.id,
+      room: meta.room,
+      mimeType,
+      size: meta.size,
+      duration: Math.round(meta.duration * 1000) / 1000,
+      timestamp: meta.startedAt,
+      videoFile: `${meta.id}${EXTENSIONS[mimeType] || '.bin'}`,
+    };
+    await fs.promises.rename(partPath(meta.id), store.filePath(entry.videoFile));
+    return store.add(entry);
+  }
+
+  /** Drop an upload that won't be kept. */
+  function discard(id) {
+    fs.rm(partPath(id), { force: true }, () => {});
+  }
+
+  function videoPath(entry) {
+    return store.filePath(entry.videoFile);
+  }
+
+  return { partPath, add, discard, list: store.list, get: store.get, videoPath };
+}
+
+module.exports = { createRecordings };
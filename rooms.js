@@ -0,0 +1,105 @@
+// ---------------------------------------------------------------------------
+// Rooms (rooms.json)
+//
+// One server can drive several characters. Each room has its own viewers,
+// speech queue, last audio, expression, image set and gateway session:
+//
+//   {
+//     "alice": { "images": "rooms/alice", "sessionKey": "agent:alice:main", "watch": "voices/alice", "voice": 3 },
+//     "bob":   { "images": "rooms/bob",   "sessionKey": "agent:bob:main" }
+//   }
+//
+//   images      Directory with the room's PNGs and character.json
+//               (relative to the project root). Default: images/<room>
+//   sessionKey  OpenClaw session used by POST /api/chat?room=… (required)
+//   watch       Optional directory watched for dropped audio files.
+//   voice       Optional TTS voice for spoken chat replies (see tts.js).
+//
+// The "default" room always exists and keeps the single-character setup:
+// images/, OPENCLAW_SESSION_KEY, TTS_VOICE and the project root as its watch directory.
+// It may be listed in rooms.json to override any of these.
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOM = 'default';
+const ROOM_NAME_RE = /^[A-Za-z0-9_-]+$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Load room definitions.
+ * @param {string} file  Path to rooms.json; a missing file means only the default room.
+ * @param {string} baseDir  Directory that relative paths are resolved against.
+ * @param {{ images: string, sessionKey: string, watch: string|null, voice: string|number|null }} defaults
+ *   Settings of the default room; `voice` is also the fallback for other rooms.
+ * @returns {Map<string, { images: string, sessionKey: string, watch: string|null, voice: string|number|null }>}
+ *   Absolute paths, default room first.
+ * @throws {Error} If the file is unreadable or invalid; the message lists every problem.
+ */
+function loadRooms(file, baseDir, defaults) {
+  const rooms = new Map([[DEFAULT_ROOM, { ...defaults }]]);
+  if (!fs.existsSync(file)) return rooms;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (!isPlainObject(config)) throw new Error(`${file}: must be a JSON object of rooms`);
+
+  const errors = [];
+  const sessionKeys = new Map();
+  for (const [name, room] of Object.entries(config)) {
+    if (!ROOM_NAME_RE.test(name)) {
+      errors.push(`${name}: room name must match ${ROOM_NAME_RE}`);
+      continue;
+    }
+    if (!isPlainObject(room)) {
+      errors.push(`${name}: must be an object`);
+      continue;
+    }
+    const base = name === DEFAULT_ROOM ? defaults : {};
+    const images = room.images != null ? room.images : base.images || path.join('images', name);
+    const sessionKey = room.sessionKey != null ? room.sessionKey : base.sessionKey;
+    const watch = room.watch !== undefined ? room.watch : base.watch || null;
+    const voice = room.voice != null ? room.voice : defaults.voice;
+
+    if (typeof images !== 'string' || images === '') errors.push(`${name}.images must be a directory path`);
+    else if (!fs.existsSync(path.resolve(baseDir, images))) errors.push(`${name}.images: ${images} does not exist`);
+    if (typeof sessionKey !== 'string' || sessionKey === '') errors.push(`${name}.sessionKey must be a non-empty string`);
+    if (watch !== null && (typeof watch !== 'string' || watch === '')) errors.push(`${name}.watch must be a directory path`);
+    else if (watch !== null && !fs.existsSync(path.resolve(baseDir, watch))) errors.push(`${name}.watch: ${watch} does not exist`);
+    if (voice != null && typeof voice !== 'string' && typeof voice !== 'number') errors.push(`${name}.voice must be a string or number`);
+
+    // Chat events are routed back by session, so two rooms can't share one.
+    if (typeof sessionKey === 'string') {
+      if (sessionKeys.has(sessionKey)) errors.push(`${name}.sessionKey is already used by room "${sessionKeys.get(sessionKey)}"`);
+      sessionKeys.set(sessionKey, name);
+    }
+
+    rooms.set(name, {
+      images: typeof images === 'string' ? path.resolve(baseDir, images) : images,
+      sessionKey,
+      watch: typeof watch === 'string' ? path.resolve(baseDir, watch) : null,
+      voice,
+    });
+  }
+
+  // The default room may be left out of rooms.json but still holds its session.
+  const fallbackKey = rooms.get(DEFAULT_ROOM).sessionKey;
+  const owner = sessionKeys.get(fallbackKey);
+  if (!(DEFAULT_ROOM in config) && owner) {
+    errors.push(`${owner}.sessionKey is already used by room "${DEFAULT_ROOM}"`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return rooms;
+}
+
+module.exports = { DEFAULT_ROOM, ROOM_NAME_RE, loadRooms };
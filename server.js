@@ -6,20 +6,37 @@ const http = require('http');
 const { WebSocket: GatewayWs, WebSocketServer } = require('ws');
 const path = require('path');
 const fs = require('fs');
-const { randomUUID } = require('crypto'); // for idempotency keys (built-in, no extra dep)
+const { randomUUID, randomBytes } = require('crypto'); // for idempotency keys (built-in, no extra dep)
+const { PCM_FORMATS, parseWavHeader, pcmFormatOf, encodeWav } = require('./wav');
+const { analyzeAudio, normalizeVisemeTimeline } = require('./lipsync');
+const { DEFAULT_MOTIONS, loadCharacter, resolveCharacter } = require('./character');
+const { DEFAULT_EFFECTS } = require('./effects');
+const { DEFAULT_ROOM, loadRooms } = require('./rooms');
+const { createHistory } = require('./history');
+const { createTtsProvider, splitSentences } = require('./tts');
+const { createSttProvider } = require('./stt');
+const { createTagParser } = require('./tags');
+const { loadAuthConfig, createAuth } = require('./auth');
+const { createRecordings } = require('./recordings');
+const { PRESET_NAME_RE, validateCamera, createCameraPresets } = require('./cameras');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 
-const upload = multer({ storage: multer.memoryStorage() });
+// Largest accepted audio upload (POST /api/speak, and in total per POST /api/speak/stream).
+const MAX_UPLOAD_BYTES = Math.floor((Number(process.env.MAX_UPLOAD_MB) || 20) * 1024 * 1024);
+const UPLOAD_LIMIT_TEXT = `${+(MAX_UPLOAD_BYTES / 1024 / 1024).toFixed(2)} MB`;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/images', express.static(path.join(__dirname, 'images')));
 
-const clients = new Set();
-let lastAudio = null; // stores the most recently received audio for replay
+// GET /overlay - the same page as a broadcast overlay (see public/overlay.css)
+app.get('/overlay', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
 
 // ---------------------------------------------------------------------------
 // OpenClaw Gateway WebSocket client (Stage 1)
@@ -53,7 +70,7 @@ let gatewayReady     = false; // true after hello-ok
 let gatewayBackoff   = 1_000; // current reconnect delay (ms)
 let gatewayLastNonce = null;  // last connect.challenge nonce
 
-const DEVICE_FILE = path.join(__dirname, '.openclaw-device.json');
+const DEVICE_FILE = process.env.OPENCLAW_DEVICE_FILE || path.join(__dirname, '.openclaw-device.json');
 
 function b64urlEncode(bytes) {
   return Buffer.from(bytes)
@@ -185,35 +202,161 @@ function extractTextFromMessage(message) {
   return '';
 }
 
+// Images in a message's content, as URLs the chat panel can show:
+//   { type: "image", source: { type: "base64", media_type, data } }   (Anthropic)
+//   { type: "image", source: { type: "url", url } }
+//   { type: "image_url", image_url: { url } }                          (OpenAI)
+//   { type: "image", url } / { type: "image", data, mimeType }
+// Only http(s) links and base64 data: URLs of raster formats are kept (an SVG
+// could carry script).
+const CHAT_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const CHAT_IMAGE_MAX_LENGTH = 8 * 1024 * 1024; // characters of one data: URL
+
+function chatImageUrl(url) {
+  if (typeof url !== 'string') return null;
+  if (/^https?:\/\//i.test(url)) {
+    try {
+      return new URL(url).href;
+    } catch {
+      return null;
+    }
+  }
+  const match = /^data:([\w/+.-]+);base64,[A-Za-z0-9+/=]+$/.exec(url);
+  if (match && CHAT_IMAGE_TYPES.includes(match[1].toLowerCase()) && url.length <= CHAT_IMAGE_MAX_LENGTH) return url;
+  return null;
+}
+
+function extractImagesFromMessage(message) {
+  const content = message && typeof message === 'object' ? message.content : null;
+  if (!Array.isArray(content)) return [];
+  const images = [];
+  for (const part of content) {
+    if (!part || typeof part !== 'object') continue;
+    let url = null;
+    if (part.type === 'image_url') {
+      url = typeof part.image_url === 'string' ? part.image_url : part.image_url && part.image_url.url;
+    } else if (part.type === 'image') {
+      const source = part.source && typeof part.source === 'object' ? part.source : part;
+      const mimeType = source.media_type || source.mimeType;
+      if (typeof source.url === 'string') url = source.url;
+      else if (typeof source.data === 'string' && typeof mimeType === 'string') url = `data:${mimeType};base64,${source.data}`;
+    }
+    url = chatImageUrl(url);
+    if (url) images.push(url);
+  }
+  return images;
+}
+
+// runId -> { room, origin } for replies still streaming (filled by POST /api/chat).
+// `origin` is the viewer connection that sent the message, or null.
+const chatRuns = new Map();
+
+/** The room a chat event belongs to: by run, then by session, else the default room. */
+function roomForChatEvent(payload) {
+  const byRun = chatRuns.get(payload.runId);
+  if (byRun && rooms.has(byRun.room)) return rooms.get(byRun.room);
+  for (const room of rooms.values()) {
+    if (payload.sessionKey && room.sessionKey === payload.sessionKey) return room;
+  }
+  return rooms.get(DEFAULT_ROOM);
+}
+
+// Replies still streaming: runId -> { room, parser, applied, text }. `parser`
+// reads expression tags (see tags.js); `text` is what viewers have been sent so
+// far, for the state snapshot of viewers that join mid-reply.
+const chatTagStreams = new Map();
+
+/** Expression named by a structured field of a chat event, if any. */
+function structuredExpression(payload) {
+  if (typeof payload.expression === 'string') return payload.expression;
+  const message = payload.message;
+  if (message && typeof message === 'object') {
+    if (typeof message.expression === 'string') return message.expression;
+    if (Array.isArray(message.content)) {
+      const part = message.content.find((p) => p && p.type === 'expression');
+      if (part) return part.expression || part.name || part.value;
+    }
+  }
+  return null;
+}
+
 function handleGatewayChatEvent(payload) {
   if (!payload || typeof payload !== 'object') return;
   const state = payload.state;
   const runId = payload.runId;
+  const room  = roomForChatEvent(payload);
+  const origin = chatRuns.has(runId) ? chatRuns.get(runId).origin : null;
+  const structured = room.tags.resolve(structuredExpression(payload));
+  if (state !== 'delta') chatRuns.delete(runId);
 
   if (state === 'delta') {
-    const text = extractTextFromMessage(payload.message);
-    if (text) broadcast({ type: 'chat.delta', runId, text });
+    let tagStream = chatTagStreams.get(runId);
+    if (!tagStream) {
+      tagStream = { room, parser: room.tags.stream(), applied: false, text: '' };
+      chatTagStreams.set(runId, tagStream);
+    }
+    const { text, tags } = tagStream.parser.push(extractTextFromMessage(payload.message));
+    // Without speech the face changes as the text streams in. With TTS the
+    // final reply's tags are timed against its audio instead (speakReply).
+    const changes = [structured, ...tags.map((t) => t.expression)].filter(Boolean);
+    if (!tts && changes.length > 0) {
+      setRoomExpression(room, changes[changes.length - 1]);
+      tagStream.applied = true;
+    }
+    if (text) {
+      tagStream.text += text;
+      sendChatEvent(room, origin, { type: 'chat.delta', runId, text });
+    }
     return;
   }
 
+  const tagStream = chatTagStreams.get(runId);
+  chatTagStreams.delete(runId);
+
   if (state === 'final') {
-    const text = extractTextFromMessage(payload.message);
-    broadcast({ type: 'chat.final', runId, text, state: 'done' });
+    const raw = extractTextFromMessage(payload.message);
+    const { text, tags } = room.tags.extract(raw);
+    const images = extractImagesFromMessage(payload.message);
+    sendChatEvent(room, origin, { type: 'chat.final', runId, text, images, state: 'done' });
+    if (tts) {
+      speakReply(room, runId, raw, structured);
+    } else if (!(tagStream && tagStream.applied)) {
+      // Reply arrived in one piece: apply what it asked for now.
+      const changes = [structured, ...tags.map((t) => t.expression)].filter(Boolean);
+      if (changes.length > 0) setRoomExpression(room, changes[changes.length - 1]);
+    }
     return;
   }
 
   if (state === 'error') {
-    broadcast({ type: 'chat.error', runId, error: payload.errorMessage || payload.error || 'chat error' });
+    sendChatEvent(room, origin, { type: 'chat.error', runId, error: payload.errorMessage || payload.error || 'chat error' });
     return;
   }
 
   if (state === 'aborted') {
     // Treat abort like final; keep whatever text we have.
-    const text = extractTextFromMessage(payload.message);
-    broadcast({ type: 'chat.final', runId, text, state: 'aborted' });
+    const { text } = room.tags.extract(extractTextFromMessage(payload.message));
+    const images = extractImagesFromMessage(payload.message);
+    sendChatEvent(room, origin, { type: 'chat.final', runId, text, images, state: 'aborted' });
   }
 }
 
+/**
+ * End every reply still streaming with chat.error: once the gateway
+ * connection is gone no final event will come for them, and the panels that
+ * sent them would stay locked.
+ */
+function failChatRuns(error) {
+  for (const runId of new Set([...chatRuns.keys(), ...chatTagStreams.keys()])) {
+    const run = chatRuns.get(runId);
+    const tagStream = chatTagStreams.get(runId);
+    const room = tagStream ? tagStream.room : rooms.get(run.room);
+    if (room) sendChatEvent(room, run ? run.origin : null, { type: 'chat.error', runId, error });
+  }
+  chatRuns.clear();
+  chatTagStreams.clear();
+}
+
 function connectGateway() {
   if (!GATEWAY_TOKEN) {
     console.warn('[gateway] OPENCLAW_GATEWAY_TOKEN is not set – connect may fail if auth is required');
@@ -330,6 +473,7 @@ function connectGateway() {
       try { reject(new Error(`gateway closed (${code})`)); } catch {}
     }
     pending.clear();
+    failChatRuns(`gateway closed (${code})`);
 
     gatewayReady = false;
     gatewayWs    = null;
@@ -344,149 +488,1947 @@ function connectGateway() {
   });
 }
 
-wss.on('connection', (ws) => {
-  clients.add(ws);
-  console.log(`Client connected. Total: ${clients.size}`);
+// ---------------------------------------------------------------------------
+// Access control (see auth.js)
+//
+// Control routes declare the scope they need with requireScope(). Keys come
+// as `Authorization: Bearer <key>` or an `X-API-Key` header, never in the URL,
+// where they would end up in logs, browser history and Referer headers.
+// What the display itself reads (requireViewer) takes the same credentials as
+// a viewer connection. Without auth.json everything stays open, as before.
+// ---------------------------------------------------------------------------
+const AUTH_FILE = process.env.AUTH_FILE || path.join(__dirname, 'auth.json');
+
+let auth = null;
+try {
+  const config = loadAuthConfig(AUTH_FILE);
+  if (config) auth = createAuth(config);
+} catch (err) {
+  console.error(`[auth] Invalid auth configuration: ${err.message}`);
+  process.exit(1);
+}
+
+/** The API key of an HTTP request or WebSocket upgrade, from its headers. */
+function requestKey(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return (bearer && bearer[1]) || req.headers['x-api-key'] || '';
+}
+
+/**
+ * The browser origin of a request. Same-origin GETs carry no Origin header,
+ * so the Referer's origin stands in for it.
+ */
+function requestOrigin(req) {
+  if (req.headers.origin) return req.headers.origin;
+  try {
+    return new URL(req.headers.referer).origin;
+  } catch {
+    return '';
+  }
+}
+
+/** Route guard: the request needs what a viewer connection needs (see auth.js). */
+function requireViewer(req, res, next) {
+  if (!auth) return next();
+  const token = req.get('x-viewer-token') || req.query.token;
+  if (auth.allowViewer({ token, key: requestKey(req), origin: requestOrigin(req) })) return next();
+  res.status(401).json({ error: 'Viewer token, API key or allowed origin required.' });
+}
+
+// POST /api/viewer-ticket - one-time viewer token for the WebSocket URL of a
+// page that holds an API key (browsers can't send headers with a WebSocket)
+// Response: { token } (null without auth.json: viewers need nothing)
+app.post('/api/viewer-ticket', requireScope(), (req, res) => {
+  res.json({ token: auth ? auth.issueViewerTicket() : null });
+});
+
+/** Route guard: the request needs an API key with `scope` (or admin); any valid key without a scope. */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!auth) return next();
+    const secret = requestKey(req);
+    if (!secret) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'API key required (Authorization: Bearer <key>).' });
+    }
+    const key = auth.authenticate(secret);
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid API key.' });
+    }
+    if (scope && !auth.hasScope(key, scope)) {
+      return res.status(403).json({ error: `API key "${key.name}" does not have the ${scope} scope.` });
+    }
+    const limit = auth.consume(key);
+    if (!limit.ok) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({ error: `Rate limit exceeded for "${key.name}"; retry in ${limit.retryAfter} s.` });
+    }
+    req.apiKey = key;
+    next();
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rooms (see rooms.js)
+//
+// Viewers subscribe with ws://host/?room=<name>; the HTTP API takes the same
+// `room` parameter (query string or body field). Leaving it out means the
+// "default" room, so single-character setups work unchanged.
+// ---------------------------------------------------------------------------
+const ROOMS_FILE = process.env.ROOMS_FILE || path.join(__dirname, 'rooms.json');
+
+/** Runtime state of one room. */
+function createRoom(name, { images, sessionKey, watch, voice }) {
+  // Character manifest (see character.js). An invalid manifest is fatal so
+  // mistakes surface at startup instead of as a half-drawn character.
+  let character;
+  try {
+    character = loadCharacter(images);
+  } catch (err) {
+    console.error(`[character] Invalid character manifest for room "${name}": ${err.message}`);
+    process.exit(1);
+  }
+
+  return {
+    name,
+    imagesDir: images,
+    imagesUrl: name === DEFAULT_ROOM ? '/images' : `/rooms/${name}/images`,
+    character,
+    tags: createTagParser(character.tags, Object.keys(character.expressions)),
+    sessionKey,
+    watchDir: watch,
+    voice,                 // TTS voice for spoken chat replies
+    clients: new Set(),
+    lastAudio: null,       // most recently received audio, for replay
+    expression: character.defaultExpression,
+    effects: true,         // particles and bloom on the viewers
+    effectsPreset: (character.effects || DEFAULT_EFFECTS).default, // see effects.js
+    volume: 1,             // playback gain on the viewers, 0–1
+    eyes: 'open',          // held eye state: open | closed | wink (POST /api/eyes)
+    eyesTimer: null,       // returns the eyes to open after a timed hold
+    speechQueue: [],       // pending clips: { id, data, mimeType, stream, runId, label, enqueuedAt }
+    currentClip: null,     // clip the viewers are playing right now
+    clipWatchdog: null,    // advances the queue if no viewer reports back
+    ttsChain: Promise.resolve(), // keeps spoken replies in order
+    speakingRuns: new Map(), // runId -> { cancelled } for replies still being synthesized
+    recording: null,       // recording in progress, see POST /api/record/start
+    camera: null,          // { zoom, x, y } set by POST /api/camera; null = each viewer's own view
+    cameraPreset: null,    // name of the preset the camera went to last, if any
+    autoCamera: false,     // push in while speaking (viewers animate it)
+  };
+}
+
+const rooms = new Map();
+try {
+  const configs = loadRooms(ROOMS_FILE, __dirname, {
+    images: path.join(__dirname, 'images'),
+    sessionKey: SESSION_KEY,
+    watch: __dirname,
+    voice: process.env.TTS_VOICE || null,
+  });
+  for (const [name, config] of configs) rooms.set(name, createRoom(name, config));
+} catch (err) {
+  console.error(`[rooms] Invalid room configuration: ${err.message}`);
+  process.exit(1);
+}
+
+for (const room of rooms.values()) {
+  app.use(room.imagesUrl, express.static(room.imagesDir));
+}
+
+/**
+ * Resolve the `room` parameter of an API request. Sends a 404 and returns
+ * null for unknown rooms.
+ */
+function requestRoom(req, res) {
+  const name = req.query.room || (req.body && req.body.room) || DEFAULT_ROOM;
+  const room = rooms.get(name);
+  if (!room) {
+    res.status(404).json({ error: `Unknown room "${name}". Use one of: ${[...rooms.keys()].join(', ')}.` });
+    return null;
+  }
+  return room;
+}
+
+wss.on('connection', (ws, req) => {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  if (auth && !auth.allowViewer({ token: params.get('token'), key: requestKey(req), origin: req.headers.origin })) {
+    console.warn(`[auth] Rejected viewer from ${req.socket.remoteAddress} (origin ${req.headers.origin || 'none'})`);
+    ws.close(4401, 'Unauthorized');
+    return;
+  }
+  const room = rooms.get(params.get('room') || DEFAULT_ROOM);
+  if (!room) {
+    ws.close(4404, 'Unknown room');
+    return;
+  }
+
+  // A viewer passes its connection id to POST /api/chat so the reply comes
+  // back to it alone; ?mirror=1 viewers also see everyone else's chats.
+  // A reconnecting viewer passes its old id as ?resume=… to keep it, along
+  // with the replies still streaming to it.
+  ws.connectionId = resumableConnectionId(room, params.get('resume')) || randomUUID();
+  ws.mirror = params.get('mirror') === '1';
+  resumeChatRuns(ws);
+
+  room.clients.add(ws);
+  console.log(`Client connected to ${room.name}${ws.mirror ? ' (mirror)' : ''}. Total: ${room.clients.size}`);
+  ws.send(JSON.stringify({ type: 'connection', id: ws.connectionId, mirror: ws.mirror, listen: Boolean(stt) }));
+  sendStateSnapshot(room, ws);
+
+  // Viewers report playback progress back so the speech queue can advance.
+  ws.on('message', (raw) => {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    if (!msg || typeof msg !== 'object') return;
+
+    if (PLAYBACK_EVENTS.includes(msg.type)) {
+      handlePlaybackReport(room, ws, msg);
+    }
+  });
 
   ws.on('close', () => {
-    clients.delete(ws);
-    console.log(`Client disconnected. Total: ${clients.size}`);
+    room.clients.delete(ws);
+    handleRecorderGone(ws);
+    console.log(`Client disconnected from ${room.name}. Total: ${room.clients.size}`);
   });
 });
 
-function broadcast(message) {
+const CONNECTION_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/** `id` if a viewer may take it over: well-formed and not held by a live connection. */
+function resumableConnectionId(room, id) {
+  if (!id || !CONNECTION_ID_RE.test(id)) return null;
+  for (const client of room.clients) {
+    if (client.connectionId === id) return null;
+  }
+  return id;
+}
+
+/** Point the replies streaming to a closed connection with this id at `ws`. */
+function resumeChatRuns(ws) {
+  for (const run of chatRuns.values()) {
+    if (run.origin && run.origin !== ws && run.origin.connectionId === ws.connectionId) run.origin = ws;
+  }
+}
+
+/**
+ * Tell a viewer what the room looks like right now, so it doesn't start from
+ * defaults:
+ *   state { expression, effects, effectsPreset, volume, eyes, clip, chat, recording,
+ *           camera, cameraPreset, autoCamera }
+ * `clip` is the clip playing, with `offset` (s) into it, or null; a streamed
+ * clip's frames so far follow as audio.stream.start / audio.chunk messages.
+ * `chat` lists the replies still streaming that this viewer would be sent.
+ */
+function sendStateSnapshot(room, ws) {
+  const clip = room.currentClip;
+  let clipState = null;
+  if (clip && clip.startedAt) {
+    const offset = (Date.now() - clip.startedAt) / 1000;
+    clipState = clip.stream
+      ? { id: clip.id, stream: true, offset: Math.min(offset, streamSeconds(clip.stream)) }
+      : {
+          id: clip.id,
+          data: clip.data,
+          mimeType: clip.mimeType,
+          lipsync: clip.lipsync || undefined,
+          visemes: clip.visemes || undefined,
+          expressions: clip.expressions || undefined,
+          offset,
+        };
+  }
+
+  // Runs sent from here that have no reply yet, and replies streaming in.
+  const chat = [];
+  for (const runId of new Set([...chatRuns.keys(), ...chatTagStreams.keys()])) {
+    const run = chatRuns.get(runId);
+    const tagStream = chatTagStreams.get(runId);
+    if ((tagStream ? tagStream.room : rooms.get(run.room)) !== room) continue;
+    const origin = run ? run.origin : null;
+    if (origin && origin !== ws && !ws.mirror) continue;
+    chat.push({ runId, text: tagStream ? tagStream.text : '' });
+  }
+
+  ws.send(JSON.stringify({
+    type: 'state',
+    expression: displayedExpression(room),
+    effects: room.effects,
+    effectsPreset: room.effectsPreset,
+    volume: room.volume,
+    eyes: room.eyes,
+    clip: clipState,
+    chat,
+    recording: room.recording ? room.recording.id : null,
+    camera: room.camera,
+    cameraPreset: room.cameraPreset,
+    autoCamera: room.autoCamera,
+  }));
+  if (clipState && clip.stream) sendStreamSoFar(ws, clip, clipState.offset);
+}
+
+/**
+ * The expression viewers show right now. While a clip with expression cues
+ * plays, room.expression already holds where the cues end up (see
+ * playNextClip); until then it is the last cue passed, or the one before the clip.
+ */
+function displayedExpression(room) {
+  const clip = room.currentClip;
+  if (!clip || !clip.expressions || !clip.startedAt) return room.expression;
+  const cues = clip.expressions;
+  if (room.expression !== cues[cues.length - 1].value) return room.expression; // changed since
+  const t = (Date.now() - clip.startedAt) / 1000;
+  const passed = cues.filter((cue) => cue.at <= t);
+  return passed.length > 0 ? passed[passed.length - 1].value : clip.expressionBefore;
+}
+
+/** Change a room's expression and tell its viewers. */
+function setRoomExpression(room, expression) {
+  room.expression = expression;
+  broadcast(room, { type: 'expression', value: expression });
+  console.log(`Expression in ${room.name} changed to: ${expression}`);
+}
+
+/** Change a room's held eye state and tell its viewers. */
+function setRoomEyes(room, state) {
+  room.eyes = state;
+  broadcast(room, { type: 'eyes', state });
+  console.log(`Eyes in ${room.name}: ${state}`);
+}
+
+function broadcast(room, message) {
   const data = JSON.stringify(message);
-  for (const client of clients) {
+  for (const client of room.clients) {
     if (client.readyState === 1) {
       client.send(data);
     }
   }
 }
 
-// POST /api/speak - receive audio data and forward to all WebSocket clients
-app.post('/api/speak', upload.single('audio'), (req, res) => {
+/**
+ * Send a chat event to the connection that started the run and to mirror
+ * viewers; runs started elsewhere (no origin) go to the whole room.
+ */
+function sendChatEvent(room, origin, message) {
+  if (!origin) return broadcast(room, message);
+  const data = JSON.stringify(message);
+  for (const client of room.clients) {
+    if ((client === origin || client.mirror) && client.readyState === 1) {
+      client.send(data);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Speech queue
+//
+// Clips are played one at a time, per room. The server owns the queue and only sends the
+// next `audio` message once a viewer reports `playback.ended` for the current
+// clip, or once the watchdog fires because nobody reported back. Clips whose
+// turn comes while the room has no viewers are dropped.
+//
+// Modes (POST /api/speak?mode=…):
+//   queue     – append to the end (default)
+//   priority  – insert at the head; plays right after the current clip
+//   interrupt – cut off the current clip, drop everything pending, play now
+// ---------------------------------------------------------------------------
+const SPEECH_MODES = ['queue', 'priority', 'interrupt'];
+const CLIP_WATCHDOG_MS = Number(process.env.SPEECH_CLIP_TIMEOUT_MS) || 60_000;
+
+function clipInfo(clip) {
+  return { id: clip.id, mimeType: clip.mimeType, label: clip.label, enqueuedAt: clip.enqueuedAt };
+}
+
+function parseSpeechMode(value) {
+  if (value === undefined || value === '') return 'queue';
+  return SPEECH_MODES.includes(value) ? value : null;
+}
+
+function armClipWatchdog(room) {
+  clearTimeout(room.clipWatchdog);
+  const id = room.currentClip.id;
+  room.clipWatchdog = setTimeout(() => {
+    console.warn(`[queue] ${room.name}: No playback.ended for ${id}; advancing`);
+    playNextClip(room, 'unconfirmed');
+  }, CLIP_WATCHDOG_MS);
+}
+
+/**
+ * Move on to the room's next clip.
+ * @param {string} [outcome]  How the current clip finished, for ?wait=true callers (see settleClip).
+ */
+function playNextClip(room, outcome = 'stopped') {
+  clearTimeout(room.clipWatchdog);
+  room.clipWatchdog = null;
+  if (room.currentClip) settleClip(room.currentClip, outcome);
+  room.currentClip = null;
+  // Nobody is watching, so nobody would hear the clips or report them played:
+  // drop them rather than stall the queue. They stay in the history.
+  if (room.clients.size === 0) {
+    for (const dropped of room.speechQueue) settleClip(dropped, 'dropped');
+    if (room.speechQueue.length > 0) {
+      console.warn(`[queue] ${room.name}: No viewers; dropped ${room.speechQueue.length} clip(s)`);
+    }
+    room.speechQueue.length = 0;
+    return;
+  }
+  const clip = room.currentClip = room.speechQueue.shift() || null;
+  if (!clip) return;
+
+  console.log(`[queue] ${room.name}: Playing ${clip.id} (${clip.label}); ${room.speechQueue.length} pending`);
+  clip.startedAt = Date.now(); // for the playback offset in state snapshots
+
+  if (clip.stream) {
+    startStreamPlayback(room, clip);
+    // A live stream arms the watchdog once its upload ends (see endStreamIngest).
+    if (!clip.stream.ended) return;
+  } else {
+    broadcast(room, {
+      type: 'audio',
+      id: clip.id,
+      data: clip.data,
+      mimeType: clip.mimeType,
+      lipsync: clip.lipsync || undefined,
+      visemes: clip.visemes || undefined,
+      expressions: clip.expressions || undefined,
+    });
+    // Viewers apply the cues in step with the audio; room.expression is where
+    // it ends up, and displayedExpression() works out the current one.
+    if (clip.expressions && clip.expressions.length > 0) {
+      clip.expressionBefore = room.expression;
+      room.expression = clip.expressions[clip.expressions.length - 1].value;
+    }
+  }
+  armClipWatchdog(room);
+}
+
+/**
+ * Add a clip to a room's speech queue.
+ * @param {object} room
+ * @param {{ data?: string, mimeType: string, stream?: object }} audio
+ *   base64 audio payload, or a live stream created by POST /api/speak/stream
+ * @param {'queue'|'priority'|'interrupt'} mode
+ * @param {string} label  Human-readable origin (file name etc.) for logs / GET /api/queue.
+ * @returns {object}  The queued clip.
+ */
+function enqueueSpeech(room, audio, mode, label) {
+  const clip = {
+    id: randomUUID(),
+    data: audio.data,
+    mimeType: audio.mimeType,
+    stream: audio.stream || null,
+    lipsync: audio.lipsync || null,
+    visemes: audio.visemes || null,
+    expressions: audio.expressions || null,
+    runId: audio.runId || null, // chat reply the clip was spoken from
+    label: label || '',
+    enqueuedAt: Date.now(),
+  };
+  rememberLipSync(clip.id, clip.lipsync);
+
+  if (mode === 'interrupt') {
+    // The new `audio` message makes viewers drop whatever they are playing.
+    for (const dropped of room.speechQueue) settleClip(dropped, 'stopped');
+    room.speechQueue.length = 0;
+    room.speechQueue.push(clip);
+    playNextClip(room);
+    return clip;
+  }
+
+  if (mode === 'priority') room.speechQueue.unshift(clip);
+  else room.speechQueue.push(clip);
+
+  if (!room.currentClip) playNextClip(room);
+  return clip;
+}
+
+function handlePlaybackEnded(room, id) {
+  // Every viewer reports back; only the first report for the current clip counts.
+  if (!room.currentClip || room.currentClip.id !== id) return;
+  playNextClip(room, 'ended');
+}
+
+/** A viewer couldn't play the current clip; move on once none of them can. */
+function handlePlaybackError(room, ws, id) {
+  const clip = room.currentClip;
+  if (!clip || clip.id !== id) return;
+  clip.failedViewers = clip.failedViewers || new Set();
+  clip.failedViewers.add(ws);
+  if ([...room.clients].every((client) => clip.failedViewers.has(client))) {
+    console.warn(`[queue] ${room.name}: No viewer could play ${id}; advancing`);
+    playNextClip(room, 'error');
+  }
+}
+
+/** Stop the room's current clip and continue with the next one. */
+function skipCurrentClip(room) {
+  if (!room.currentClip) return false;
+  broadcast(room, { type: 'audio.stop', id: room.currentClip.id });
+  playNextClip(room);
+  return true;
+}
+
+/**
+ * Drop the clips spoken from one chat reply, stopping it if it is playing.
+ * @returns {number}  Clips removed, the current one included.
+ */
+function dropRunSpeech(room, runId) {
+  const before = room.speechQueue.length;
+  room.speechQueue = room.speechQueue.filter((clip) => {
+    if (clip.runId !== runId) return true;
+    settleClip(clip, 'stopped');
+    return false;
+  });
+  let dropped = before - room.speechQueue.length;
+  if (room.currentClip && room.currentClip.runId === runId) {
+    skipCurrentClip(room);
+    dropped++;
+  }
+  return dropped;
+}
+
+// ---------------------------------------------------------------------------
+// Playback events
+//
+// Viewers report on every clip they play:
+//   playback.started { id }   playback.ended { id }   playback.error { id, error }
+// These are relayed as Server-Sent Events on GET /api/events, and
+// POST /api/speak?wait=true holds its response until the clip is settled:
+//   ended        a viewer played it to the end
+//   error        no connected viewer could play it
+//   stopped      skipped, cleared, interrupted or aborted
+//   dropped      the room had no viewers when its turn came
+//   unconfirmed  the watchdog moved on (no viewer reported back)
+// ---------------------------------------------------------------------------
+const PLAYBACK_EVENTS = ['playback.started', 'playback.ended', 'playback.error'];
+const EVENTS_KEEPALIVE_MS = 25_000; // comment line so proxies keep idle streams open
+
+const eventStreams = new Set(); // { room, res } per GET /api/events client
+const clipWaiters = new Map();  // clipId -> Set of callbacks(outcome)
+
+/** Send an event to the SSE clients of a room. */
+function publishEvent(room, type, data) {
+  const frame = `event: ${type}\ndata: ${JSON.stringify({ room: room.name, ...data, at: Date.now() })}\n\n`;
+  for (const stream of eventStreams) {
+    if (stream.room === room) stream.res.write(frame);
+  }
+}
+
+/** A clip left the queue: tell whoever waits for it how it went. */
+function settleClip(clip, outcome) {
+  clip.outcome = outcome;
+  const waiters = clipWaiters.get(clip.id);
+  if (!waiters) return;
+  clipWaiters.delete(clip.id);
+  for (const callback of waiters) callback(outcome);
+}
+
+/**
+ * Resolve with the clip's outcome once it is settled, or 'timeout'.
+ * @param {AbortSignal} [signal]  Stops waiting (resolving 'cancelled'), e.g. when the caller hangs up.
+ */
+function waitForClip(clip, timeoutMs, signal) {
+  return new Promise((resolve) => {
+    if (clip.outcome) return resolve(clip.outcome); // e.g. dropped as it was queued
+    if (!clipWaiters.has(clip.id)) clipWaiters.set(clip.id, new Set());
+    const waiters = clipWaiters.get(clip.id);
+    const done = (outcome) => {
+      clearTimeout(timer);
+      waiters.delete(done);
+      if (waiters.size === 0 && clipWaiters.get(clip.id) === waiters) clipWaiters.delete(clip.id);
+      resolve(outcome);
+    };
+    const timer = setTimeout(() => done('timeout'), timeoutMs);
+    waiters.add(done);
+    if (signal) signal.addEventListener('abort', () => done('cancelled'), { once: true });
+  });
+}
+
+/** A playback report from a viewer: relay it and let the queue react. */
+function handlePlaybackReport(room, ws, msg) {
+  if (typeof msg.id !== 'string') return;
+  const data = { id: msg.id, connectionId: ws.connectionId };
+  if (msg.type === 'playback.error') data.error = typeof msg.error === 'string' ? msg.error : 'playback failed';
+  publishEvent(room, msg.type, data);
+
+  if (msg.type === 'playback.ended') handlePlaybackEnded(room, msg.id);
+  else if (msg.type === 'playback.error') handlePlaybackError(room, ws, msg.id);
+}
+
+// ---------------------------------------------------------------------------
+// Server-side lip sync (see lipsync.js)
+//
+// Complete clips are analysed when they arrive; the resulting mouth-openness
+// track travels in the `audio` message (`lipsync`) and stays available at
+// GET /api/lipsync/:clipId. Clips that can't be decoded go out without a track
+// and the browser falls back to live RMS.
+// ---------------------------------------------------------------------------
+const LIPSYNC_OPTIONS = {
+  ffmpegPath: process.env.LIPSYNC_FFMPEG || '',
+  ffmpegTimeoutMs: Number(process.env.LIPSYNC_FFMPEG_TIMEOUT_MS) || 30_000,
+  attackMs:   Number(process.env.LIPSYNC_ATTACK_MS)  || 30,
+  releaseMs:  Number(process.env.LIPSYNC_RELEASE_MS) || 90,
+};
+const LIPSYNC_CACHE_MAX = 100; // tracks kept for GET /api/lipsync/:id
+
+const lipSyncTracks = new Map(); // clipId -> track (insertion-ordered, oldest first)
+
+/** Analyse a clip; never throws, resolves to null if it can't be decoded. */
+async function analyzeLipSync(buffer, label) {
+  try {
+    return await analyzeAudio(buffer, LIPSYNC_OPTIONS);
+  } catch (err) {
+    console.warn(`[lipsync] Could not analyse ${label}: ${err.message}`);
+    return null;
+  }
+}
+
+function rememberLipSync(id, track) {
+  if (!track) return;
+  lipSyncTracks.set(id, track);
+  while (lipSyncTracks.size > LIPSYNC_CACHE_MAX) {
+    lipSyncTracks.delete(lipSyncTracks.keys().next().value);
+  }
+}
+
+/** Drop every pending clip of a room and stop the current one. */
+function clearSpeechQueue(room) {
+  const cleared = room.speechQueue.length;
+  for (const clip of room.speechQueue) settleClip(clip, 'stopped');
+  room.speechQueue.length = 0;
+  clearTimeout(room.clipWatchdog);
+  room.clipWatchdog = null;
+  if (room.currentClip) {
+    broadcast(room, { type: 'audio.stop', id: room.currentClip.id });
+    settleClip(room.currentClip, 'stopped');
+    room.currentClip = null;
+  }
+  return cleared;
+}
+
+// ---------------------------------------------------------------------------
+// Audio history (see history.js)
+//
+// Received clips (uploads, streams, watched files) are saved with their
+// metadata and can be listed and replayed by id via /api/history.
+// ---------------------------------------------------------------------------
+const history = createHistory({
+  dir:      process.env.HISTORY_DIR || path.join(__dirname, 'history'),
+  maxClips: Number(process.env.HISTORY_MAX_CLIPS) || 500,
+  maxBytes: (Number(process.env.HISTORY_MAX_MB) || 500) * 1024 * 1024,
+});
+
+/**
+ * Save a received clip under its queue id; failures are logged, never thrown.
+ * @param {object} room
+ * @param {object} clip  The queued clip (provides the id).
+ * @param {Buffer} buffer  Audio bytes as received.
+ * @param {{ source: string, filename?: string, mimeType: string, duration?: number|null,
+ *           text?: string|null, visemes?: Array|null }} meta
+ */
+function recordHistory(room, clip, buffer, meta) {
+  history.add(buffer, { id: clip.id, room: room.name, ...meta }).catch((err) => {
+    console.warn(`[history] Could not save ${clip.id}: ${err.message}`);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Streaming ingest (POST /api/speak/stream)
+//
+// For streaming TTS engines. The request body is raw PCM or a WAV stream sent
+// with chunked transfer encoding, and frames are forwarded to viewers as they
+// arrive instead of after the whole upload:
+//   audio.stream.start { id, format, sampleRate, channels }
+//   audio.chunk        { id, data }   base64 PCM, whole frames only
+//   audio.stream.end   { id }
+// A stream is an ordinary speech queue entry; while it waits behind other
+// clips its frames are buffered here and flushed when its turn comes.
+// ---------------------------------------------------------------------------
+const WAV_HEADER_MAX = 64 * 1024; // give up if no data chunk by then
+
+function startStreamPlayback(room, clip) {
+  const { format, sampleRate, channels, chunks, ended } = clip.stream;
+  broadcast(room, { type: 'audio.stream.start', id: clip.id, format, sampleRate, channels });
+  for (const chunk of chunks) {
+    broadcast(room, { type: 'audio.chunk', id: clip.id, data: chunk.toString('base64') });
+  }
+  if (ended) broadcast(room, { type: 'audio.stream.end', id: clip.id });
+}
+
+/** Seconds of audio a stream has received. */
+function streamSeconds(stream) {
+  return stream.bytes / (stream.sampleRate * stream.channels * PCM_FORMATS[stream.format]);
+}
+
+/** Replay a playing stream to one viewer that joined late, from `offset` s in. */
+function sendStreamSoFar(ws, clip, offset) {
+  const { format, sampleRate, channels, chunks, ended } = clip.stream;
+  ws.send(JSON.stringify({ type: 'audio.stream.start', id: clip.id, format, sampleRate, channels, offset }));
+  for (const chunk of chunks) {
+    ws.send(JSON.stringify({ type: 'audio.chunk', id: clip.id, data: chunk.toString('base64') }));
+  }
+  if (ended) ws.send(JSON.stringify({ type: 'audio.stream.end', id: clip.id }));
+}
+
+function pushStreamChunk(room, clip, buf) {
+  const stream = clip.stream;
+  const frameBytes = PCM_FORMATS[stream.format] * stream.channels;
+
+  // Only forward whole frames; a split sample is carried into the next chunk.
+  const data = stream.carry.length ? Buffer.concat([stream.carry, buf]) : buf;
+  const usable = data.length - (data.length % frameBytes);
+  stream.carry = data.subarray(usable);
+  if (usable === 0) return;
+
+  const chunk = data.subarray(0, usable);
+  stream.chunks.push(chunk);
+  stream.bytes += usable;
+  if (room.currentClip === clip) {
+    broadcast(room, { type: 'audio.chunk', id: clip.id, data: chunk.toString('base64') });
+  }
+}
+
+function endStreamIngest(room, clip) {
+  const stream = clip.stream;
+  if (stream.ended) return;
+  stream.ended = true;
+
+  // Keep the assembled clip as a regular WAV so /api/replay works for streams too.
+  const wav = encodeWav(Buffer.concat(stream.chunks), stream);
+  const audio = { data: wav.toString('base64'), mimeType: 'audio/wav', lipsync: null };
+  room.lastAudio = audio;
+  recordHistory(room, clip, wav, {
+    source: 'upload',
+    filename: clip.label,
+    mimeType: 'audio/wav',
+    duration: streamSeconds(stream),
+    text: stream.text,
+  });
+  // Streams play with live RMS; the track is still computed for replay and GET /api/lipsync.
+  analyzeLipSync(wav, clip.label).then((track) => {
+    audio.lipsync = track;
+    rememberLipSync(clip.id, track);
+  });
+
+  if (room.currentClip === clip) {
+    broadcast(room, { type: 'audio.stream.end', id: clip.id });
+    armClipWatchdog(room);
+  }
+}
+
+// POST /api/speak/stream?format=s16le|f32le|wav&rate=…&channels=…&mode=…&room=…&text=… - chunked PCM ingest
+app.post('/api/speak/stream', requireScope('speak'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const mode = parseSpeechMode(req.query.mode);
+  if (!mode) {
+    return res.status(400).json({ error: `Invalid mode. Use one of: ${SPEECH_MODES.join(', ')}.` });
+  }
+
+  const format = req.query.format || 's16le';
+  let pcmFormat = null;
+  if (format !== 'wav') {
+    const sampleRate = parseInt(req.query.rate, 10);
+    const channels   = parseInt(req.query.channels || '1', 10);
+    if (!PCM_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format. Use one of: ${Object.keys(PCM_FORMATS).join(', ')}, wav.` });
+    }
+    if (!(sampleRate >= 8000 && sampleRate <= 192000)) {
+      return res.status(400).json({ error: 'rate (sample rate in Hz, 8000–192000) is required for raw PCM.' });
+    }
+    if (!(channels >= 1 && channels <= 8)) {
+      return res.status(400).json({ error: 'channels must be between 1 and 8.' });
+    }
+    pcmFormat = { format, sampleRate, channels };
+  }
+
+  const label = req.query.name || 'stream';
+  let clip   = null;
+  let header = Buffer.alloc(0); // WAV bytes collected until the data chunk starts
+  let failed = false;
+
+  function startClip({ format, sampleRate, channels }) {
+    const stream = {
+      format, sampleRate, channels, text: req.query.text || null,
+      chunks: [], carry: Buffer.alloc(0), bytes: 0, ended: false,
+    };
+    clip = enqueueSpeech(room, { mimeType: 'audio/pcm', stream }, mode, label);
+    console.log(`[stream] ${room.name}: ${clip.id} started: ${format} ${sampleRate} Hz x${channels}, mode: ${mode}`);
+  }
+
+  // Answer right away and drop the connection rather than read the rest of a
+  // body that will never be played (up to the whole upload limit).
+  function failStream(error, status = 400) {
+    failed = true;
+    res.set('Connection', 'close');
+    res.status(status).json({ error });
+  }
+
+  if (pcmFormat) startClip(pcmFormat);
+
+  req.on('data', (buf) => {
+    if (failed) return;
+    if (!clip) {
+      header = Buffer.concat([header, buf]);
+      const parsed = parseWavHeader(header);
+      if (!parsed) {
+        if (header.length > WAV_HEADER_MAX) failStream('WAV header too large or data chunk missing.');
+        return;
+      }
+      if (parsed.error) {
+        failStream(`Invalid WAV stream: ${parsed.error}.`);
+        return;
+      }
+      const wavFormat = pcmFormatOf(parsed);
+      if (!wavFormat) {
+        failStream('WAV streams must be 16-bit PCM or 32-bit float.');
+        return;
+      }
+      startClip({ format: wavFormat, sampleRate: parsed.sampleRate, channels: parsed.channels });
+      buf = header.subarray(parsed.dataOffset);
+    }
+    if (clip.stream.bytes + buf.length > MAX_UPLOAD_BYTES) {
+      // Play out what arrived within the limit; the rest is refused.
+      endStreamIngest(room, clip);
+      failStream(`Stream exceeds the ${UPLOAD_LIMIT_TEXT} upload limit.`, 413);
+      return;
+    }
+    pushStreamChunk(room, clip, buf);
+  });
+
+  req.on('end', () => {
+    if (failed) return;
+    if (!clip) {
+      return res.status(400).json({ error: 'Stream ended before any audio data.' });
+    }
+    endStreamIngest(room, clip);
+    const { sampleRate, channels, format, bytes } = clip.stream;
+    const duration = bytes / (sampleRate * channels * PCM_FORMATS[format]);
+    console.log(`[stream] ${clip.id} ended (${bytes} bytes, ${duration.toFixed(2)} s)`);
+    res.json({ success: true, id: clip.id, mode, bytes, duration });
+  });
+
+  // Uploader went away mid-stream: play out whatever already arrived.
+  req.on('close', () => {
+    if (clip && !clip.stream.ended) endStreamIngest(room, clip);
+  });
+});
+
+const SPEAK_WAIT_DEFAULT_S = 120;
+const SPEAK_WAIT_MAX_S = 600;
+
+// POST /api/speak?mode=queue|priority|interrupt&room=… - receive audio data and queue it for playback
+// Form fields: audio (file, required), visemes (JSON timeline, optional), text (spoken text, optional),
+//              room (optional)
+// With ?wait=true the response waits until the clip has played (see "Playback events"),
+// at most ?timeout= seconds (default 120).
+app.post('/api/speak', requireScope('speak'), upload.single('audio'), async (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
   if (!req.file) {
     return res.status(400).json({ error: 'No audio file provided. Use multipart/form-data with field name "audio".' });
   }
+  const mode = parseSpeechMode(req.query.mode);
+  if (!mode) {
+    return res.status(400).json({ error: `Invalid mode. Use one of: ${SPEECH_MODES.join(', ')}.` });
+  }
+  const wait = req.query.wait === 'true' || req.query.wait === '1';
+  const waitSeconds = req.query.timeout === undefined ? SPEAK_WAIT_DEFAULT_S : Number(req.query.timeout);
+  if (wait && !(waitSeconds > 0 && waitSeconds <= SPEAK_WAIT_MAX_S)) {
+    return res.status(400).json({ error: `timeout must be more than 0 and at most ${SPEAK_WAIT_MAX_S} seconds.` });
+  }
+
+  // Optional explicit viseme timeline (JSON form field), e.g. a VOICEVOX audio query.
+  let visemes = null;
+  if (req.body.visemes) {
+    try {
+      visemes = normalizeVisemeTimeline(JSON.parse(req.body.visemes));
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid visemes: ${err.message}` });
+    }
+  }
 
-  const mimeType = req.file.mimetype || 'audio/wav';
+  // The type comes from the extension: the clip is stored and served back as
+  // history, so the client's Content-Type is never trusted. curl and many TTS
+  // clients send application/octet-stream, which is allowed.
+  const ext = path.extname(req.file.originalname).toLowerCase();
+  const clientType = req.file.mimetype;
+  if (!AUDIO_EXTENSIONS.has(ext) || !(clientType.startsWith('audio/') || clientType === 'application/octet-stream')) {
+    return res.status(400).json({ error: `Unsupported audio file. Send ${[...AUDIO_EXTENSIONS].join(', ')} as audio/* or application/octet-stream.` });
+  }
+  const mimeType = MIME_MAP[ext];
   const base64 = req.file.buffer.toString('base64');
+  const lipsync = await analyzeLipSync(req.file.buffer, req.file.originalname);
+
+  room.lastAudio = { data: base64, mimeType, lipsync, visemes };
+  const clip = enqueueSpeech(room, room.lastAudio, mode, req.file.originalname);
+  recordHistory(room, clip, req.file.buffer, {
+    source: 'upload',
+    filename: req.file.originalname,
+    mimeType,
+    duration: lipsync && lipsync.duration,
+    text: req.body.text,
+    visemes,
+  });
 
-  lastAudio = { data: base64, mimeType };
-  broadcast({ type: 'audio', data: base64, mimeType });
+  console.log(`Audio received for ${room.name}: ${req.file.originalname} (${req.file.size} bytes), mime: ${mimeType}, mode: ${mode}`);
+  const pending = room.speechQueue.length;
+  if (!wait) {
+    return res.json({ success: true, id: clip.id, mode, pending });
+  }
 
-  console.log(`Audio received: ${req.file.originalname} (${req.file.size} bytes), mime: ${mimeType}`);
-  res.json({ success: true });
+  // Stop waiting if the caller hangs up.
+  const hangUp = new AbortController();
+  res.on('close', () => hangUp.abort());
+  const outcome = await waitForClip(clip, waitSeconds * 1000, hangUp.signal);
+  if (outcome === 'cancelled') return;
+  res.json({ success: true, id: clip.id, mode, pending, outcome });
 });
 
-// GET /api/replay - replay the last received audio
-app.get('/api/replay', (req, res) => {
-  if (!lastAudio) {
+// GET /api/replay?mode=…&room=… - queue the room's last received audio again
+app.get('/api/replay', requireScope('speak'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  if (!room.lastAudio) {
     return res.status(404).json({ error: 'No audio has been received yet.' });
   }
-  broadcast({ type: 'audio', data: lastAudio.data, mimeType: lastAudio.mimeType });
-  console.log('Replaying last audio');
-  res.json({ success: true });
+  const mode = parseSpeechMode(req.query.mode);
+  if (!mode) {
+    return res.status(400).json({ error: `Invalid mode. Use one of: ${SPEECH_MODES.join(', ')}.` });
+  }
+  const clip = enqueueSpeech(room, room.lastAudio, mode, 'replay');
+  console.log(`Replaying last audio in ${room.name}`);
+  res.json({ success: true, id: clip.id, mode });
+});
+
+// GET /api/queue?room=… - inspect a room's speech queue (metadata only, no audio data)
+app.get('/api/queue', requireViewer, (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  res.json({
+    current: room.currentClip ? clipInfo(room.currentClip) : null,
+    pending: room.speechQueue.map(clipInfo),
+  });
+});
+
+// GET /api/events?room=… - Server-Sent Events: playback.started / playback.ended / playback.error
+app.get('/api/events', requireScope('speak'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(': connected\n\n');
+
+  const stream = { room, res };
+  eventStreams.add(stream);
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), EVENTS_KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    eventStreams.delete(stream);
+  });
+});
+
+// GET /api/lipsync/:id - mouth-openness track of a clip ({ fps, duration, values })
+app.get('/api/lipsync/:id', requireViewer, (req, res) => {
+  const track = lipSyncTracks.get(req.params.id);
+  if (!track) {
+    return res.status(404).json({ error: 'No lip-sync track for this clip.' });
+  }
+  res.json(track);
+});
+
+// DELETE /api/queue?room=… - stop the current clip and drop everything pending
+app.delete('/api/queue', requireScope('speak'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const cleared = clearSpeechQueue(room);
+  console.log(`[queue] ${room.name}: Cleared (${cleared} pending dropped)`);
+  res.json({ success: true, cleared });
+});
+
+// POST /api/queue/skip?room=… - stop the current clip and play the next one
+app.post('/api/queue/skip', requireScope('speak'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  if (!skipCurrentClip(room)) {
+    return res.status(404).json({ error: 'Nothing is playing.' });
+  }
+  res.json({ success: true, current: room.currentClip ? clipInfo(room.currentClip) : null });
+});
+
+// GET /api/rooms - room names and their current state
+app.get('/api/rooms', requireViewer, (req, res) => {
+  res.json([...rooms.values()].map((room) => ({
+    name: room.name,
+    character: room.character.name || '',
+    viewers: room.clients.size,
+    expression: displayedExpression(room),
+    effects: room.effects,
+    effectsPreset: room.effectsPreset,
+    volume: room.volume,
+    eyes: room.eyes,
+    camera: room.camera,
+    cameraPreset: room.cameraPreset,
+    autoCamera: room.autoCamera,
+    playing: room.currentClip ? room.currentClip.id : null,
+    pending: room.speechQueue.length,
+  })));
+});
+
+// GET /api/character?room=… - resolved character manifest (frame files as image URLs)
+app.get('/api/character', requireViewer, (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  res.json(resolveCharacter(room.character, room.imagesDir, room.imagesUrl));
 });
 
-// POST /api/expression - change expression (normal/smile)
-app.post('/api/expression', (req, res) => {
+// POST /api/expression - change expression (any name declared in the room's manifest)
+// Body: { expression, room? }
+app.post('/api/expression', requireScope('expression'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
   const { expression } = req.body;
-  if (!expression || !['normal', 'smile'].includes(expression)) {
-    return res.status(400).json({ error: 'Invalid expression. Use "normal" or "smile".' });
+  const names = Object.keys(room.character.expressions);
+  if (!expression || !names.includes(expression)) {
+    return res.status(400).json({ error: `Invalid expression. Use one of: ${names.join(', ')}.` });
   }
 
-  broadcast({ type: 'expression', value: expression });
+  setRoomExpression(room, expression);
+  res.json({ success: true });
+});
 
-  console.log(`Expression changed to: ${expression}`);
+// POST /api/motion - play a motion of the character's manifest once (nod, jump, …)
+// Body: { motion, room? }
+app.post('/api/motion', requireScope('expression'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const { motion } = req.body;
+  const names = Object.keys(room.character.motions || DEFAULT_MOTIONS);
+  if (!motion || !names.includes(motion)) {
+    return res.status(400).json({ error: `Invalid motion. Use one of: ${names.join(', ')}.` });
+  }
+
+  broadcast(room, { type: 'motion', motion });
   res.json({ success: true });
 });
 
-// Watch root directory for audio file changes (mp3/wav)
-const AUDIO_EXTENSIONS = new Set(['.mp3', '.wav', '.ogg']);
-const MIME_MAP = { '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.ogg': 'audio/ogg' };
-const watchDebounce = {};
-
-fs.watch(__dirname, (eventType, filename) => {
-  if (!filename) return;
-  const ext = path.extname(filename).toLowerCase();
-  if (!AUDIO_EXTENSIONS.has(ext)) return;
-
-  clearTimeout(watchDebounce[filename]);
-  watchDebounce[filename] = setTimeout(() => {
-    const filePath = path.join(__dirname, filename);
-    fs.readFile(filePath, (err, data) => {
-      if (err) return; // file may have been deleted
-      const mimeType = MIME_MAP[ext] || 'audio/mpeg';
-      const base64 = data.toString('base64');
-      lastAudio = { data: base64, mimeType };
-      broadcast({ type: 'audio', data: base64, mimeType });
-      console.log(`File changed: ${filename} (${data.length} bytes) - broadcasting`);
+// POST /api/eyes - hold the eyes closed or winking (blinks pause), or open them again
+// Body: { state: 'open'|'closed'|'wink', duration? (ms, then open again), room? }
+const EYE_STATES = ['open', 'closed', 'wink'];
+const EYES_MAX_DURATION_MS = 10 * 60_000;
+
+app.post('/api/eyes', requireScope('expression'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const { state, duration } = req.body;
+  if (!EYE_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of: ${EYE_STATES.join(', ')}.` });
+  }
+  if (duration !== undefined && !(Number.isFinite(duration) && duration > 0 && duration <= EYES_MAX_DURATION_MS)) {
+    return res.status(400).json({ error: `duration must be between 0 and ${EYES_MAX_DURATION_MS} ms.` });
+  }
+  if (state === 'wink') {
+    const { blink, expressions } = resolveCharacter(room.character, room.imagesDir, room.imagesUrl);
+    if (![blink, ...Object.values(expressions).map((expr) => expr.blink)].some((b) => b && b.wink)) {
+      return res.status(400).json({ error: 'This character has no wink frame (blink.wink and its image).' });
+    }
+  }
+
+  clearTimeout(room.eyesTimer);
+  room.eyesTimer = null;
+  setRoomEyes(room, state);
+  if (duration !== undefined && state !== 'open') {
+    room.eyesTimer = setTimeout(() => {
+      room.eyesTimer = null;
+      setRoomEyes(room, 'open');
+    }, duration);
+  }
+  res.json({ success: true });
+});
+
+// POST /api/effects - turn the particles and bloom on or off, switch the
+// preset or fire a one-shot burst, for every viewer (see effects.js)
+// Body: { enabled?, preset?, burst?, room? }  at least one of the first three
+app.post('/api/effects', requireScope('expression'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const { enabled, preset, burst } = req.body;
+  const effects = room.character.effects || DEFAULT_EFFECTS;
+  const presets = Object.keys(effects.presets);
+  const bursts  = Object.keys(effects.bursts || {});
+  if (enabled === undefined && preset === undefined && burst === undefined) {
+    return res.status(400).json({ error: 'Give enabled, preset or burst.' });
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false.' });
+  }
+  if (preset !== undefined && !presets.includes(preset)) {
+    return res.status(400).json({ error: `Invalid preset. Use one of: ${presets.join(', ')}.` });
+  }
+  if (burst !== undefined && !bursts.includes(burst)) {
+    return res.status(400).json({ error: `Invalid burst. Use one of: ${bursts.join(', ') || '(none)'}.` });
+  }
+
+  if (enabled !== undefined || preset !== undefined) {
+    if (enabled !== undefined) room.effects = enabled;
+    if (preset !== undefined) room.effectsPreset = preset;
+    broadcast(room, { type: 'effects', enabled: room.effects, preset: room.effectsPreset });
+    console.log(`Effects in ${room.name}: ${room.effects ? 'on' : 'off'}, preset ${room.effectsPreset}`);
+  }
+  if (burst !== undefined) broadcast(room, { type: 'effects.burst', burst });
+  res.json({ success: true, enabled: room.effects, preset: room.effectsPreset });
+});
+
+// POST /api/volume - set the playback volume of every viewer
+// Body: { volume (0–1), room? }
+app.post('/api/volume', requireScope('expression'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const { volume } = req.body;
+  if (typeof volume !== 'number' || !(volume >= 0 && volume <= 1)) {
+    return res.status(400).json({ error: 'volume must be a number from 0 to 1.' });
+  }
+
+  room.volume = volume;
+  broadcast(room, { type: 'volume', value: volume });
+  console.log(`Volume in ${room.name} set to ${volume}`);
+  res.json({ success: true });
+});
+
+// ---------------------------------------------------------------------------
+// Camera (see cameras.js)
+//
+// The room's camera is a view { zoom, x, y } that every viewer eases to;
+// until POST /api/camera sets one, each viewer keeps its own pan/zoom.
+// Presets are named views saved per room in cameras.json:
+//   camera         { camera, preset, duration, easing }   move to a view
+//   camera.auto    { enabled }                            push in while speaking
+//   camera.presets { presets }                            a preset was saved or deleted
+// ---------------------------------------------------------------------------
+const CAMERA_EASINGS = ['ease-in-out', 'ease-in', 'ease-out', 'linear'];
+const CAMERA_DEFAULT_DURATION_MS = 600;
+const CAMERA_MAX_DURATION_MS = 60_000;
+const FULL_VIEW = { zoom: 1, x: 0.5, y: 0.5 };
+
+let cameraPresets;
+try {
+  cameraPresets = createCameraPresets({ file: process.env.CAMERAS_FILE || path.join(__dirname, 'cameras.json') });
+} catch (err) {
+  console.error(`[camera] Invalid camera presets: ${err.message}`);
+  process.exit(1);
+}
+
+// GET /api/camera?room=… - the room's camera, auto camera and presets
+app.get('/api/camera', requireViewer, (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  res.json({
+    camera: room.camera,
+    preset: room.cameraPreset,
+    auto: room.autoCamera,
+    presets: cameraPresets.list(room.name),
+  });
+});
+
+// POST /api/camera - move every viewer's camera to a preset or a view, and/or
+// turn the auto camera on or off
+// Body: { preset? | zoom?, x?, y?, duration? (ms, default 600), easing?, auto?, room? }
+// Missing zoom / x / y keep the room's current view (the full picture at first).
+app.post('/api/camera', requireScope('expression'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const { preset, zoom, x, y, auto } = req.body;
+  const duration = req.body.duration !== undefined ? req.body.duration : CAMERA_DEFAULT_DURATION_MS;
+  const easing = req.body.easing !== undefined ? req.body.easing : CAMERA_EASINGS[0];
+  const explicit = zoom !== undefined || x !== undefined || y !== undefined;
+  if (preset === undefined && !explicit && auto === undefined) {
+    return res.status(400).json({ error: 'Give preset, zoom/x/y or auto.' });
+  }
+  if (preset !== undefined && explicit) {
+    return res.status(400).json({ error: 'Give either preset or zoom/x/y, not both.' });
+  }
+  if (auto !== undefined && typeof auto !== 'boolean') {
+    return res.status(400).json({ error: 'auto must be true or false.' });
+  }
+  if (!(Number.isFinite(duration) && duration >= 0 && duration <= CAMERA_MAX_DURATION_MS)) {
+    return res.status(400).json({ error: `duration must be between 0 and ${CAMERA_MAX_DURATION_MS} ms.` });
+  }
+  if (!CAMERA_EASINGS.includes(easing)) {
+    return res.status(400).json({ error: `easing must be one of: ${CAMERA_EASINGS.join(', ')}.` });
+  }
+
+  let camera = null;
+  if (preset !== undefined) {
+    camera = typeof preset === 'string' ? cameraPresets.get(room.name, preset) : null;
+    if (!camera) {
+      return res.status(400).json({ error: `Invalid preset. Use one of: ${Object.keys(cameraPresets.list(room.name)).join(', ')}.` });
+    }
+  } else if (explicit) {
+    camera = { ...(room.camera || FULL_VIEW) };
+    if (zoom !== undefined) camera.zoom = zoom;
+    if (x !== undefined) camera.x = x;
+    if (y !== undefined) camera.y = y;
+    const errors = validateCamera(camera);
+    if (errors.length > 0) return res.status(400).json({ error: `${errors.join('; ')}.` });
+  }
+
+  if (camera) {
+    room.camera = camera;
+    room.cameraPreset = preset !== undefined ? preset : null;
+    broadcast(room, { type: 'camera', camera, preset: room.cameraPreset, duration, easing });
+    console.log(`Camera in ${room.name}: ${room.cameraPreset || JSON.stringify(camera)}`);
+  }
+  if (auto !== undefined) {
+    room.autoCamera = auto;
+    broadcast(room, { type: 'camera.auto', enabled: auto });
+    console.log(`Auto camera in ${room.name}: ${auto ? 'on' : 'off'}`);
+  }
+  res.json({ success: true, camera: room.camera, preset: room.cameraPreset, auto: room.autoCamera });
+});
+
+// PUT /api/camera/presets/:name - save a view as a preset of the room (replaces one of the same name)
+// Body: { zoom, x, y, room? }
+app.put('/api/camera/presets/:name', requireScope('expression'), async (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const { name } = req.params;
+  if (!PRESET_NAME_RE.test(name)) {
+    return res.status(400).json({ error: 'Preset names are 1–40 letters, digits, "_" or "-".' });
+  }
+  const camera = { zoom: req.body.zoom, x: req.body.x, y: req.body.y };
+  const errors = validateCamera(camera);
+  if (errors.length > 0) return res.status(400).json({ error: `${errors.join('; ')}.` });
+
+  try {
+    await cameraPresets.save(room.name, name, camera);
+  } catch (err) {
+    console.error(`[camera] Failed to save preset ${name}: ${err.message}`);
+    return res.status(500).json({ error: 'Failed to save the preset.' });
+  }
+  broadcast(room, { type: 'camera.presets', presets: cameraPresets.list(room.name) });
+  res.json({ success: true, preset: name, camera });
+});
+
+// DELETE /api/camera/presets/:name?room=… - delete a saved preset (a default one comes back)
+app.delete('/api/camera/presets/:name', requireScope('expression'), async (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  let removed;
+  try {
+    removed = await cameraPresets.remove(room.name, req.params.name);
+  } catch (err) {
+    console.error(`[camera] Failed to delete preset ${req.params.name}: ${err.message}`);
+    return res.status(500).json({ error: 'Failed to delete the preset.' });
+  }
+  if (!removed) return res.status(404).json({ error: `No saved preset "${req.params.name}" in room ${room.name}.` });
+  broadcast(room, { type: 'camera.presets', presets: cameraPresets.list(room.name) });
+  res.json({ success: true });
+});
+
+// GET /api/history?room=…&offset=…&limit=… - received clips of a room, newest first
+app.get('/api/history', requireScope('speak'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit  = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const { total, items } = history.list({ room: room.name, offset, limit });
+  res.json({
+    total,
+    offset,
+    limit,
+    // Timelines can be long; they stay server-side and are used on replay.
+    items: items.map(({ visemes, audioFile, ...entry }) => ({ ...entry, visemes: !!visemes })),
+  });
+});
+
+// GET /api/history/:id/audio - the clip's audio as received
+app.get('/api/history/:id/audio', requireScope('speak'), (req, res) => {
+  const entry = history.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'No such clip in history.' });
+  }
+  // Always a download of a known audio type, never something a browser renders.
+  const type = Object.values(MIME_MAP).includes(entry.mimeType) ? entry.mimeType : 'application/octet-stream';
+  res.type(type).sendFile(history.audioPath(entry), { headers: {
+    'Content-Disposition': `attachment; filename="${entry.audioFile}"`,
+    'X-Content-Type-Options': 'nosniff',
+  } });
+});
+
+// POST /api/history/:id/replay?mode=…&room=… - queue a saved clip again (in its own room by default)
+app.post('/api/history/:id/replay', requireScope('speak'), async (req, res) => {
+  const entry = history.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'No such clip in history.' });
+  }
+  let room;
+  if (req.query.room || (req.body && req.body.room)) {
+    room = requestRoom(req, res);
+    if (!room) return;
+  } else {
+    room = rooms.get(entry.room);
+    if (!room) {
+      return res.status(404).json({ error: `Room "${entry.room}" no longer exists; pass ?room=.` });
+    }
+  }
+  const mode = parseSpeechMode(req.query.mode);
+  if (!mode) {
+    return res.status(400).json({ error: `Invalid mode. Use one of: ${SPEECH_MODES.join(', ')}.` });
+  }
+
+  let data;
+  try {
+    data = await fs.promises.readFile(history.audioPath(entry));
+  } catch (err) {
+    return res.status(404).json({ error: 'Clip audio is missing from the history directory.' });
+  }
+  const lipsync = await analyzeLipSync(data, entry.filename || entry.id);
+  const clip = enqueueSpeech(room, {
+    data: data.toString('base64'),
+    mimeType: entry.mimeType,
+    lipsync,
+    visemes: entry.visemes,
+  }, mode, `history:${entry.filename || entry.id}`);
+
+  console.log(`[history] Replaying ${entry.id} in ${room.name}`);
+  res.json({ success: true, id: clip.id, mode, room: room.name });
+});
+
+// ---------------------------------------------------------------------------
+// Recording (see recordings.js)
+//
+// One viewer of the room records what it shows (layers, particles, bloom and
+// the audio it plays) with MediaRecorder:
+//   POST /api/record/start   → recorder gets record.start { id, uploadToken }
+//   POST /api/record/stop    → recorder gets record.stop { id } and uploads the
+//                              video to POST /api/recordings/:id
+// Every viewer of the room gets recording { id } (null when it ends) for its
+// record button. The upload token is the recorder's only credential, so
+// display-only pages (?token=…) can record too.
+// ---------------------------------------------------------------------------
+const RECORDING_UPLOAD_MAX_BYTES = Math.floor((Number(process.env.RECORDING_UPLOAD_MAX_MB) || 500) * 1024 * 1024);
+const RECORD_UPLOAD_TIMEOUT_MS = 60_000; // how long a stopped recording may take to arrive
+
+const recordings = createRecordings({
+  dir:      process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings'),
+  maxBytes: (Number(process.env.RECORDINGS_MAX_MB) || 2000) * 1024 * 1024,
+});
+
+// id -> { id, room, recorder, uploadToken, startedAt, stoppedAt, uploading, timer, waiters }
+// from record.start until the upload is stored, the recorder leaves or the
+// upload times out.
+const pendingRecordings = new Map();
+
+/** Forget a pending recording and tell whoever waits for it (entry, or null if it was lost). */
+function settleRecording(recording, entry) {
+  if (pendingRecordings.get(recording.id) !== recording) return;
+  pendingRecordings.delete(recording.id);
+  clearTimeout(recording.timer);
+  const room = recording.room;
+  if (room.recording === recording) {
+    room.recording = null;
+    broadcast(room, { type: 'recording', id: null });
+  }
+  for (const callback of recording.waiters) callback(entry);
+}
+
+/** Resolve with the stored recording once uploaded, or null if it never arrives. */
+function waitForRecording(recording) {
+  return new Promise((resolve) => recording.waiters.add(resolve));
+}
+
+/** The recorder left: whatever it hadn't uploaded is lost. */
+function handleRecorderGone(ws) {
+  for (const recording of pendingRecordings.values()) {
+    if (recording.recorder === ws && !recording.uploading) {
+      console.warn(`[record] ${recording.room.name}: Recorder of ${recording.id} disconnected`);
+      settleRecording(recording, null);
+    }
+  }
+}
+
+// POST /api/record/start - start recording on a viewer of the room
+// Body: { connectionId?, room? }  connectionId picks the recorder; default is
+// the viewer that has been connected longest.
+app.post('/api/record/start', requireScope('record'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  if (room.recording) {
+    return res.status(409).json({ error: `Already recording (${room.recording.id}).` });
+  }
+  const { connectionId } = req.body;
+  const recorder = connectionId !== undefined
+    ? [...room.clients].find((client) => client.connectionId === connectionId)
+    : room.clients.values().next().value;
+  if (!recorder) {
+    return res.status(connectionId !== undefined ? 400 : 409).json({
+      error: connectionId !== undefined
+        ? `connectionId is not connected to room "${room.name}"`
+        : `No viewer is connected to room "${room.name}" to record.`,
     });
-  }, 300);
+  }
+
+  const recording = {
+    id: randomUUID(),
+    room,
+    recorder,
+    uploadToken: randomBytes(24).toString('hex'),
+    startedAt: Date.now(),
+    stoppedAt: null,
+    uploading: false,
+    timer: null,
+    waiters: new Set(),
+  };
+  pendingRecordings.set(recording.id, recording);
+  room.recording = recording;
+  recorder.send(JSON.stringify({ type: 'record.start', id: recording.id, uploadToken: recording.uploadToken }));
+  broadcast(room, { type: 'recording', id: recording.id });
+  console.log(`[record] ${room.name}: Started ${recording.id} on ${recorder.connectionId}`);
+  res.json({ success: true, id: recording.id, connectionId: recorder.connectionId });
 });
 
-// On startup, load the most recently modified audio file in the root directory
-function loadLatestAudioFile() {
-  const files = fs.readdirSync(__dirname)
+// POST /api/record/stop - stop recording; answers once the video is stored
+// Body: { room? }
+app.post('/api/record/stop', requireScope('record'), async (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const recording = room.recording;
+  if (!recording) {
+    return res.status(404).json({ error: 'Not recording.' });
+  }
+
+  recording.stoppedAt = Date.now();
+  room.recording = null;
+  broadcast(room, { type: 'recording', id: null });
+  recording.recorder.send(JSON.stringify({ type: 'record.stop', id: recording.id }));
+  recording.timer = setTimeout(() => {
+    console.warn(`[record] ${room.name}: ${recording.id} was never uploaded`);
+    settleRecording(recording, null);
+  }, RECORD_UPLOAD_TIMEOUT_MS);
+  console.log(`[record] ${room.name}: Stopped ${recording.id}; waiting for the upload`);
+
+  const entry = await waitForRecording(recording);
+  if (!entry) {
+    return res.status(502).json({ error: 'The recorder did not upload the recording.', id: recording.id });
+  }
+  res.json({ success: true, recording: entry });
+});
+
+// POST /api/recordings/:id - the recorder's upload (raw video body)
+// Header: X-Recording-Token (the uploadToken of record.start)
+app.post('/api/recordings/:id', (req, res) => {
+  const recording = pendingRecordings.get(req.params.id);
+  if (!recording || req.get('X-Recording-Token') !== recording.uploadToken) {
+    return res.status(403).json({ error: 'Unknown recording or wrong upload token.' });
+  }
+  if (recording.uploading) {
+    return res.status(409).json({ error: 'This recording is already being uploaded.' });
+  }
+  recording.uploading = true;
+
+  const partPath = recordings.partPath(recording.id);
+  const out = fs.createWriteStream(partPath);
+  let size = 0;
+  let failed = false;
+
+  function fail(error, status) {
+    if (failed) return;
+    failed = true;
+    out.destroy();
+    recordings.discard(recording.id);
+    settleRecording(recording, null);
+    if (!res.headersSent) res.status(status).json({ error });
+  }
+
+  req.on('data', (buf) => {
+    size += buf.length;
+    if (size > RECORDING_UPLOAD_MAX_BYTES) {
+      req.unpipe(out);
+      req.resume();
+      fail(`Recording exceeds the ${+(RECORDING_UPLOAD_MAX_BYTES / 1024 / 1024).toFixed(2)} MB limit.`, 413);
+    }
+  });
+  req.on('close', () => {
+    if (!req.complete) fail('Upload aborted.', 400);
+  });
+  out.on('error', (err) => fail(`Could not write the recording: ${err.message}`, 500));
+  out.on('finish', async () => {
+    if (failed) return;
+    try {
+      const entry = await recordings.add({
+        id: recording.id,
+        room: recording.room.name,
+        mimeType: req.get('Content-Type'),
+        size,
+        startedAt: recording.startedAt,
+        duration: ((recording.stoppedAt || Date.now()) - recording.startedAt) / 1000,
+      });
+      console.log(`[record] ${recording.room.name}: Stored ${entry.videoFile} (${size} bytes)`);
+      settleRecording(recording, entry);
+      res.json({ success: true, recording: entry });
+    } catch (err) {
+      fail(`Could not store the recording: ${err.message}`, 500);
+    }
+  });
+  req.pipe(out);
+});
+
+// GET /api/recordings?room=…&offset=…&limit=… - stored recordings of a room, newest first
+app.get('/api/recordings', requireScope('record'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit  = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const { total, items } = recordings.list({ room: room.name, offset, limit });
+  res.json({ total, offset, limit, items: items.map(({ videoFile, ...entry }) => entry) });
+});
+
+// GET /api/recordings/:id/video - download a recording
+app.get('/api/recordings/:id/video', requireScope('record'), (req, res) => {
+  const entry = recordings.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'No such recording.' });
+  }
+  res.type(entry.mimeType).sendFile(recordings.videoPath(entry), { headers: {
+    'Content-Disposition': `attachment; filename="${entry.videoFile}"`,
+    'X-Content-Type-Options': 'nosniff',
+  } });
+});
+
+// ---------------------------------------------------------------------------
+// Spoken chat replies (see tts.js)
+//
+// With TTS_PROVIDER set, every final assistant reply is split into sentences
+// that are synthesized one after another and queued in the reply's room as
+// each one is ready, so the first sentence plays while the rest renders.
+// ---------------------------------------------------------------------------
+let tts = null;
+try {
+  tts = createTtsProvider({
+    provider:  process.env.TTS_PROVIDER || '',
+    command:   process.env.TTS_COMMAND,
+    url:       process.env.TTS_URL || 'http://127.0.0.1:50021',
+    timeoutMs: Number(process.env.TTS_TIMEOUT_MS) || 30_000,
+  });
+} catch (err) {
+  console.error(`[tts] ${err.message}`);
+  process.exit(1);
+}
+
+/**
+ * Split a reply (expression tags still in) into sentences to synthesize, each
+ * with the tags that fall inside it. A sentence that is only a tag passes it
+ * on to the next one, or to the end of the last one.
+ * @returns {Array<{ text: string, cues: Array<{ index: number, expression: string }> }>}
+ */
+function splitReply(room, text, leadExpression) {
+  const parts = [];
+  let carry = leadExpression ? [leadExpression] : [];
+  for (const sentence of splitSentences(text)) {
+    const { text: speech, tags } = room.tags.extract(sentence);
+    const cues = [...carry.map((expression) => ({ index: 0, expression })), ...tags];
+    if (!/[\p{L}\p{N}]/u.test(speech)) {
+      carry = cues.map((cue) => cue.expression);
+      continue;
+    }
+    carry = [];
+    parts.push({ text: speech.trim(), cues });
+  }
+  const last = parts[parts.length - 1];
+  if (last) last.cues.push(...carry.map((expression) => ({ index: last.text.length, expression })));
+  return parts;
+}
+
+function speakReply(room, runId, text, leadExpression) {
+  if (!tts) return;
+  const parts = splitReply(room, text, leadExpression);
+  if (parts.length === 0) {
+    if (leadExpression) setRoomExpression(room, leadExpression);
+    return;
+  }
+
+  // Chained per room so two replies finishing close together don't interleave.
+  // POST /api/chat/:runId/abort cancels the sentences not yet queued.
+  const job = { cancelled: false };
+  room.speakingRuns.set(runId, job);
+  // Errors are caught here so one failed reply can't break the chain for the
+  // replies after it.
+  room.ttsChain = room.ttsChain.then(async () => {
+    try {
+      for (const [i, part] of parts.entries()) {
+        if (job.cancelled) break;
+        let speech;
+        try {
+          speech = await tts.synthesize(part.text, room.voice);
+        } catch (err) {
+          console.warn(`[tts] ${room.name}: sentence ${i + 1}/${parts.length} of ${runId} failed: ${err.message}`);
+          // Nothing to time it against; still show the expression.
+          if (part.cues.length > 0) setRoomExpression(room, part.cues[part.cues.length - 1].expression);
+          continue;
+        }
+        if (job.cancelled) break;
+        const lipsync = await analyzeLipSync(speech.buffer, `chat:${runId}`);
+        // Place each tag by its share of the sentence's characters; a tag at the
+        // very end lands just before the clip ends so viewers still apply it.
+        const duration = lipsync ? lipsync.duration
+          : speech.visemes && speech.visemes.length > 0 ? speech.visemes[speech.visemes.length - 1].end : 0;
+        const expressions = part.cues.map((cue) => ({
+          at: Math.round(Math.max(0, Math.min(duration * cue.index / part.text.length, duration - 0.05)) * 1000) / 1000,
+          value: cue.expression,
+        }));
+        room.lastAudio = {
+          data: speech.buffer.toString('base64'),
+          mimeType: speech.mimeType,
+          lipsync,
+          visemes: speech.visemes,
+          expressions: expressions.length > 0 ? expressions : null,
+        };
+        const clip = enqueueSpeech(room, { ...room.lastAudio, runId }, 'queue', `chat:${runId}#${i + 1}`);
+        recordHistory(room, clip, speech.buffer, {
+          source: 'chat',
+          mimeType: speech.mimeType,
+          duration: lipsync && lipsync.duration,
+          text: part.text,
+          visemes: speech.visemes,
+        });
+      }
+    } catch (err) {
+      console.error(`[tts] ${room.name}: speaking ${runId} failed: ${err.message}`);
+    } finally {
+      room.speakingRuns.delete(runId);
+    }
+  });
+}
+
+// Watch each room's directory for audio file changes (mp3/wav)
+// (the project root for the default room)
+const AUDIO_EXTENSIONS = new Set(['.mp3', '.wav', '.ogg']);
+const MIME_MAP = { '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.ogg': 'audio/ogg' };
+
+function watchAudioDir(room) {
+  const dir = room.watchDir;
+  const watchDebounce = {};
+
+  fs.watch(dir, (eventType, filename) => {
+    if (!filename) return;
+    const ext = path.extname(filename).toLowerCase();
+    if (!AUDIO_EXTENSIONS.has(ext)) return;
+
+    clearTimeout(watchDebounce[filename]);
+    watchDebounce[filename] = setTimeout(() => {
+      const filePath = path.join(dir, filename);
+      fs.readFile(filePath, async (err, data) => {
+        if (err) return; // file may have been deleted
+        const mimeType = MIME_MAP[ext] || 'audio/mpeg';
+        const base64 = data.toString('base64');
+        const lipsync = await analyzeLipSync(data, filename);
+        room.lastAudio = { data: base64, mimeType, lipsync };
+        const clip = enqueueSpeech(room, room.lastAudio, 'queue', filename);
+        recordHistory(room, clip, data, { source: 'watcher', filename, mimeType, duration: lipsync && lipsync.duration });
+        console.log(`File changed in ${room.name}: ${filename} (${data.length} bytes) - queued`);
+      });
+    }, 300);
+  });
+}
+
+// On startup, load the most recently modified audio file in a room's watch directory
+function loadLatestAudioFile(room) {
+  const dir = room.watchDir;
+  const files = fs.readdirSync(dir)
     .filter(f => AUDIO_EXTENSIONS.has(path.extname(f).toLowerCase()))
-    .map(f => ({ name: f, mtime: fs.statSync(path.join(__dirname, f)).mtimeMs }))
+    .map(f => ({ name: f, mtime: fs.statSync(path.join(dir, f)).mtimeMs }))
     .sort((a, b) => b.mtime - a.mtime);
 
   if (files.length === 0) return;
   const latest = files[0];
   const ext = path.extname(latest.name).toLowerCase();
-  const data = fs.readFileSync(path.join(__dirname, latest.name));
-  lastAudio = { data: data.toString('base64'), mimeType: MIME_MAP[ext] || 'audio/mpeg' };
-  console.log(`Loaded for replay: ${latest.name}`);
+  const data = fs.readFileSync(path.join(dir, latest.name));
+  const audio = { data: data.toString('base64'), mimeType: MIME_MAP[ext] || 'audio/mpeg', lipsync: null };
+  room.lastAudio = audio;
+  analyzeLipSync(data, latest.name).then((track) => { audio.lipsync = track; });
+  console.log(`Loaded for replay in ${room.name}: ${latest.name}`);
 }
 
 // ---------------------------------------------------------------------------
 // POST /api/chat  (Stage 1)
 //
-// Receives { text } from the browser, forwards it to the OpenClaw Gateway via
-// chat.send, then streams the assistant's reply back to the browser over the
-// existing WebSocket broadcast channel (chat.delta / chat.final / chat.error).
+// Receives { text, room?, connectionId?, idempotencyKey? } from the browser,
+// forwards it to the OpenClaw Gateway via chat.send on the room's session, then
+// streams the assistant's reply back over the WebSocket (chat.user / chat.delta /
+// chat.final / chat.error): to the viewer with `connectionId` and to mirror
+// viewers, or to every viewer of the room when no connection is given.
 //
 // The gateway token is never involved with this response – it stays server-side.
 // ---------------------------------------------------------------------------
-app.post('/api/chat', (req, res) => {
-  const { text } = req.body;
-  if (!text || typeof text !== 'string' || !text.trim()) {
-    return res.status(400).json({ error: 'text field is required and must be a non-empty string' });
+const RUN_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * The sending viewer and run id of a chat request (connectionId and
+ * idempotencyKey in the body), or null after answering with an error.
+ * @returns {null|{ origin: WebSocket|null, idempotencyKey: string }}
+ */
+function chatTarget(req, res, room) {
+  // The sending viewer (its id comes in the WS `connection` message).
+  let origin = null;
+  const { connectionId } = req.body;
+  if (connectionId !== undefined) {
+    origin = [...room.clients].find((client) => client.connectionId === connectionId);
+    if (!origin) {
+      res.status(400).json({ error: `connectionId is not connected to room "${room.name}"` });
+      return null;
+    }
   }
 
-  if (!gatewayReady || !gatewayWs) {
-    return res.status(503).json({ error: 'Gateway not connected – please wait and retry' });
+  // Callers may choose the run id, so they can match events that arrive before this response.
+  let idempotencyKey = randomUUID();
+  if (req.body.idempotencyKey !== undefined) {
+    if (typeof req.body.idempotencyKey !== 'string' || !RUN_ID_RE.test(req.body.idempotencyKey)) {
+      res.status(400).json({ error: `idempotencyKey must match ${RUN_ID_RE}` });
+      return null;
+    }
+    if (chatRuns.has(req.body.idempotencyKey)) {
+      res.status(409).json({ error: 'idempotencyKey is already in use' });
+      return null;
+    }
+    idempotencyKey = req.body.idempotencyKey;
   }
+  return { origin, idempotencyKey };
+}
 
-  const idempotencyKey = randomUUID();
+/** Forward a user message to the room's session; the reply streams to `origin` (or everyone). */
+function sendChat(room, { origin, idempotencyKey }, text) {
+  chatRuns.set(idempotencyKey, { room: room.name, origin });
+  sendChatEvent(room, origin, { type: 'chat.user', runId: idempotencyKey, text });
 
   // Send the chat message to the gateway via the RPC request frame.
   // deliver:false – do not auto-deliver to other channels; we consume events here.
   gatewayWs.request('chat.send', {
-    sessionKey: SESSION_KEY,
-    message: text.trim(),
+    sessionKey: room.sessionKey,
+    message: text,
     deliver: false,
     idempotencyKey,
   }).catch((err) => {
     console.error('[chat] chat.send failed:', err);
-    broadcast({ type: 'chat.error', runId: idempotencyKey, error: err?.message || String(err) });
+    chatRuns.delete(idempotencyKey);
+    sendChatEvent(room, origin, { type: 'chat.error', runId: idempotencyKey, error: err?.message || String(err) });
   });
 
-  console.log(`[chat] Sent message (idempotencyKey=${idempotencyKey})`);
+  console.log(`[chat] Sent message to ${room.sessionKey} (room=${room.name}, idempotencyKey=${idempotencyKey})`);
+}
+
+app.post('/api/chat', requireScope('chat'), (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const { text } = req.body;
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'text field is required and must be a non-empty string' });
+  }
+
+  if (!gatewayReady || !gatewayWs) {
+    return res.status(503).json({ error: 'Gateway not connected – please wait and retry' });
+  }
+
+  const target = chatTarget(req, res, room);
+  if (!target) return;
+  sendChat(room, target, text.trim());
 
   // Acknowledge immediately; the assistant's reply will arrive as WebSocket
   // broadcast events (chat.delta / chat.final / chat.error).
-  res.json({ ok: true, idempotencyKey });
+  res.json({ ok: true, idempotencyKey: target.idempotencyKey });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/listen  (voice input, see stt.js)
+//
+// multipart/form-data with the clip in `audio` – the chat panel's mic button
+// records one – and optionally room, connectionId, idempotencyKey (as for
+// /api/chat) and language. With STT_PROVIDER set the clip is transcribed and
+// the text is sent exactly like typed text: viewers get chat.user with what
+// was heard, then the streamed reply. Answers once the text is on its way.
+// ---------------------------------------------------------------------------
+const LANGUAGE_RE = /^(?:auto|[a-z]{2,3}(?:-[A-Za-z]{2,4})?)$/;
+
+let stt = null;
+try {
+  stt = createSttProvider({
+    provider:  process.env.STT_PROVIDER || '',
+    command:   process.env.STT_COMMAND,
+    url:       process.env.STT_URL || 'http://127.0.0.1:8080/inference',
+    model:     process.env.STT_MODEL,
+    language:  process.env.STT_LANGUAGE,
+    timeoutMs: Number(process.env.STT_TIMEOUT_MS) || 60_000,
+  });
+} catch (err) {
+  console.error(`[stt] ${err.message}`);
+  process.exit(1);
+}
+
+app.post('/api/listen', requireScope('chat'), upload.single('audio'), async (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  if (!stt) {
+    return res.status(503).json({ error: 'Speech-to-text is not configured (set STT_PROVIDER).' });
+  }
+  if (!req.file) {
+    return res.status(400).json({ error: 'No audio file provided. Use multipart/form-data with field name "audio".' });
+  }
+  const { language } = req.body;
+  if (language !== undefined && !LANGUAGE_RE.test(language)) {
+    return res.status(400).json({ error: 'language must be "auto" or a code such as "ja" or "en-US"' });
+  }
+  if (!gatewayReady || !gatewayWs) {
+    return res.status(503).json({ error: 'Gateway not connected – please wait and retry' });
+  }
+  const target = chatTarget(req, res, room);
+  if (!target) return;
+
+  const mimeType = (req.file.mimetype !== 'application/octet-stream' && req.file.mimetype) ||
+    MIME_MAP[path.extname(req.file.originalname).toLowerCase()] || 'audio/wav';
+  let text;
+  try {
+    text = await stt.transcribe(req.file.buffer, { mimeType, language });
+  } catch (err) {
+    console.error(`[stt] ${room.name}: ${err.message}`);
+    return res.status(502).json({ error: `Speech-to-text failed: ${err.message}` });
+  }
+  if (!text) {
+    return res.status(422).json({ error: 'No speech was recognized.' });
+  }
+
+  // Transcribing takes a while: check again what may have changed meanwhile.
+  if (!gatewayReady || !gatewayWs) {
+    return res.status(503).json({ error: 'Gateway not connected – please wait and retry' });
+  }
+  if (chatRuns.has(target.idempotencyKey)) {
+    return res.status(409).json({ error: 'idempotencyKey is already in use' });
+  }
+  console.log(`[stt] ${room.name}: heard ${JSON.stringify(text)}`);
+  sendChat(room, target, text);
+  res.json({ ok: true, idempotencyKey: target.idempotencyKey, text });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/chat/:runId/abort?room=…
+//
+// Stops a reply: a run still streaming is aborted at the gateway (chat.abort;
+// viewers then get chat.final with state "aborted"), and whatever speech was
+// synthesized or queued from it is dropped. The run's own room is used while
+// it streams; afterwards `room` says where its speech is.
+// ---------------------------------------------------------------------------
+app.post('/api/chat/:runId/abort', requireScope('chat'), async (req, res) => {
+  const { runId } = req.params;
+  const streaming = chatRuns.has(runId) || chatTagStreams.has(runId);
+  const room = chatRuns.has(runId) ? rooms.get(chatRuns.get(runId).room) : requestRoom(req, res);
+  if (!room) return;
+
+  let aborted = false;
+  if (streaming) {
+    if (!gatewayReady || !gatewayWs) {
+      return res.status(503).json({ error: 'Gateway not connected – please wait and retry' });
+    }
+    try {
+      await gatewayWs.request('chat.abort', { sessionKey: room.sessionKey, runId });
+      aborted = true;
+    } catch (err) {
+      console.error('[chat] chat.abort failed:', err);
+      return res.status(502).json({ error: err?.message || String(err) });
+    }
+  }
+
+  const job = room.speakingRuns.get(runId);
+  if (job) job.cancelled = true;
+  const droppedClips = dropRunSpeech(room, runId);
+
+  if (!streaming && !job && droppedClips === 0) {
+    return res.status(404).json({ error: `No streaming reply or pending speech for run ${runId}` });
+  }
+  console.log(`[chat] Aborted ${runId} (room=${room.name}, gateway=${aborted}, droppedClips=${droppedClips})`);
+  res.json({ success: true, runId, aborted, droppedClips });
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/chat/history?room=…&offset=…&limit=…
+//
+// Earlier messages of the room's gateway session (chat.history RPC), so a
+// reopened display can show the conversation so far. The RPC only takes a
+// count, so a page is cut from the newest offset+limit messages: offset 0 is
+// the newest page, and `nextOffset` asks for the one before it.
+// Messages come back oldest first as { role, text, images, timestamp }; tool
+// calls and other non-chat entries are left out, and expression tags are
+// stripped.
+// ---------------------------------------------------------------------------
+const CHAT_HISTORY_MAX = 1000; // most messages one chat.history request may return
+
+app.get('/api/chat/history', requireScope('chat'), async (req, res) => {
+  const room = requestRoom(req, res);
+  if (!room) return;
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit  = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 30));
+
+  if (!gatewayReady || !gatewayWs) {
+    return res.status(503).json({ error: 'Gateway not connected – please wait and retry' });
+  }
+
+  // One extra message tells us whether anything older exists.
+  const want = Math.min(CHAT_HISTORY_MAX, offset + limit + 1);
+  let result;
+  try {
+    result = await gatewayWs.request('chat.history', { sessionKey: room.sessionKey, limit: want });
+  } catch (err) {
+    console.error('[chat] chat.history failed:', err);
+    return res.status(502).json({ error: err?.message || String(err) });
+  }
+
+  const all = Array.isArray(result && result.messages) ? result.messages : [];
+  const end = Math.max(0, all.length - offset);
+  const page = all.slice(Math.max(0, end - limit), end);
+  const messages = [];
+  for (const message of page) {
+    if (!message || (message.role !== 'user' && message.role !== 'assistant')) continue;
+    let text = extractTextFromMessage(message);
+    if (message.role === 'assistant') text = room.tags.extract(text).text;
+    const images = extractImagesFromMessage(message);
+    if (!text.trim() && images.length === 0) continue;
+    messages.push({ role: message.role, text, images, timestamp: Number(message.timestamp) || null });
+  }
+
+  // Anything before this page? (Beyond CHAT_HISTORY_MAX the gateway can't tell us.)
+  const hasMore = end - limit > 0;
+  res.json({ messages, offset, nextOffset: hasMore ? offset + limit : null });
+});
+
+// JSON errors for oversized or malformed bodies (Express would answer with HTML).
+app.use((err, req, res, next) => {
+  if (err.code === 'LIMIT_FILE_SIZE' || err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Upload exceeds the ${UPLOAD_LIMIT_TEXT} limit.` });
+  }
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON.' });
+  }
+  console.error('Unhandled request error:', err);
+  res.status(500).json({ error: 'Internal server error' });
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`PNG Assistant server running at http://localhost:${PORT}`);
   console.log('WebSocket server ready');
-  loadLatestAudioFile();
-  console.log(`Watching ${__dirname} for audio file changes...`);
+  for (const room of rooms.values()) {
+    if (!room.watchDir) continue;
+    loadLatestAudioFile(room);
+    watchAudioDir(room);
+    console.log(`Watching ${room.watchDir} for audio file changes (${room.name})...`);
+  }
+  if (tts) console.log(`[tts] Speaking chat replies with the ${tts.name} provider`);
+  if (stt) console.log(`[stt] Transcribing voice input with the ${stt.name} provider`);
+  if (!auth) console.warn(`[auth] No ${path.basename(AUTH_FILE)}: the control API is open to anyone who can reach this port`);
   // Connect to the OpenClaw Gateway on startup.
   connectGateway();
 });
@@ -0,0 +1,94 @@
+// ---------------------------------------------------------------------------
+// Media store
+//
+// The on-disk layout shared by the audio history (history.js) and the
+// recordings (recordings.js): one media file plus one metadata file per entry,
+//
+//   <dir>/<id>.<ext>   the media
+//   <dir>/<id>.json    metadata, written last (media without it is incomplete)
+//
+// Entries carry at least { id, room, size, timestamp } and name their media
+// file under `fileKey`. The oldest entries are deleted once there are more
+// than maxEntries of them or their total size exceeds maxBytes; the newest is
+// always kept.
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+
+const ID_RE = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Open (or create) a store directory and load the entries in it.
+ * @param {{ dir: string, name: string, fileKey: string, maxEntries?: number, maxBytes: number }} options
+ *   `name` prefixes log messages.
+ */
+function createStore({ dir, name, fileKey, maxEntries = Infinity, maxBytes }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const entries = []; // oldest first
+  let totalBytes = 0;
+
+  for (const file of fs.readdirSync(dir)) {
+    if (path.extname(file) !== '.json') continue;
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (!ID_RE.test(entry.id) || !fs.existsSync(path.join(dir, entry[fileKey]))) continue;
+      entries.push(entry);
+      totalBytes += entry.size;
+    } catch (err) {
+      console.warn(`[${name}] Skipping ${file}: ${err.message}`);
+    }
+  }
+  entries.sort((a, b) => a.timestamp - b.timestamp);
+
+  function remove(entry) {
+    for (const file of [`${entry.id}.json`, entry[fileKey]]) {
+      fs.rm(path.join(dir, file), { force: true }, () => {});
+    }
+    totalBytes -= entry.size;
+  }
+
+  function prune() {
+    while (entries.length > 1 && (entries.length > maxEntries || totalBytes > maxBytes)) {
+      remove(entries.shift());
+    }
+  }
+
+  /**
+   * Record an entry whose media file is already in place, then prune.
+   * @param {object} entry
+   * @returns {Promise<object>}  The entry.
+   */
+  async function add(entry) {
+    await fs.promises.writeFile(path.join(dir, `${entry.id}.json`), JSON.stringify(entry));
+    entries.push(entry);
+    totalBytes += entry.size;
+    prune();
+    return entry;
+  }
+
+  /**
+   * Newest first.
+   * @param {{ room?: string, offset?: number, limit?: number }} [query]
+   * @returns {{ total: number, items: object[] }}
+   */
+  function list({ room, offset = 0, limit = 20 } = {}) {
+    const matching = entries.filter((e) => !room || e.room === room).reverse();
+    return { total: matching.length, items: matching.slice(offset, offset + limit) };
+  }
+
+  function get(id) {
+    return entries.find((e) => e.id === id) || null;
+  }
+
+  /** Path of a file in the store directory, e.g. an entry's media file. */
+  function filePath(file) {
+    return path.join(dir, file);
+  }
+
+  prune(); // limits may have been lowered since the last run
+
+  return { add, list, get, filePath };
+}
+
+module.exports = { createStore, ID_RE };
@@ -0,0 +1,120 @@
+// ---------------------------------------------------------------------------
+// Speech-to-text providers
+//
+// A provider turns a recorded clip into text:
+//   transcribe(buffer, { mimeType, language }) -> Promise<string>
+//
+// Providers:
+//   command  Runs a local executable (whisper.cpp, vosk-transcriber, …). The
+//            command line is split like TTS_COMMAND (see tts.js) and these
+//            placeholders are substituted:
+//              {in}    a temporary file holding the clip (extension from its
+//                      type); without it the clip goes to stdin
+//              {lang}  the language, "auto" unless one is configured
+//            The text is read from stdout.
+//   http     Local service with the whisper.cpp server / OpenAI transcription
+//            API (whisper-server, faster-whisper-server, LocalAI, …):
+//            POST multipart { file, response_format: "json", language?, model? }
+//            answered with { text }.
+//
+// The chat panel uploads 16 kHz mono WAV, which whisper.cpp reads as is.
+// Non-speech markers such as [BLANK_AUDIO] are dropped from the result.
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { parseCommandLine, runCommand } = require('./command');
+
+const EXTENSIONS = {
+  'audio/wav': '.wav', 'audio/x-wav': '.wav', 'audio/wave': '.wav',
+  'audio/webm': '.webm', 'audio/ogg': '.ogg', 'audio/mpeg': '.mp3', 'audio/mp4': '.m4a',
+};
+
+/** Tidy a transcript: markers like [BLANK_AUDIO] out, whitespace collapsed. */
+function cleanTranscript(text) {
+  return String(text || '')
+    .replace(/\[[A-Z_ ]+\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @param {{ command: string, language: string, timeoutMs: number }} options
+ */
+function createCommandProvider({ command, language, timeoutMs }) {
+  const template = parseCommandLine(command);
+  if (template.length === 0) throw new Error('STT_COMMAND is empty');
+
+  return {
+    name: 'command',
+    async transcribe(buffer, { mimeType, language: lang = language } = {}) {
+      const ext = EXTENSIONS[String(mimeType).split(';')[0]] || '.wav';
+      const inFile = template.some((arg) => arg.includes('{in}'))
+        ? path.join(os.tmpdir(), `png-assistant-stt-${randomUUID()}${ext}`)
+        : null;
+      if (inFile) await fs.promises.writeFile(inFile, buffer);
+      const [cmd, ...args] = template.map((arg) => arg
+        .replaceAll('{in}', inFile || '')
+        .replaceAll('{lang}', lang || 'auto'));
+
+      try {
+        const stdout = await runCommand(cmd, args, { input: inFile ? '' : buffer, timeoutMs });
+        return cleanTranscript(stdout.toString('utf8'));
+      } finally {
+        if (inFile) fs.rm(inFile, { force: true }, () => {});
+      }
+    },
+  };
+}
+
+/**
+ * @param {{ url: string, model?: string, language: string, timeoutMs: number }} options
+ */
+function createHttpProvider({ url, model, language, timeoutMs }) {
+  return {
+    name: 'http',
+    async transcribe(buffer, { mimeType, language: lang = language } = {}) {
+      const type = String(mimeType).split(';')[0];
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type }), `speech${EXTENSIONS[type] || '.wav'}`);
+      form.append('response_format', 'json');
+      if (lang && lang !== 'auto') form.append('language', lang);
+      if (model) form.append('model', model);
+
+      const res = await fetch(url, { method: 'POST', body: form, signal: AbortSignal.timeout(timeoutMs) });
+      const body = await res.text();
+      if (!res.ok) throw new Error(`${url} returned HTTP ${res.status}: ${body.slice(0, 200)}`);
+      let text = body;
+      try {
+        text = JSON.parse(body).text;
+      } catch {
+        // Plain-text answer (response_format ignored).
+      }
+      return cleanTranscript(text);
+    },
+  };
+}
+
+/**
+ * Build the configured provider.
+ * @param {{ provider: string, command?: string, url?: string, model?: string, language?: string, timeoutMs: number }} config
+ * @returns {null|{ name: string, transcribe: (buffer: Buffer, options?: { mimeType?: string, language?: string }) => Promise<string> }}
+ *   null when STT is disabled (provider '').
+ * @throws {Error} On an unknown provider or missing settings.
+ */
+function createSttProvider(config) {
+  const language = config.language || 'auto';
+  switch (config.provider) {
+    case '':
+      return null;
+    case 'command':
+      return createCommandProvider({ command: config.command || '', language, timeoutMs: config.timeoutMs });
+    case 'http':
+      return createHttpProvider({ url: config.url, model: config.model, language, timeoutMs: config.timeoutMs });
+    default:
+      throw new Error(`unknown STT provider "${config.provider}" (use command or http)`);
+  }
+}
+
+module.exports = { createSttProvider };
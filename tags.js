@@ -0,0 +1,149 @@
+// ---------------------------------------------------------------------------
+// Expression tags in assistant replies
+//
+// The assistant changes the character's face with inline markup such as
+// "[smile]" or "<expr:normal>". Tags are removed from the text shown in chat
+// and turned into expression changes.
+//
+// Configured per character in character.json (both keys optional):
+//
+//   "tags": {
+//     "syntax": ["[%]", "<expr:%>"],           % stands for the tag name
+//     "map":    { "happy": "smile", "joy": "smile" }
+//   }
+//
+// A tag name resolves through `map` (case-insensitive), else to the
+// expression of the same name. Markup that doesn't resolve stays in the text,
+// so footnotes like "[1]" or markdown links are left alone.
+// ---------------------------------------------------------------------------
+const DEFAULT_SYNTAX = ['[%]', '<expr:%>'];
+const TAG_NAME = '[A-Za-z0-9_-]+';
+const PARTIAL_MAX = 64; // longest run of text held back as a possible tag
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check a character's `tags` block.
+ * @param {object} tags
+ * @param {string[]} expressions  Expression names of the character.
+ * @returns {string[]}  Human-readable problems; empty when valid.
+ */
+function validateTagConfig(tags, expressions) {
+  const errors = [];
+  if (tags === null || typeof tags !== 'object' || Array.isArray(tags)) return ['tags must be an object'];
+  if (tags.syntax != null) {
+    if (!Array.isArray(tags.syntax) || tags.syntax.length === 0) {
+      errors.push('tags.syntax must be a non-empty array');
+    } else {
+      tags.syntax.forEach((s, i) => {
+        if (typeof s !== 'string' || s.split('%').length !== 2 || s.startsWith('%')) {
+          errors.push(`tags.syntax[${i}] must contain one % for the tag name, after some opening text`);
+        }
+      });
+    }
+  }
+  if (tags.map != null) {
+    if (typeof tags.map !== 'object' || Array.isArray(tags.map)) {
+      errors.push('tags.map must be an object');
+    } else {
+      for (const [name, expr] of Object.entries(tags.map)) {
+        if (!expressions.includes(expr)) errors.push(`tags.map.${name} "${expr}" is not an expression`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Build a parser for one character.
+ * @param {{ syntax?: string[], map?: object }|undefined} config  The manifest's `tags` block.
+ * @param {string[]} expressions  Expression names of the character.
+ */
+function createTagParser(config, expressions) {
+  const syntax = (config && config.syntax) || DEFAULT_SYNTAX;
+  const map = {};
+  for (const [name, expr] of Object.entries((config && config.map) || {})) {
+    map[name.toLowerCase()] = expr;
+  }
+
+  const split = syntax.map((s) => s.split('%'));
+  const tagRe = new RegExp(
+    split.map(([open, close]) => `${escapeRegExp(open)}(${TAG_NAME})${escapeRegExp(close)}`).join('|'),
+    'g',
+  );
+  // Text at the very end that could still grow into a tag: a start of the
+  // opening text, or the opening text + name + a start of the closing text.
+  const partialRe = new RegExp(`(?:${split.map(([open, close]) => {
+    const alts = [];
+    for (let i = 1; i < open.length; i++) alts.push(escapeRegExp(open.slice(0, i)));
+    const closes = [''];
+    for (let i = 1; i < close.length; i++) closes.push(escapeRegExp(close.slice(0, i)));
+    alts.push(`${escapeRegExp(open)}[A-Za-z0-9_-]*(?:${closes.join('|')})`);
+    return alts.join('|');
+  }).join('|')})$`);
+
+  /** Expression for a tag name, or null. */
+  function resolve(name) {
+    if (typeof name !== 'string') return null;
+    const mapped = map[name.toLowerCase()];
+    if (mapped) return mapped;
+    return expressions.includes(name) ? name : null;
+  }
+
+  /**
+   * Remove resolvable tags from complete text.
+   * @param {string} text
+   * @returns {{ text: string, tags: Array<{ index: number, expression: string }> }}
+   *   `index` is the tag's position in the returned text.
+   */
+  function extract(text) {
+    const tags = [];
+    let out = '';
+    let last = 0;
+    tagRe.lastIndex = 0;
+    let m;
+    while ((m = tagRe.exec(text)) !== null) {
+      const expression = resolve(m.slice(1).find((g) => g !== undefined));
+      if (!expression) continue;
+      out += text.slice(last, m.index);
+      last = m.index + m[0].length;
+      // "Hi [smile] there" -> "Hi there", not "Hi  there".
+      if (/(^|\s)$/.test(out) && text[last] === ' ') last++;
+      tags.push({ index: out.length, expression });
+    }
+    out += text.slice(last);
+    return { text: out, tags };
+  }
+
+  /**
+   * Incremental extract() for streamed chunks: a tag split across chunks is
+   * held back until it completes (or clearly isn't one).
+   */
+  function stream() {
+    let held = '';
+    return {
+      push(chunk) {
+        let text = held + chunk;
+        const m = partialRe.exec(text);
+        if (m && text.length - m.index <= PARTIAL_MAX) {
+          held = text.slice(m.index);
+          text = text.slice(0, m.index);
+        } else {
+          held = '';
+        }
+        return extract(text);
+      },
+      end() {
+        const text = held;
+        held = '';
+        return extract(text);
+      },
+    };
+  }
+
+  return { resolve, extract, stream };
+}
+
+module.exports = { DEFAULT_SYNTAX, validateTagConfig, createTagParser };
@@ -0,0 +1,204 @@
+// ---------------------------------------------------------------------------
+// Access control: API keys, scopes, rate limits, upload caps and viewer
+// credentials (auth.js, with server.js running against the mock gateway)
+//
+//   npm test
+// ---------------------------------------------------------------------------
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createMockGateway } = require('./mock-gateway');
+const { toneWav, speakForm, startServer } = require('./helpers');
+const { loadAuthConfig } = require('../auth');
+
+const KEYS = {
+  speaker: 'speaker-key-0123456789',
+  chatter: 'chatter-key-0123456789',
+  owner:   'owner-key-01234567890',
+};
+const VIEWER_TOKEN = 'viewer-token-0123456789';
+const ALLOWED_ORIGIN = 'http://display.example';
+
+let gateway;
+let server;
+const api = (...args) => server.api(...args);
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+/** Close code of a viewer connection the server turns away, or 'open'. */
+async function viewerOutcome(query, options) {
+  const ws = new WebSocket(server.wsUrl + query, options);
+  const outcome = await Promise.race([
+    once(ws, 'close').then(([code]) => code),
+    once(ws, 'message').then(() => 'open'),
+  ]);
+  ws.terminate();
+  return outcome;
+}
+
+before(async () => {
+  gateway = await createMockGateway();
+  server = await startServer({
+    gateway,
+    env: { MAX_UPLOAD_MB: '0.01' }, // ~10 KB; the test tone is 16 KB
+    files: {
+      'auth.json': {
+        keys: [
+          { name: 'speaker', key: KEYS.speaker, scopes: ['speak'] },
+          { name: 'chatter', key: KEYS.chatter, scopes: ['chat'], rateLimit: 3 },
+          { name: 'owner',   key: KEYS.owner,   scopes: ['admin'] },
+        ],
+        viewerTokens: [VIEWER_TOKEN],
+        allowedOrigins: [ALLOWED_ORIGIN],
+      },
+    },
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (gateway) await gateway.close();
+});
+
+describe('API keys', () => {
+  test('control routes need a key', async () => {
+    const res = await api('POST', '/api/expression', { expression: 'smile' });
+    assert.equal(res.status, 401);
+    assert.match(res.body.error, /API key required/);
+    assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+  });
+
+  test('unknown keys are refused', async () => {
+    const res = await api('POST', '/api/expression', { expression: 'smile' }, bearer('not-a-real-key-at-all'));
+    assert.equal(res.status, 401);
+    assert.match(res.body.error, /Invalid API key/);
+  });
+
+  test('a key only opens the routes of its scopes', async () => {
+    const res = await api('POST', '/api/expression', { expression: 'smile' }, bearer(KEYS.speaker));
+    assert.equal(res.status, 403);
+    assert.match(res.body.error, /"speaker" does not have the expression scope/);
+    assert.equal((await api('GET', '/api/replay', undefined, bearer(KEYS.speaker))).status, 404); // allowed, nothing to replay
+  });
+
+  test('admin opens everything', async () => {
+    const res = await api('POST', '/api/expression', { expression: 'smile' }, bearer(KEYS.owner));
+    assert.equal(res.status, 200);
+  });
+
+  test('keys are also accepted as X-API-Key, but never in the URL', async () => {
+    assert.equal((await api('POST', '/api/expression', { expression: 'normal' }, { 'X-API-Key': KEYS.owner })).status, 200);
+    assert.equal((await api('POST', `/api/expression?key=${KEYS.owner}`, { expression: 'normal' })).status, 401);
+  });
+
+  test('what the display reads needs viewer credentials', async () => {
+    for (const route of ['/api/character', '/api/rooms', '/api/queue', '/api/camera', '/api/lipsync/none']) {
+      const res = await api('GET', route);
+      assert.equal(res.status, 401, route);
+      assert.match(res.body.error, /Viewer token/);
+    }
+    assert.equal((await api('GET', '/api/queue', undefined, { 'X-Viewer-Token': VIEWER_TOKEN })).status, 200);
+    assert.equal((await api('GET', `/api/queue?token=${VIEWER_TOKEN}`)).status, 200);
+    assert.equal((await api('GET', '/api/rooms', undefined, bearer(KEYS.speaker))).status, 200);
+    assert.equal((await api('GET', '/api/character', undefined, { Origin: ALLOWED_ORIGIN })).status, 200);
+    // Same-origin GETs from the display page carry only a Referer.
+    assert.equal((await api('GET', '/api/camera', undefined, { Referer: `${ALLOWED_ORIGIN}/?room=default` })).status, 200);
+    assert.equal((await api('GET', '/api/camera', undefined, { Referer: 'http://elsewhere.example/' })).status, 401);
+  });
+
+  test('each key has its own rate limit', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await api('GET', '/api/chat/history', undefined, bearer(KEYS.chatter))).status, 200);
+    }
+    const limited = await api('GET', '/api/chat/history', undefined, bearer(KEYS.chatter));
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /Rate limit exceeded for "chatter"/);
+    assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+    // Other keys are unaffected.
+    assert.equal((await api('GET', '/api/chat/history', undefined, bearer(KEYS.owner))).status, 200);
+  });
+});
+
+describe('upload limits', () => {
+  test('oversized uploads get 413', async () => {
+    const res = await api('POST', '/api/speak', speakForm(toneWav()), bearer(KEYS.speaker));
+    assert.equal(res.status, 413);
+    assert.match(res.body.error, /upload limit|exceeds/i);
+  });
+
+  test('streams are cut off at the limit', async () => {
+    const res = await fetch(`${server.baseUrl}/api/speak/stream?format=s16le&rate=16000`, {
+      method: 'POST',
+      headers: bearer(KEYS.speaker),
+      body: Buffer.alloc(32 * 1024),
+    });
+    assert.equal(res.status, 413);
+  });
+
+  test('malformed JSON gets a JSON error', async () => {
+    const res = await fetch(`${server.baseUrl}/api/expression`, {
+      method: 'POST',
+      headers: { ...bearer(KEYS.owner), 'Content-Type': 'application/json' },
+      body: '{"expression":',
+    });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /not valid JSON/);
+  });
+});
+
+describe('viewers', () => {
+  test('need a viewer token, an API key or an allowed origin', async () => {
+    assert.equal(await viewerOutcome(''), 4401);
+    assert.equal(await viewerOutcome('?token=wrong-token'), 4401);
+    assert.equal(await viewerOutcome('', { origin: 'http://elsewhere.example' }), 4401);
+    assert.equal(await viewerOutcome(`?token=${VIEWER_TOKEN}`), 'open');
+    assert.equal(await viewerOutcome('', { headers: bearer(KEYS.speaker) }), 'open');
+    assert.equal(await viewerOutcome('', { origin: ALLOWED_ORIGIN }), 'open');
+    assert.equal(await viewerOutcome(`?key=${KEYS.speaker}`), 4401); // keys stay out of URLs
+  });
+
+  test('a page with an API key connects with a one-time ticket', async () => {
+    assert.equal((await api('POST', '/api/viewer-ticket')).status, 401);
+    const { status, body } = await api('POST', '/api/viewer-ticket', undefined, bearer(KEYS.speaker));
+    assert.equal(status, 200);
+    assert.equal(typeof body.token, 'string');
+    assert.equal(await viewerOutcome(`?token=${encodeURIComponent(body.token)}`), 'open');
+    assert.equal(await viewerOutcome(`?token=${encodeURIComponent(body.token)}`), 4401);
+  });
+});
+
+describe('auth.json validation', () => {
+  test('lists every problem', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'png-assistant-auth-')), 'auth.json');
+    fs.writeFileSync(file, JSON.stringify({
+      keys: [
+        { name: 'a', key: 'short', scopes: ['speak'] },
+        { name: 'a', key: 'long-enough-key-1234', scopes: ['fly'] },
+        { name: 'b', key: 'long-enough-key-1234', scopes: [], rateLimit: 0 },
+      ],
+      viewerTokens: 'nope',
+    }));
+    try {
+      assert.throws(() => loadAuthConfig(file), (err) => {
+        for (const problem of [
+          'viewerTokens must be an array',
+          'keys[0].key must be a string of at least 16 characters',
+          'keys[1].name "a" is used twice',
+          'unknown scope "fly"',
+          'keys[2].key is used twice',
+          'keys[2].scopes must be a non-empty array',
+          'keys[2].rateLimit must be a positive number',
+        ]) {
+          assert.ok(err.message.includes(problem), `missing: ${problem}\n${err.message}`);
+        }
+        return true;
+      });
+      assert.equal(loadAuthConfig(path.join(path.dirname(file), 'missing.json')), null);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
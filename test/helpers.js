@@ -0,0 +1,204 @@
+// ---------------------------------------------------------------------------
+// Test helpers: run server.js as a child process and talk to it
+//
+// Each server gets its own port, device file, history and recordings
+// directories, rooms.json and cameras.json in a temporary directory, so tests
+// never touch the project's own state. Viewers are plain WebSocket clients
+// standing in for browsers.
+// ---------------------------------------------------------------------------
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { encodeWav } = require('../wav');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const WAIT_MS = 5000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/** Resolve on the next `event` of `emitter`, failing after WAIT_MS. */
+function nextEvent(emitter, event) {
+  return Promise.race([
+    once(emitter, event).then(([value]) => value),
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`timed out waiting for ${event}`)), WAIT_MS).unref()),
+  ]);
+}
+
+/** Poll until `check` passes (it throws while it doesn't). */
+async function eventually(check) {
+  const deadline = Date.now() + WAIT_MS;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+}
+
+/** Half a second of a 440 Hz tone as 16 kHz mono WAV. */
+function toneWav() {
+  const sampleRate = 16000;
+  const pcm = Buffer.alloc(sampleRate);
+  for (let i = 0; i < sampleRate / 2; i++) {
+    pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 12000), i * 2);
+  }
+  return encodeWav(pcm, { format: 's16le', sampleRate, channels: 1 });
+}
+
+function speakForm(buffer = toneWav(), name = 'tone.wav') {
+  const form = new FormData();
+  form.append('audio', new Blob([buffer], { type: 'audio/wav' }), name);
+  return form;
+}
+
+/**
+ * Start server.js.
+ * @param {{ gateway: object, env?: object, files?: object }} options
+ *   `gateway` is a mock from mock-gateway.js; `files` are written to the
+ *   temporary directory (a rooms.json without a watch directory by default).
+ */
+async function startServer({ gateway, env = {}, files = {} }) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'png-assistant-test-'));
+  // No watch directory: the project root's audio files would become "last audio".
+  const allFiles = { 'rooms.json': { default: { watch: null } }, ...files };
+  for (const [name, content] of Object.entries(allFiles)) {
+    fs.writeFileSync(path.join(tmp, name), JSON.stringify(content));
+  }
+
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const connected = nextEvent(gateway, 'connected');
+  connected.catch(() => {}); // awaited below, unless the server fails to start
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      OPENCLAW_GATEWAY_WS_URL: gateway.url,
+      OPENCLAW_DEVICE_FILE: path.join(tmp, 'device.json'),
+      ROOMS_FILE: path.join(tmp, 'rooms.json'),
+      AUTH_FILE: path.join(tmp, 'auth.json'),
+      HISTORY_DIR: path.join(tmp, 'history'),
+      RECORDINGS_DIR: path.join(tmp, 'recordings'),
+      CAMERAS_FILE: path.join(tmp, 'cameras.json'),
+      TTS_PROVIDER: '',
+      STT_PROVIDER: '',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let log = '';
+  child.stdout.on('data', (d) => { log += d; });
+  child.stderr.on('data', (d) => { log += d; });
+
+  const viewers = [];
+  const server = {
+    baseUrl,
+    wsUrl: `ws://127.0.0.1:${port}/`,
+    log: () => log,
+
+    /** JSON request; resolves with { status, body, headers }. */
+    async api(method, url, body, headers = {}) {
+      const options = { method, headers: { ...headers } };
+      if (body instanceof FormData) {
+        options.body = body;
+      } else if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+      }
+      const res = await fetch(baseUrl + url, options);
+      return { status: res.status, body: await res.json(), headers: res.headers };
+    },
+
+    /**
+     * Connect a stand-in browser. `waitFor(match)` resolves with the first
+     * message matching the predicate that no earlier waitFor has returned.
+     */
+    async connectViewer(query = '', options = {}) {
+      const ws = new WebSocket(server.wsUrl + query, options);
+      const messages = [];
+      const taken = new Set();
+      const waiters = [];
+
+      ws.on('message', (raw) => {
+        const msg = JSON.parse(raw);
+        messages.push(msg);
+        for (const waiter of [...waiters]) {
+          if (!taken.has(msg) && waiter.match(msg)) {
+            taken.add(msg);
+            waiters.splice(waiters.indexOf(waiter), 1);
+            clearTimeout(waiter.timer);
+            waiter.resolve(msg);
+          }
+        }
+      });
+
+      const viewer = {
+        ws,
+        messages,
+        waitFor(match, description = 'message') {
+          const found = messages.find((msg) => !taken.has(msg) && match(msg));
+          if (found) {
+            taken.add(found);
+            return Promise.resolve(found);
+          }
+          return new Promise((resolve, reject) => {
+            const waiter = { match, resolve };
+            waiter.timer = setTimeout(() => {
+              waiters.splice(waiters.indexOf(waiter), 1);
+              reject(new Error(`timed out waiting for ${description}; got ${JSON.stringify(messages.map((m) => m.type))}`));
+            }, WAIT_MS);
+            waiters.push(waiter);
+          });
+        },
+        send(msg) {
+          ws.send(JSON.stringify(msg));
+        },
+      };
+      viewers.push(viewer);
+      await once(ws, 'open');
+      viewer.connectionId = (await viewer.waitFor((m) => m.type === 'connection', 'connection')).id;
+      return viewer;
+    },
+
+    /** Disconnect every viewer and wait until the server has noticed. */
+    async closeViewers() {
+      for (const viewer of viewers.splice(0)) viewer.ws.terminate();
+      await eventually(async () => {
+        const { body } = await server.api('GET', '/api/rooms');
+        assert.ok(body.every((room) => room.viewers === 0));
+      });
+    },
+
+    async stop() {
+      for (const viewer of viewers) viewer.ws.terminate();
+      child.kill();
+      if (child.exitCode === null) await once(child, 'exit');
+      fs.rmSync(tmp, { recursive: true, force: true });
+    },
+  };
+
+  await eventually(async () => {
+    if (child.exitCode !== null) throw new Error(`server exited:\n${log}`);
+    assert.match(log, /server running at/);
+  });
+  await connected;
+  return server;
+}
+
+module.exports = { WAIT_MS, nextEvent, eventually, toneWav, speakForm, startServer };
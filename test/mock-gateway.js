@@ -0,0 +1,261 @@
+// ---------------------------------------------------------------------------
+// Mock OpenClaw Gateway
+//
+// Stands in for a real OpenClaw install so the gateway client in server.js can
+// be exercised locally and by the test suite. It speaks the same frames:
+//
+//   Gateway → event:connect.challenge { nonce, ts }
+//   Client  → req:connect             verified like the real gateway:
+//                                      nonce, device.id = sha256(publicKey),
+//                                      Ed25519 signature over the v2|… string, token
+//   Gateway → res:hello-ok
+//   Client  → req:chat.send           answered with a scripted reply:
+//   Gateway → event:chat { state: "delta" | "final" | "error" | "aborted", … }
+//
+// chat.abort stops a scripted reply, and chat.history returns what was said.
+//
+// A script turns a chat.send into steps, played in order `delay` ms apart:
+//   { state: 'delta', text } | { state: 'final', text, images? }
+//   { state: 'error', error } | { state: 'aborted', text }
+// `images` are extra content parts of the message, e.g. { type: 'image', source }.
+// The default script echoes the message back as three deltas and a final.
+//
+// Run standalone (then start server.js with OPENCLAW_GATEWAY_WS_URL):
+//   node test/mock-gateway.js [--port 18789] [--token secret] [--reply "Hello!"]
+// ---------------------------------------------------------------------------
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+
+const SIGNATURE_MAX_SKEW_MS = 10 * 60_000;
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw 32-byte key follows.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function b64urlDecode(value) {
+  return Buffer.from(String(value || '').replaceAll('-', '+').replaceAll('_', '/'), 'base64');
+}
+
+/** Cut text into `parts` roughly equal pieces. */
+function chunkText(text, parts) {
+  const size = Math.ceil(text.length / parts) || 1;
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+  return chunks;
+}
+
+/** Default script: echo the message as streamed deltas, then the full text. */
+function echoScript({ message }) {
+  const text = `You said: ${message}`;
+  return [...chunkText(text, 3).map((chunk) => ({ state: 'delta', text: chunk })), { state: 'final', text }];
+}
+
+/**
+ * Check a connect request the way the gateway does.
+ * @returns {string|null}  Why it is rejected, or null when valid.
+ */
+function verifyConnect(params, nonce, token) {
+  const device = params && params.device;
+  if (!device || !params.client) return 'device and client are required';
+  if (device.nonce !== nonce) return 'nonce does not match the challenge';
+  if (Math.abs(Date.now() - Number(device.signedAt)) > SIGNATURE_MAX_SKEW_MS) return 'signedAt is out of range';
+
+  const publicKeyRaw = b64urlDecode(device.publicKey);
+  if (publicKeyRaw.length !== 32) return 'publicKey must be a raw Ed25519 key';
+  if (device.id !== crypto.createHash('sha256').update(publicKeyRaw).digest('hex')) {
+    return 'device.id does not match the public key';
+  }
+
+  const authToken = (params.auth && params.auth.token) || '';
+  if (token && authToken !== token) return 'invalid token';
+
+  const signString = [
+    'v2', device.id, params.client.id, params.client.mode, params.role,
+    (params.scopes || []).join(','), String(device.signedAt), authToken, nonce,
+  ].join('|');
+  const key = crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, publicKeyRaw]), format: 'der', type: 'spki' });
+  if (!crypto.verify(null, Buffer.from(signString, 'utf8'), key, b64urlDecode(device.signature))) {
+    return 'signature does not verify';
+  }
+  return null;
+}
+
+/**
+ * Start a mock gateway.
+ * @param {{ port?: number, token?: string, delay?: number, script?: Function }} [options]
+ *   port 0 (default) picks a free port; `script` may be replaced later via gateway.script.
+ * @returns {Promise<EventEmitter & { url: string, port: number, script: Function, delay: number,
+ *   requests: object[], clients: Set, emitChat(payload): void, dropConnections(): void, close(): Promise<void> }>}
+ *   Events: 'connected' (params) after a verified connect, 'rejected' (reason),
+ *   'request' ({ method, params }) for every request frame.
+ */
+function createMockGateway({ port = 0, token = '', delay = 10, script = echoScript } = {}) {
+  const gateway = new EventEmitter();
+  gateway.script = script;
+  gateway.delay = delay;
+  gateway.requests = [];
+  gateway.clients = new Set();
+
+  const transcripts = new Map(); // sessionKey -> [{ role, content, timestamp }]
+  const runs = new Map();        // runId -> { timers, sessionKey }
+  const wss = new WebSocketServer({ port, host: '127.0.0.1' });
+
+  function send(ws, frame) {
+    if (ws.readyState === 1) ws.send(JSON.stringify(frame));
+  }
+
+  function chatEvent(payload) {
+    return { type: 'event', event: 'chat', payload };
+  }
+
+  function textMessage(role, text, images = []) {
+    return { role, content: [{ type: 'text', text }, ...images], timestamp: Date.now() };
+  }
+
+  function record(sessionKey, message) {
+    if (!transcripts.has(sessionKey)) transcripts.set(sessionKey, []);
+    transcripts.get(sessionKey).push(message);
+  }
+
+  function playScript(ws, params) {
+    const runId = params.idempotencyKey;
+    const { sessionKey } = params;
+    const run = { timers: [], sessionKey };
+    runs.set(runId, run);
+    gateway.script(params).forEach((step, i) => {
+      run.timers.push(setTimeout(() => {
+        const payload = { runId, sessionKey, seq: i + 1, state: step.state };
+        if (step.state === 'error') {
+          payload.errorMessage = step.error;
+        } else {
+          payload.message = textMessage('assistant', step.text || '', step.images);
+        }
+        if (step.state !== 'delta') {
+          runs.delete(runId);
+          if (step.state === 'final') record(sessionKey, payload.message);
+        }
+        send(ws, chatEvent(payload));
+      }, (i + 1) * gateway.delay));
+    });
+  }
+
+  const methods = {
+    'chat.send'(ws, params) {
+      if (!params || typeof params.sessionKey !== 'string' || typeof params.message !== 'string') {
+        throw new Error('sessionKey and message are required');
+      }
+      record(params.sessionKey, textMessage('user', params.message));
+      playScript(ws, params);
+      return { runId: params.idempotencyKey, status: 'started' };
+    },
+    'chat.abort'(ws, params) {
+      const run = runs.get(params && params.runId);
+      if (!run) return { aborted: false };
+      run.timers.forEach(clearTimeout);
+      runs.delete(params.runId);
+      send(ws, chatEvent({ runId: params.runId, sessionKey: run.sessionKey, state: 'aborted' }));
+      return { aborted: true };
+    },
+    'chat.history'(ws, params) {
+      const messages = transcripts.get(params && params.sessionKey) || [];
+      const limit = Number(params && params.limit) || 200;
+      return { sessionKey: params && params.sessionKey, messages: messages.slice(-limit) };
+    },
+  };
+
+  wss.on('connection', (ws) => {
+    gateway.clients.add(ws);
+    const nonce = crypto.randomUUID();
+    let connected = false;
+    send(ws, { type: 'event', event: 'connect.challenge', payload: { nonce, ts: Date.now() } });
+
+    ws.on('message', (raw) => {
+      let frame;
+      try { frame = JSON.parse(raw); } catch { return; }
+      if (!frame || frame.type !== 'req') return;
+      const { id, method, params } = frame;
+      gateway.requests.push({ method, params });
+      gateway.emit('request', { method, params });
+
+      if (method === 'connect') {
+        const reason = verifyConnect(params, nonce, token);
+        if (reason) {
+          gateway.emit('rejected', reason);
+          send(ws, { type: 'res', id, ok: false, error: { code: 'INVALID_REQUEST', message: reason } });
+          ws.close(1008, reason);
+          return;
+        }
+        connected = true;
+        send(ws, { type: 'res', id, ok: true, payload: { type: 'hello-ok', protocol: 3 } });
+        gateway.emit('connected', params);
+        return;
+      }
+
+      if (!connected) {
+        send(ws, { type: 'res', id, ok: false, error: { code: 'NOT_CONNECTED', message: 'connect first' } });
+        return;
+      }
+      if (!methods[method]) {
+        send(ws, { type: 'res', id, ok: false, error: { code: 'INVALID_REQUEST', message: `unknown method ${method}` } });
+        return;
+      }
+      try {
+        send(ws, { type: 'res', id, ok: true, payload: methods[method](ws, params) });
+      } catch (err) {
+        send(ws, { type: 'res', id, ok: false, error: { code: 'INVALID_REQUEST', message: err.message } });
+      }
+    });
+
+    ws.on('close', () => gateway.clients.delete(ws));
+  });
+
+  /** Send a chat event to every connected client, e.g. a reply from another channel. */
+  gateway.emitChat = (payload) => {
+    for (const ws of gateway.clients) send(ws, chatEvent(payload));
+  };
+
+  /** Cut every client off, as a restarting gateway would. */
+  gateway.dropConnections = () => {
+    for (const ws of gateway.clients) ws.terminate();
+  };
+
+  gateway.close = () => new Promise((resolve) => {
+    for (const run of runs.values()) run.timers.forEach(clearTimeout);
+    gateway.dropConnections();
+    wss.close(() => resolve());
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', reject);
+    wss.once('listening', () => {
+      gateway.port = wss.address().port;
+      gateway.url = `ws://127.0.0.1:${gateway.port}/ws`;
+      resolve(gateway);
+    });
+  });
+}
+
+module.exports = { createMockGateway, verifyConnect, echoScript };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : fallback;
+  };
+  const reply = option('reply', null);
+  createMockGateway({
+    port: Number(option('port', 18789)),
+    token: option('token', process.env.OPENCLAW_GATEWAY_TOKEN || ''),
+    delay: 150,
+    script: reply
+      ? () => [...chunkText(reply, 3).map((text) => ({ state: 'delta', text })), { state: 'final', text: reply }]
+      : echoScript,
+  }).then((gateway) => {
+    console.log(`Mock OpenClaw gateway listening on ${gateway.url}`);
+    gateway.on('connected', (params) => console.log(`[mock-gateway] ${params.client.id} connected (device ${params.device.id.slice(0, 12)}…)`));
+    gateway.on('rejected', (reason) => console.log(`[mock-gateway] connect rejected: ${reason}`));
+    gateway.on('request', ({ method, params }) => {
+      if (method !== 'connect') console.log(`[mock-gateway] ${method}`, JSON.stringify(params));
+    });
+  });
+}
@@ -0,0 +1,60 @@
+// ---------------------------------------------------------------------------
+// Renderer helpers (public/render.js): image placement and the choice of
+// compositor behind ?renderer=
+//
+//   npm test
+// ---------------------------------------------------------------------------
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { containRect, rendererKinds, pickRenderer } = require('../public/render');
+
+describe('containRect', () => {
+  test('fills the box when the aspect ratios match', () => {
+    assert.deepEqual(containRect([400, 300], 800, 600), [0, 0, 800, 600]);
+  });
+
+  test('letterboxes an image wider than the box', () => {
+    assert.deepEqual(containRect([1000, 250], 800, 600), [0, 200, 800, 200]);
+  });
+
+  test('pillarboxes an image taller than the box', () => {
+    assert.deepEqual(containRect([300, 600], 800, 600), [250, 0, 300, 600]);
+  });
+});
+
+describe('renderer choice', () => {
+  test('?renderer= values map to the renderers to try', () => {
+    assert.deepEqual(rendererKinds('auto'), ['webgl', '2d']);
+    assert.deepEqual(rendererKinds('webgl'), ['webgl']);
+    assert.deepEqual(rendererKinds('2d'), ['2d']);
+    assert.deepEqual(rendererKinds('dom'), []);
+    assert.deepEqual(rendererKinds(null), ['webgl', '2d']);
+    assert.deepEqual(rendererKinds('vulkan'), ['webgl', '2d']);
+  });
+
+  test('WebGL is used when it starts', () => {
+    const tried = [];
+    const picked = pickRenderer(rendererKinds('auto'), (kind) => (tried.push(kind), { kind }));
+    assert.equal(picked.kind, 'webgl');
+    assert.deepEqual(picked.compositor, { kind: 'webgl' });
+    assert.deepEqual(tried, ['webgl']);
+  });
+
+  test('falls back to 2D when WebGL is unavailable', () => {
+    const picked = pickRenderer(rendererKinds('auto'), (kind) => (kind === 'webgl' ? null : { kind }));
+    assert.equal(picked.kind, '2d');
+    assert.deepEqual(picked.compositor, { kind: '2d' });
+  });
+
+  test('no canvas renderer leaves the DOM path', () => {
+    assert.equal(pickRenderer(rendererKinds('auto'), () => null), null);
+    assert.equal(pickRenderer(rendererKinds('dom'), (kind) => ({ kind })), null);
+  });
+
+  test('a forced renderer does not fall back', () => {
+    const tried = [];
+    const picked = pickRenderer(rendererKinds('webgl'), (kind) => (tried.push(kind), null));
+    assert.equal(picked, null);
+    assert.deepEqual(tried, ['webgl']);
+  });
+});
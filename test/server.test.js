@@ -0,0 +1,816 @@
+// ---------------------------------------------------------------------------
+// Integration tests: server.js against the mock gateway (test/mock-gateway.js)
+//
+//   npm test
+// ---------------------------------------------------------------------------
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockGateway, verifyConnect, echoScript } = require('./mock-gateway');
+const { WAIT_MS, nextEvent, eventually, toneWav, speakForm, startServer } = require('./helpers');
+
+const TOKEN = 'test-token';
+const SESSION_KEY = 'agent:test:main';
+// Stand-in for whisper.cpp: "hears" the clip's extension, size and language ("zz": nothing).
+const STT_COMMAND = `"${process.execPath}" -e "const [file, lang] = process.argv.slice(1); ` +
+  `process.stdout.write(lang === 'zz' ? ' [BLANK_AUDIO] ' : ` +
+  `'heard ' + require('path').extname(file) + ' ' + require('fs').statSync(file).size + ' ' + lang)" {in} {lang}`;
+
+let gateway;
+let server;
+const api = (...args) => server.api(...args);
+const connectViewer = (...args) => server.connectViewer(...args);
+
+/** Subscribe to GET /api/events; `next(type)` resolves with the next event of that type. */
+async function openEvents(query = '') {
+  const controller = new AbortController();
+  const res = await fetch(`${server.baseUrl}/api/events${query}`, { signal: controller.signal });
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  const events = [];
+  let notify = () => {};
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffered = '';
+    try {
+      for await (const bytes of res.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        let end;
+        while ((end = buffered.indexOf('\n\n')) >= 0) {
+          const frame = buffered.slice(0, end);
+          buffered = buffered.slice(end + 2);
+          const type = /^event: (.*)$/m.exec(frame);
+          const data = /^data: (.*)$/m.exec(frame);
+          if (type && data) events.push({ type: type[1], ...JSON.parse(data[1]) });
+          notify();
+        }
+      }
+    } catch {} // aborted by close()
+  })();
+
+  return {
+    async next(type) {
+      const deadline = Date.now() + WAIT_MS;
+      for (;;) {
+        const i = events.findIndex((e) => e.type === type);
+        if (i >= 0) return events.splice(i, 1)[0];
+        if (Date.now() > deadline) throw new Error(`timed out waiting for ${type}`);
+        await new Promise((resolve) => { notify = resolve; setTimeout(resolve, 50); });
+      }
+    },
+    close: () => controller.abort(),
+  };
+}
+
+before(async () => {
+  gateway = await createMockGateway({ token: TOKEN });
+  server = await startServer({
+    gateway,
+    env: { OPENCLAW_GATEWAY_TOKEN: TOKEN, OPENCLAW_SESSION_KEY: SESSION_KEY, STT_PROVIDER: 'command', STT_COMMAND },
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (gateway) await gateway.close();
+});
+
+describe('gateway handshake', () => {
+  test('connect carries a signature the gateway accepts', () => {
+    const connect = gateway.requests.find((r) => r.method === 'connect');
+    assert.ok(connect);
+    assert.equal(connect.params.client.id, 'gateway-client');
+    assert.equal(connect.params.auth.token, TOKEN);
+    // 'connected' only fires after the mock verified nonce, device id and signature.
+  });
+
+  test('the mock rejects a tampered connect', () => {
+    const { params } = gateway.requests.find((r) => r.method === 'connect');
+    const nonce = params.device.nonce;
+    assert.equal(verifyConnect(params, nonce, TOKEN), null);
+    assert.match(verifyConnect(params, 'other-nonce', TOKEN), /nonce/);
+    assert.match(verifyConnect({ ...params, role: 'admin' }, nonce, TOKEN), /signature/);
+    assert.match(verifyConnect(params, nonce, 'other-token'), /token/);
+  });
+});
+
+describe('/api/expression', () => {
+  test('changes the expression for every viewer', async () => {
+    const viewer = await connectViewer();
+    const res = await api('POST', '/api/expression', { expression: 'smile' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true });
+    await viewer.waitFor((m) => m.type === 'expression' && m.value === 'smile', 'smile');
+
+    // Late joiners start from the current expression.
+    const late = await connectViewer();
+    const state = await late.waitFor((m) => m.type === 'state', 'state');
+    assert.equal(state.expression, 'smile');
+    await api('POST', '/api/expression', { expression: 'normal' });
+  });
+
+  test('rejects unknown expressions', async () => {
+    const res = await api('POST', '/api/expression', { expression: 'angry' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /normal, smile/);
+  });
+});
+
+describe('/api/eyes', () => {
+  test('holds the eyes closed, for a while if asked', async () => {
+    const viewer = await connectViewer();
+    assert.equal((await api('POST', '/api/eyes', { state: 'closed', duration: 200 })).status, 200);
+    await viewer.waitFor((m) => m.type === 'eyes' && m.state === 'closed', 'closed');
+
+    const late = await connectViewer();
+    assert.equal((await late.waitFor((m) => m.type === 'state', 'state')).eyes, 'closed');
+    await viewer.waitFor((m) => m.type === 'eyes' && m.state === 'open', 'open again');
+  });
+
+  test('rejects unknown states, and winks without a wink image', async () => {
+    assert.equal((await api('POST', '/api/eyes', { state: 'squint' })).status, 400);
+    const wink = await api('POST', '/api/eyes', { state: 'wink' }); // images/ has no wink.png
+    assert.equal(wink.status, 400);
+    assert.match(wink.body.error, /no wink frame/);
+  });
+});
+
+describe('/api/motion', () => {
+  test('plays a motion of the manifest on every viewer', async () => {
+    const { body: character } = await api('GET', '/api/character');
+    assert.equal(character.motions.nod.trigger, 'manual');
+    assert.equal(character.motions.breath.duration, character.motions.breath.period);
+
+    const viewer = await connectViewer();
+    const res = await api('POST', '/api/motion', { motion: 'nod' });
+    assert.equal(res.status, 200);
+    await viewer.waitFor((m) => m.type === 'motion' && m.motion === 'nod', 'nod');
+  });
+
+  test('rejects unknown motions', async () => {
+    const res = await api('POST', '/api/motion', { motion: 'backflip' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /nod, jump/);
+  });
+});
+
+describe('/api/effects', () => {
+  test('switches presets and fires bursts on every viewer', async () => {
+    const { body: character } = await api('GET', '/api/character');
+    assert.equal(character.effects.default, 'cyber');
+    assert.equal(character.effects.presets.sakura.sprite, 'sakura');
+    assert.equal(character.effects.presets.cyber.gravity, 0); // filled in from the defaults
+
+    const viewer = await connectViewer();
+    try {
+      const res = await api('POST', '/api/effects', { preset: 'sakura' });
+      assert.deepEqual(res.body, { success: true, enabled: true, preset: 'sakura' });
+      await viewer.waitFor((m) => m.type === 'effects' && m.preset === 'sakura' && m.enabled, 'sakura');
+      const late = await connectViewer();
+      assert.equal((await late.waitFor((m) => m.type === 'state', 'state')).effectsPreset, 'sakura');
+
+      assert.equal((await api('POST', '/api/effects', { burst: 'confetti' })).status, 200);
+      await viewer.waitFor((m) => m.type === 'effects.burst' && m.burst === 'confetti', 'confetti');
+    } finally {
+      await api('POST', '/api/effects', { preset: 'cyber' });
+    }
+  });
+
+  test('rejects unknown presets and bursts', async () => {
+    const preset = await api('POST', '/api/effects', { preset: 'fireworks' });
+    assert.equal(preset.status, 400);
+    assert.match(preset.body.error, /cyber, sakura, sparkle/);
+    assert.equal((await api('POST', '/api/effects', { burst: 'fireworks' })).status, 400);
+    assert.equal((await api('POST', '/api/effects', {})).status, 400);
+  });
+});
+
+describe('/api/camera', () => {
+  test('moves every viewer to a preset or a view and keeps it for late viewers', async () => {
+    const { body: initial } = await api('GET', '/api/camera');
+    assert.equal(initial.camera, null);
+    assert.deepEqual(initial.presets.face, { zoom: 3, x: 0.5, y: 0.24 });
+
+    const viewer = await connectViewer();
+    try {
+      const res = await api('POST', '/api/camera', { preset: 'face', duration: 300 });
+      assert.deepEqual(res.body, { success: true, camera: { zoom: 3, x: 0.5, y: 0.24 }, preset: 'face', auto: false });
+      const move = await viewer.waitFor((m) => m.type === 'camera' && m.preset === 'face', 'camera face');
+      assert.equal(move.duration, 300);
+      assert.equal(move.easing, 'ease-in-out');
+
+      // Missing parts of a view come from the current one.
+      const zoomed = await api('POST', '/api/camera', { zoom: 2, easing: 'linear' });
+      assert.deepEqual(zoomed.body.camera, { zoom: 2, x: 0.5, y: 0.24 });
+      assert.equal(zoomed.body.preset, null);
+      await viewer.waitFor((m) => m.type === 'camera' && m.camera.zoom === 2 && m.duration === 600, 'camera zoom 2');
+
+      assert.equal((await api('POST', '/api/camera', { auto: true })).status, 200);
+      await viewer.waitFor((m) => m.type === 'camera.auto' && m.enabled, 'auto camera');
+
+      const late = await connectViewer();
+      const state = await late.waitFor((m) => m.type === 'state', 'state');
+      assert.deepEqual(state.camera, { zoom: 2, x: 0.5, y: 0.24 });
+      assert.equal(state.cameraPreset, null);
+      assert.equal(state.autoCamera, true);
+    } finally {
+      await api('POST', '/api/camera', { preset: 'full', auto: false });
+    }
+  });
+
+  test('saves presets for the room and brings deleted defaults back', async () => {
+    const viewer = await connectViewer();
+    const saved = await api('PUT', '/api/camera/presets/stage', { zoom: 1.2, x: 0.5, y: 0.6 });
+    assert.deepEqual(saved.body, { success: true, preset: 'stage', camera: { zoom: 1.2, x: 0.5, y: 0.6 } });
+    await viewer.waitFor((m) => m.type === 'camera.presets' && m.presets.stage, 'presets with stage');
+    assert.deepEqual((await api('POST', '/api/camera', { preset: 'stage', duration: 0 })).body.camera, { zoom: 1.2, x: 0.5, y: 0.6 });
+
+    await api('PUT', '/api/camera/presets/face', { zoom: 4, x: 0.45, y: 0.2 });
+    assert.equal((await api('GET', '/api/camera')).body.presets.face.zoom, 4);
+    assert.equal((await api('DELETE', '/api/camera/presets/face')).status, 200);
+    assert.equal((await api('GET', '/api/camera')).body.presets.face.zoom, 3);
+    assert.equal((await api('DELETE', '/api/camera/presets/face')).status, 404);
+
+    assert.equal((await api('DELETE', '/api/camera/presets/stage')).status, 200);
+    await viewer.waitFor((m) => m.type === 'camera.presets' && !m.presets.stage, 'presets without stage');
+    assert.equal((await api('PUT', '/api/camera/presets/bad%20name', { zoom: 1, x: 0.5, y: 0.5 })).status, 400);
+    assert.equal((await api('PUT', '/api/camera/presets/close', { zoom: 1, x: 2, y: 0.5 })).status, 400);
+  });
+
+  test('rejects unknown presets and bad views', async () => {
+    const preset = await api('POST', '/api/camera', { preset: 'drone' });
+    assert.equal(preset.status, 400);
+    assert.match(preset.body.error, /full, bust, face/);
+    assert.equal((await api('POST', '/api/camera', { preset: 'face', zoom: 2 })).status, 400);
+    assert.equal((await api('POST', '/api/camera', { zoom: 20 })).status, 400);
+    assert.equal((await api('POST', '/api/camera', { x: -0.5 })).status, 400);
+    assert.equal((await api('POST', '/api/camera', { zoom: 2, easing: 'bouncy' })).status, 400);
+    assert.equal((await api('POST', '/api/camera', { zoom: 2, duration: -1 })).status, 400);
+    assert.equal((await api('POST', '/api/camera', { auto: 'yes' })).status, 400);
+    assert.equal((await api('POST', '/api/camera', {})).status, 400);
+  });
+});
+
+describe('/api/speak/stream', () => {
+  test('answers a malformed WAV header without waiting for the rest of the body', async () => {
+    // The uploader keeps sending after the bad header and never finishes.
+    let timer;
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('NOT A WAVE HEADER'));
+        timer = setInterval(() => controller.enqueue(new Uint8Array(4096)), 20);
+      },
+      cancel: () => clearInterval(timer),
+    });
+    try {
+      const res = await fetch(`${server.baseUrl}/api/speak/stream?format=wav`, {
+        method: 'POST', body, duplex: 'half', signal: AbortSignal.timeout(WAIT_MS),
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.headers.get('connection'), 'close');
+      assert.match((await res.json()).error, /not a RIFF\/WAVE stream/);
+    } finally {
+      clearInterval(timer);
+    }
+  });
+});
+
+describe('/api/speak and /api/replay', () => {
+  test('replay has nothing to play before any audio arrived', async () => {
+    const res = await api('GET', '/api/replay');
+    assert.equal(res.status, 404);
+  });
+
+  test('rejects a request without audio or with a bad mode', async () => {
+    assert.equal((await api('POST', '/api/speak', new FormData())).status, 400);
+    assert.equal((await api('POST', '/api/speak?mode=loud', speakForm())).status, 400);
+  });
+
+  test('rejects files that are not audio', async () => {
+    const page = Buffer.from('<script>alert(1)</script>');
+    const html = new FormData();
+    html.append('audio', new Blob([page], { type: 'text/html' }), 'page.html');
+    assert.equal((await api('POST', '/api/speak', html)).status, 400);
+    const renamed = new FormData();
+    renamed.append('audio', new Blob([page], { type: 'text/html' }), 'page.wav');
+    assert.equal((await api('POST', '/api/speak', renamed)).status, 400);
+  });
+
+  test('history serves a clip as an audio download', async () => {
+    const viewer = await connectViewer();
+    const res = await api('POST', '/api/speak', speakForm());
+    await viewer.waitFor((m) => m.type === 'audio' && m.id === res.body.id, 'audio');
+    viewer.send({ type: 'playback.ended', id: res.body.id });
+
+    let audio;
+    await eventually(async () => {
+      audio = await fetch(`${server.baseUrl}/api/history/${res.body.id}/audio`);
+      assert.equal(audio.status, 200);
+    });
+    assert.equal(audio.headers.get('content-type'), 'audio/wav');
+    assert.equal(audio.headers.get('x-content-type-options'), 'nosniff');
+    assert.match(audio.headers.get('content-disposition'), /^attachment; filename=".+\.wav"$/);
+    assert.equal(Buffer.from(await audio.arrayBuffer()).length, toneWav().length);
+  });
+
+  test('queues the clip and plays it on every viewer', async () => {
+    const viewer = await connectViewer();
+    const res = await api('POST', '/api/speak', speakForm());
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+
+    const audio = await viewer.waitFor((m) => m.type === 'audio' && m.id === res.body.id, 'audio');
+    assert.equal(audio.mimeType, 'audio/wav');
+    assert.equal(Buffer.from(audio.data, 'base64').length, toneWav().length);
+    assert.ok(audio.lipsync && audio.lipsync.values.length > 0, 'server-side lip sync track');
+
+    viewer.send({ type: 'playback.ended', id: audio.id });
+    await eventually(async () => {
+      assert.equal((await api('GET', '/api/queue')).body.current, null);
+    });
+  });
+
+  test('clips queue up behind the one playing', async () => {
+    const viewer = await connectViewer();
+    const first = await api('POST', '/api/speak', speakForm());
+    const second = await api('POST', '/api/speak', speakForm());
+    assert.equal(second.body.pending, 1);
+    await viewer.waitFor((m) => m.type === 'audio' && m.id === first.body.id, 'first clip');
+
+    viewer.send({ type: 'playback.ended', id: first.body.id });
+    const next = await viewer.waitFor((m) => m.type === 'audio', 'second clip');
+    assert.equal(next.id, second.body.id);
+    viewer.send({ type: 'playback.ended', id: next.id });
+  });
+
+  test('replay queues the last clip again', async () => {
+    const viewer = await connectViewer();
+    await eventually(async () => {
+      assert.equal((await api('GET', '/api/queue')).body.current, null);
+    });
+    const res = await api('GET', '/api/replay');
+    assert.equal(res.status, 200);
+    const audio = await viewer.waitFor((m) => m.type === 'audio' && m.id === res.body.id, 'replayed audio');
+    assert.equal(Buffer.from(audio.data, 'base64').length, toneWav().length);
+    viewer.send({ type: 'playback.ended', id: audio.id });
+  });
+});
+
+describe('/overlay', () => {
+  test('serves the page for overlay mode', async () => {
+    const res = await fetch(`${server.baseUrl}/overlay?scale=2`);
+    assert.equal(res.status, 200);
+    const html = await res.text();
+    assert.match(html, /overlay\.css/);
+    assert.match(html, /src="\/app\.js"/);
+  });
+});
+
+describe('playback events', () => {
+  test('viewer reports are relayed as server-sent events', async () => {
+    const events = await openEvents();
+    try {
+      const viewer = await connectViewer();
+      const res = await api('POST', '/api/speak', speakForm());
+      await viewer.waitFor((m) => m.type === 'audio' && m.id === res.body.id, 'audio');
+      viewer.send({ type: 'playback.started', id: res.body.id });
+      viewer.send({ type: 'playback.ended', id: res.body.id });
+
+      const started = await events.next('playback.started');
+      assert.equal(started.id, res.body.id);
+      assert.equal(started.room, 'default');
+      assert.equal(started.connectionId, viewer.connectionId);
+      assert.equal((await events.next('playback.ended')).id, res.body.id);
+    } finally {
+      events.close();
+    }
+  });
+
+  test('?wait=true answers once a viewer finished the clip', async () => {
+    const viewer = await connectViewer();
+    let answered = false;
+    const speak = api('POST', '/api/speak?wait=true', speakForm()).then((res) => {
+      answered = true;
+      return res;
+    });
+    const audio = await viewer.waitFor((m) => m.type === 'audio', 'audio');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(answered, false);
+
+    viewer.send({ type: 'playback.ended', id: audio.id });
+    const res = await speak;
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, audio.id);
+    assert.equal(res.body.outcome, 'ended');
+  });
+
+  test('?wait=true reports errors, stops and timeouts', async () => {
+    await server.closeViewers(); // a clip only fails once every viewer gave up on it
+    const viewer = await connectViewer();
+    const failing = api('POST', '/api/speak?wait=true', speakForm());
+    const first = await viewer.waitFor((m) => m.type === 'audio', 'audio');
+    viewer.send({ type: 'playback.error', id: first.id, error: 'no decoder' });
+    assert.equal((await failing).body.outcome, 'error');
+
+    const skipped = api('POST', '/api/speak?wait=true', speakForm());
+    await viewer.waitFor((m) => m.type === 'audio', 'audio');
+    await api('POST', '/api/queue/skip');
+    assert.equal((await skipped).body.outcome, 'stopped');
+
+    const slow = await api('POST', '/api/speak?wait=true&timeout=0.2', speakForm());
+    assert.equal(slow.body.outcome, 'timeout');
+    viewer.send({ type: 'playback.ended', id: slow.body.id });
+
+    assert.equal((await api('POST', '/api/speak?wait=true&timeout=0', speakForm())).status, 400);
+  });
+
+  test('clips sent while nobody is watching are dropped, not reported played', async () => {
+    await eventually(async () => {
+      assert.equal((await api('GET', '/api/queue')).body.current, null);
+    });
+    await server.closeViewers();
+    const [first, second] = await Promise.all([
+      api('POST', '/api/speak?wait=true&timeout=5', speakForm()),
+      api('POST', '/api/speak?wait=true&timeout=5', speakForm()),
+    ]);
+    assert.equal(first.body.outcome, 'dropped');
+    assert.equal(second.body.outcome, 'dropped');
+    const queue = await api('GET', '/api/queue');
+    assert.equal(queue.body.current, null);
+    assert.deepEqual(queue.body.pending, []);
+
+    // A viewer joining afterwards doesn't get the old clips either.
+    const late = await connectViewer();
+    assert.equal((await late.waitFor((m) => m.type === 'state', 'state')).clip, null);
+  });
+});
+
+describe('recording', () => {
+  test('a viewer records and uploads when told to stop', async () => {
+    const recorder = await connectViewer();
+    const other = await connectViewer();
+    const start = await api('POST', '/api/record/start', { connectionId: recorder.connectionId });
+    assert.equal(start.status, 200);
+    const { id } = start.body;
+
+    const { uploadToken } = await recorder.waitFor((m) => m.type === 'record.start' && m.id === id, 'record.start');
+    await other.waitFor((m) => m.type === 'recording' && m.id === id, 'recording');
+    assert.equal(other.messages.some((m) => m.type === 'record.start'), false);
+    assert.equal((await api('POST', '/api/record/start')).status, 409);
+
+    const video = Buffer.from('not really a webm, but bytes all the same');
+    recorder.waitFor((m) => m.type === 'record.stop' && m.id === id, 'record.stop').then(async () => {
+      const wrong = await fetch(`${server.baseUrl}/api/recordings/${id}`, {
+        method: 'POST', headers: { 'X-Recording-Token': 'guess' }, body: video,
+      });
+      assert.equal(wrong.status, 403);
+      await fetch(`${server.baseUrl}/api/recordings/${id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'video/webm;codecs=vp9,opus', 'X-Recording-Token': uploadToken },
+        body: video,
+      });
+    });
+    const stop = await api('POST', '/api/record/stop');
+    assert.equal(stop.status, 200);
+    assert.equal(stop.body.recording.id, id);
+    assert.equal(stop.body.recording.mimeType, 'video/webm');
+    assert.equal(stop.body.recording.size, video.length);
+    await other.waitFor((m) => m.type === 'recording' && m.id === null, 'recording ended');
+
+    const list = await api('GET', '/api/recordings');
+    assert.equal(list.body.items[0].id, id);
+    const download = await fetch(`${server.baseUrl}/api/recordings/${id}/video`);
+    assert.equal(download.headers.get('content-type'), 'video/webm');
+    assert.equal(download.headers.get('x-content-type-options'), 'nosniff');
+    assert.deepEqual(Buffer.from(await download.arrayBuffer()), video);
+  });
+
+  test('an upload that is not a video is kept as an opaque download', async () => {
+    const recorder = await connectViewer();
+    const start = await api('POST', '/api/record/start', { connectionId: recorder.connectionId });
+    const { id } = start.body;
+    const { uploadToken } = await recorder.waitFor((m) => m.type === 'record.start' && m.id === id, 'record.start');
+
+    const page = Buffer.from('<script>alert(1)</script>');
+    recorder.waitFor((m) => m.type === 'record.stop' && m.id === id, 'record.stop').then(() => fetch(
+      `${server.baseUrl}/api/recordings/${id}`,
+      { method: 'POST', headers: { 'Content-Type': 'text/html', 'X-Recording-Token': uploadToken }, body: page },
+    ));
+    const stop = await api('POST', '/api/record/stop');
+    assert.equal(stop.body.recording.mimeType, 'application/octet-stream');
+    assert.match(stop.body.recording.videoFile, /\.bin$/);
+
+    const download = await fetch(`${server.baseUrl}/api/recordings/${id}/video`);
+    assert.equal(download.headers.get('content-type'), 'application/octet-stream');
+    assert.equal(download.headers.get('x-content-type-options'), 'nosniff');
+    assert.match(download.headers.get('content-disposition'), /^attachment;/);
+    await download.arrayBuffer();
+  });
+
+  test('a recorder that leaves loses its recording', async () => {
+    const recorder = await connectViewer();
+    const start = await api('POST', '/api/record/start', { connectionId: recorder.connectionId });
+    await recorder.waitFor((m) => m.type === 'record.start', 'record.start');
+    recorder.ws.terminate();
+    await eventually(async () => {
+      assert.equal((await api('POST', '/api/record/stop')).status, 404);
+    });
+    assert.ok(!(await api('GET', '/api/recordings')).body.items.some((r) => r.id === start.body.id));
+  });
+});
+
+describe('state snapshot', () => {
+  test('effects and volume are room state', async () => {
+    const viewer = await connectViewer();
+    try {
+      assert.equal((await api('POST', '/api/effects', { enabled: false })).status, 200);
+      assert.equal((await api('POST', '/api/volume', { volume: 0.4 })).status, 200);
+      await viewer.waitFor((m) => m.type === 'effects' && m.enabled === false, 'effects');
+      await viewer.waitFor((m) => m.type === 'volume' && m.value === 0.4, 'volume');
+
+      const late = await connectViewer();
+      const state = await late.waitFor((m) => m.type === 'state', 'state');
+      assert.equal(state.effects, false);
+      assert.equal(state.volume, 0.4);
+      assert.equal(state.clip, null);
+      assert.deepEqual(state.chat, []);
+
+      assert.equal((await api('POST', '/api/volume', { volume: 2 })).status, 400);
+      assert.equal((await api('POST', '/api/effects', { enabled: 'no' })).status, 400);
+    } finally {
+      await api('POST', '/api/effects', { enabled: true });
+      await api('POST', '/api/volume', { volume: 1 });
+    }
+  });
+
+  test('viewers joining mid-clip start from the current offset', async () => {
+    const viewer = await connectViewer();
+    const res = await api('POST', '/api/speak', speakForm());
+    await viewer.waitFor((m) => m.type === 'audio' && m.id === res.body.id, 'audio');
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const late = await connectViewer();
+    const { clip } = await late.waitFor((m) => m.type === 'state', 'state');
+    assert.equal(clip.id, res.body.id);
+    assert.ok(clip.offset >= 0.2 && clip.offset < 1, `offset ${clip.offset}`);
+    assert.equal(Buffer.from(clip.data, 'base64').length, toneWav().length);
+
+    viewer.send({ type: 'playback.ended', id: res.body.id });
+    await eventually(async () => {
+      assert.equal((await api('GET', '/api/queue')).body.current, null);
+    });
+    const after = await connectViewer();
+    assert.equal((await after.waitFor((m) => m.type === 'state', 'state')).clip, null);
+  });
+});
+
+describe('/api/chat', () => {
+  test('requires text', async () => {
+    const res = await api('POST', '/api/chat', { text: '  ' });
+    assert.equal(res.status, 400);
+  });
+
+  test('streams the reply back to the viewer that asked', async () => {
+    const asker = await connectViewer();
+    const other = await connectViewer();
+    const mirror = await connectViewer('?mirror=1');
+    const sent = nextEvent(gateway, 'request');
+
+    const res = await api('POST', '/api/chat', { text: 'hello', connectionId: asker.connectionId });
+    assert.equal(res.status, 200);
+    const runId = res.body.idempotencyKey;
+
+    const request = await sent;
+    assert.equal(request.method, 'chat.send');
+    assert.equal(request.params.sessionKey, SESSION_KEY);
+    assert.equal(request.params.message, 'hello');
+    assert.equal(request.params.idempotencyKey, runId);
+
+    const final = await asker.waitFor((m) => m.type === 'chat.final' && m.runId === runId, 'chat.final');
+    assert.equal(final.text, 'You said: hello');
+    assert.equal(final.state, 'done');
+    const deltas = asker.messages.filter((m) => m.type === 'chat.delta' && m.runId === runId);
+    assert.equal(deltas.map((m) => m.text).join(''), 'You said: hello');
+
+    await mirror.waitFor((m) => m.type === 'chat.user' && m.runId === runId, 'mirrored chat.user');
+    await mirror.waitFor((m) => m.type === 'chat.final' && m.runId === runId, 'mirrored chat.final');
+    assert.equal(other.messages.filter((m) => m.runId === runId).length, 0);
+  });
+
+  test('rejects an unknown connection id', async () => {
+    const res = await api('POST', '/api/chat', { text: 'hi', connectionId: 'gone' });
+    assert.equal(res.status, 400);
+  });
+
+  test('turns expression tags into expression changes', async () => {
+    gateway.script = () => [
+      { state: 'delta', text: '[smi' },
+      { state: 'delta', text: 'le] Nice to' },
+      { state: 'delta', text: ' meet you.' },
+      { state: 'final', text: '[smile] Nice to meet you.' },
+    ];
+    try {
+      const viewer = await connectViewer();
+      const res = await api('POST', '/api/chat', { text: 'hi', connectionId: viewer.connectionId });
+      const runId = res.body.idempotencyKey;
+      await viewer.waitFor((m) => m.type === 'expression' && m.value === 'smile', 'tag expression');
+      const final = await viewer.waitFor((m) => m.type === 'chat.final' && m.runId === runId, 'chat.final');
+      assert.equal(final.text, 'Nice to meet you.');
+      const deltas = viewer.messages.filter((m) => m.type === 'chat.delta' && m.runId === runId);
+      assert.equal(deltas.map((m) => m.text).join(''), 'Nice to meet you.');
+    } finally {
+      gateway.script = echoScript;
+      await api('POST', '/api/expression', { expression: 'normal' });
+    }
+  });
+
+  test('relays gateway errors', async () => {
+    gateway.script = () => [{ state: 'error', error: 'model overloaded' }];
+    try {
+      const viewer = await connectViewer();
+      const res = await api('POST', '/api/chat', { text: 'hi', connectionId: viewer.connectionId });
+      const error = await viewer.waitFor((m) => m.type === 'chat.error', 'chat.error');
+      assert.equal(error.runId, res.body.idempotencyKey);
+      assert.equal(error.error, 'model overloaded');
+    } finally {
+      gateway.script = echoScript;
+    }
+  });
+
+  test('aborts a streaming reply', async () => {
+    gateway.script = () => Array.from({ length: 20 }, () => ({ state: 'delta', text: 'la ' }))
+      .concat({ state: 'final', text: 'la '.repeat(20) });
+    gateway.delay = 100;
+    try {
+      const viewer = await connectViewer();
+      const res = await api('POST', '/api/chat', { text: 'sing', connectionId: viewer.connectionId });
+      const runId = res.body.idempotencyKey;
+      await viewer.waitFor((m) => m.type === 'chat.delta' && m.runId === runId, 'first delta');
+
+      const abort = await api('POST', `/api/chat/${runId}/abort`);
+      assert.equal(abort.status, 200);
+      assert.equal(abort.body.aborted, true);
+      const final = await viewer.waitFor((m) => m.type === 'chat.final' && m.runId === runId, 'aborted final');
+      assert.equal(final.state, 'aborted');
+
+      assert.equal((await api('POST', `/api/chat/${runId}/abort`)).status, 404);
+    } finally {
+      gateway.script = echoScript;
+      gateway.delay = 10;
+    }
+  });
+
+  test('a reply in progress is part of the snapshot and survives a reconnect', async () => {
+    gateway.script = () => Array.from({ length: 10 }, () => ({ state: 'delta', text: 'la ' }))
+      .concat({ state: 'final', text: 'la '.repeat(10) });
+    gateway.delay = 50;
+    try {
+      const asker = await connectViewer();
+      const res = await api('POST', '/api/chat', { text: 'sing', connectionId: asker.connectionId });
+      const runId = res.body.idempotencyKey;
+      await asker.waitFor((m) => m.type === 'chat.delta' && m.runId === runId, 'first delta');
+
+      const mirror = await connectViewer('?mirror=1');
+      const other = await connectViewer();
+      const mirrored = (await mirror.waitFor((m) => m.type === 'state', 'state')).chat;
+      assert.equal(mirrored.length, 1);
+      assert.equal(mirrored[0].runId, runId);
+      assert.match(mirrored[0].text, /^(la )+$/);
+      assert.deepEqual((await other.waitFor((m) => m.type === 'state', 'state')).chat, []);
+
+      asker.ws.terminate();
+      const resumed = await connectViewer(`?resume=${asker.connectionId}`);
+      assert.equal(resumed.connectionId, asker.connectionId);
+      const state = await resumed.waitFor((m) => m.type === 'state', 'state');
+      assert.deepEqual(state.chat.map((run) => run.runId), [runId]);
+      const final = await resumed.waitFor((m) => m.type === 'chat.final' && m.runId === runId, 'chat.final');
+      assert.equal(final.text, 'la '.repeat(10));
+
+      // An id still in use can't be taken over.
+      const thief = await connectViewer(`?resume=${resumed.connectionId}`);
+      assert.notEqual(thief.connectionId, resumed.connectionId);
+    } finally {
+      gateway.script = echoScript;
+      gateway.delay = 10;
+    }
+  });
+
+  test('replies from other channels reach every viewer of the session', async () => {
+    const viewer = await connectViewer();
+    gateway.emitChat({
+      runId: 'external-run',
+      sessionKey: SESSION_KEY,
+      state: 'final',
+      message: { role: 'assistant', content: [{ type: 'text', text: 'Posted elsewhere' }] },
+    });
+    const final = await viewer.waitFor((m) => m.type === 'chat.final' && m.runId === 'external-run', 'external final');
+    assert.equal(final.text, 'Posted elsewhere');
+  });
+
+  test('passes on the reply\'s images, keeping only http(s) and raster data: URLs', async () => {
+    const png = 'iVBORw0KGgo=';
+    gateway.script = () => [{
+      state: 'final',
+      text: 'Here you go',
+      images: [
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: png } },
+        { type: 'image_url', image_url: { url: 'https://example.com/cat.jpg' } },
+        { type: 'image', source: { type: 'base64', media_type: 'image/svg+xml', data: 'PHN2Zz4=' } },
+        { type: 'image_url', image_url: { url: 'javascript:alert(1)' } },
+      ],
+    }];
+    try {
+      const viewer = await connectViewer();
+      const res = await api('POST', '/api/chat', { text: 'draw a cat', connectionId: viewer.connectionId });
+      const final = await viewer.waitFor((m) => m.type === 'chat.final' && m.runId === res.body.idempotencyKey, 'chat.final');
+      assert.equal(final.text, 'Here you go');
+      assert.deepEqual(final.images, [`data:image/png;base64,${png}`, 'https://example.com/cat.jpg']);
+    } finally {
+      gateway.script = echoScript;
+    }
+  });
+
+  test('serves the session history', async () => {
+    const res = await api('GET', '/api/chat/history?limit=100');
+    assert.equal(res.status, 200);
+    const texts = res.body.messages.map((m) => `${m.role}:${m.text}`);
+    assert.ok(texts.includes('user:hello'));
+    assert.ok(texts.includes('assistant:You said: hello'));
+    assert.ok(texts.includes('assistant:Nice to meet you.'), 'tags stripped from history');
+    const withImages = res.body.messages.find((m) => m.text === 'Here you go');
+    assert.deepEqual(withImages.images, ['data:image/png;base64,iVBORw0KGgo=', 'https://example.com/cat.jpg']);
+  });
+});
+
+describe('/api/listen', () => {
+  test('sends the transcript of a clip through the chat', async () => {
+    const viewer = await connectViewer();
+    assert.equal(viewer.messages.find((m) => m.type === 'connection').listen, true);
+    const form = speakForm();
+    form.append('connectionId', viewer.connectionId);
+    const res = await api('POST', '/api/listen', form);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.text, `heard .wav ${toneWav().length} auto`);
+
+    const runId = res.body.idempotencyKey;
+    const user = await viewer.waitFor((m) => m.type === 'chat.user' && m.runId === runId, 'chat.user');
+    assert.equal(user.text, res.body.text);
+    const final = await viewer.waitFor((m) => m.type === 'chat.final' && m.runId === runId, 'chat.final');
+    assert.equal(final.text, `You said: ${res.body.text}`);
+  });
+
+  test('passes the language on and rejects clips without speech', async () => {
+    const form = speakForm();
+    form.append('language', 'ja');
+    assert.match((await api('POST', '/api/listen', form)).body.text, / ja$/);
+
+    const silent = speakForm();
+    silent.append('language', 'zz');
+    const res = await api('POST', '/api/listen', silent);
+    assert.equal(res.status, 422);
+
+    const bad = speakForm();
+    bad.append('language', 'not a language');
+    assert.equal((await api('POST', '/api/listen', bad)).status, 400);
+    assert.equal((await api('POST', '/api/listen', new FormData())).status, 400);
+  });
+});
+
+describe('gateway reconnect', () => {
+  test('replies cut off by a disconnect end with chat.error', async () => {
+    gateway.script = () => [{ state: 'delta', text: 'Let me think' }]; // never finishes
+    try {
+      const viewer = await connectViewer();
+      const res = await api('POST', '/api/chat', { text: 'hmm?', connectionId: viewer.connectionId });
+      const runId = res.body.idempotencyKey;
+      await viewer.waitFor((m) => m.type === 'chat.delta' && m.runId === runId, 'chat.delta');
+
+      const reconnected = nextEvent(gateway, 'connected');
+      gateway.dropConnections();
+      const error = await viewer.waitFor((m) => m.type === 'chat.error' && m.runId === runId, 'chat.error');
+      assert.match(error.error, /gateway closed/);
+
+      const late = await connectViewer();
+      assert.deepEqual((await late.waitFor((m) => m.type === 'state', 'state')).chat, []);
+      await reconnected;
+    } finally {
+      gateway.script = echoScript;
+    }
+  });
+
+  test('chat is unavailable while the gateway is down and works again after reconnecting', async () => {
+    const reconnected = nextEvent(gateway, 'connected');
+    gateway.dropConnections();
+
+    await eventually(async () => {
+      assert.equal((await api('POST', '/api/chat', { text: 'anyone there?' })).status, 503);
+    });
+
+    const params = await reconnected;
+    assert.equal(params.client.id, 'gateway-client');
+
+    const viewer = await connectViewer();
+    const res = await api('POST', '/api/chat', { text: 'back again', connectionId: viewer.connectionId });
+    assert.equal(res.status, 200);
+    const final = await viewer.waitFor((m) => m.type === 'chat.final' && m.runId === res.body.idempotencyKey, 'chat.final');
+    assert.equal(final.text, 'You said: back again');
+  });
+});
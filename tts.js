@@ -0,0 +1,160 @@
+// ---------------------------------------------------------------------------
+// Text-to-speech providers
+//
+// A provider turns one sentence into a WAV clip:
+//   synthesize(text, voice) -> Promise<{ buffer, mimeType, visemes }>
+//
+// Providers:
+//   command   Runs a local executable (piper, open_jtalk, espeak-ng, …).
+//             The command line is split into arguments (quotes allowed, no
+//             shell) and these placeholders are substituted:
+//               {text}   the sentence; without it the text goes to stdin (the
+//                        default). As an argument of its own it must follow
+//                        "--", or a reply starting with "-" would be read
+//                        as an option.
+//               {out}    a temporary .wav path; without it WAV is read from stdout
+//               {voice}  the room's voice
+//   voicevox  HTTP engine with the VOICEVOX API (VOICEVOX, COEIROINK, SHAREVOX, …):
+//             POST /audio_query then POST /synthesis. The audio query doubles
+//             as an exact viseme timeline (see lipsync.js).
+//
+// splitSentences() cuts a reply into pieces that are synthesized and queued
+// one by one, so the first sentence plays while the rest is still rendering.
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { normalizeVisemeTimeline } = require('./lipsync');
+const { parseCommandLine, runCommand } = require('./command');
+
+const SENTENCE_MAX = 200; // characters; longer sentences are cut at commas or spaces
+
+function isWav(buffer) {
+  return buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+/**
+ * Cut text into speakable sentences. Fenced code blocks and URLs are left out.
+ * @param {string} text
+ * @param {number} [maxLength]
+ * @returns {string[]}
+ */
+function splitSentences(text, maxLength = SENTENCE_MAX) {
+  const cleaned = String(text || '')
+    .replace(/```[\s\S]*?(```|$)/g, '\n')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[ \t]+/g, ' ');
+
+  const sentences = [];
+  for (const line of cleaned.split(/\n+/)) {
+    // Keep the terminator with its sentence: 。！？!?… and ". " style stops.
+    const parts = line.match(/[^。！？!?…]+(?:[。！？!?…]+|$)|[。！？!?…]+/g) || [];
+    for (const part of parts.flatMap((p) => p.split(/(?<=\.)\s+/))) {
+      let rest = part.trim();
+      while (rest.length > maxLength) {
+        const window = rest.slice(0, maxLength);
+        const cut = Math.max(window.lastIndexOf('、'), window.lastIndexOf(','), window.lastIndexOf(' '));
+        const at = cut > maxLength / 2 ? cut + 1 : maxLength;
+        sentences.push(rest.slice(0, at).trim());
+        rest = rest.slice(at).trim();
+      }
+      // Skip fragments with nothing to pronounce (stray punctuation, emoji-only …).
+      if (/[\p{L}\p{N}]/u.test(rest)) sentences.push(rest);
+    }
+  }
+  return sentences;
+}
+
+/**
+ * @param {{ command: string, timeoutMs: number }} options
+ */
+function createCommandProvider({ command, timeoutMs }) {
+  const template = parseCommandLine(command);
+  if (template.length === 0) throw new Error('TTS_COMMAND is empty');
+  const endOfOptions = template.indexOf('--');
+  if (template.some((arg, i) => arg.startsWith('{text}') && (endOfOptions < 0 || i < endOfOptions))) {
+    throw new Error('TTS_COMMAND must put {text} after "--" (or leave it out to pass the text on stdin)');
+  }
+
+  return {
+    name: 'command',
+    async synthesize(text, voice) {
+      const useStdin = !template.some((arg) => arg.includes('{text}'));
+      const outFile = template.some((arg) => arg.includes('{out}'))
+        ? path.join(os.tmpdir(), `png-assistant-tts-${randomUUID()}.wav`)
+        : null;
+      const [cmd, ...args] = template.map((arg) => arg
+        .replaceAll('{text}', text)
+        .replaceAll('{out}', outFile || '')
+        .replaceAll('{voice}', voice == null ? '' : String(voice)));
+
+      try {
+        const stdout = await runCommand(cmd, args, { input: useStdin ? text : '', timeoutMs });
+        const buffer = outFile ? await fs.promises.readFile(outFile) : stdout;
+        if (!isWav(buffer)) throw new Error(`${cmd} did not produce WAV`);
+        return { buffer, mimeType: 'audio/wav', visemes: null };
+      } finally {
+        if (outFile) fs.rm(outFile, { force: true }, () => {});
+      }
+    },
+  };
+}
+
+/**
+ * @param {{ url: string, timeoutMs: number }} options
+ */
+function createVoicevoxProvider({ url, timeoutMs }) {
+  const base = url.replace(/\/+$/, '');
+
+  async function post(endpoint, params, body) {
+    const res = await fetch(`${base}${endpoint}?${new URLSearchParams(params)}`, {
+      method: 'POST',
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) {
+      throw new Error(`${endpoint} returned HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    }
+    return res;
+  }
+
+  return {
+    name: 'voicevox',
+    async synthesize(text, voice) {
+      const speaker = String(voice == null ? 1 : voice);
+      const query = await (await post('/audio_query', { text, speaker })).json();
+      const buffer = Buffer.from(await (await post('/synthesis', { speaker }, query)).arrayBuffer());
+      let visemes = null;
+      try {
+        visemes = normalizeVisemeTimeline(query);
+      } catch {
+        // Engines without mora timing still speak; lip sync falls back to the envelope.
+      }
+      return { buffer, mimeType: 'audio/wav', visemes };
+    },
+  };
+}
+
+/**
+ * Build the configured provider.
+ * @param {{ provider: string, command?: string, url?: string, timeoutMs: number }} config
+ * @returns {null|{ name: string, synthesize: (text: string, voice?: string|number) => Promise<{ buffer: Buffer, mimeType: string, visemes: Array|null }> }}
+ *   null when TTS is disabled (provider '').
+ * @throws {Error} On an unknown provider or missing settings.
+ */
+function createTtsProvider(config) {
+  switch (config.provider) {
+    case '':
+      return null;
+    case 'command':
+      return createCommandProvider({ command: config.command || '', timeoutMs: config.timeoutMs });
+    case 'voicevox':
+      return createVoicevoxProvider({ url: config.url, timeoutMs: config.timeoutMs });
+    default:
+      throw new Error(`unknown TTS provider "${config.provider}" (use command or voicevox)`);
+  }
+}
+
+module.exports = { createTtsProvider, splitSentences };
@@ -0,0 +1,122 @@
+// ---------------------------------------------------------------------------
+// WAV helpers
+//
+// Minimal RIFF/WAVE parsing and encoding shared by the streaming ingest
+// (POST /api/speak/stream) and the server-side lip-sync analysis.
+// ---------------------------------------------------------------------------
+
+// Raw PCM formats accepted by the streaming ingest: bytes per sample.
+const PCM_FORMATS = { s16le: 2, f32le: 4 };
+
+/**
+ * Parse a RIFF/WAVE header up to the start of the `data` chunk.
+ * @param {Buffer} buf  The first bytes of the file (may be incomplete).
+ * @returns {null|{error:string}|{encoding:'int'|'float', bits:number, sampleRate:number, channels:number, dataOffset:number, dataSize:number}}
+ *   null while more bytes are needed.
+ */
+function parseWavHeader(buf) {
+  if (buf.length < 12) return null;
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    return { error: 'not a RIFF/WAVE stream' };
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const chunkId   = buf.toString('ascii', offset, offset + 4);
+    const chunkSize = buf.readUInt32LE(offset + 4);
+
+    if (chunkId === 'data') {
+      if (!fmt) return { error: 'data chunk before fmt chunk' };
+      return { ...fmt, dataOffset: offset + 8, dataSize: chunkSize };
+    }
+    if (offset + 8 + chunkSize > buf.length) return null;
+
+    if (chunkId === 'fmt ') {
+      let audioFormat  = buf.readUInt16LE(offset + 8);
+      const channels   = buf.readUInt16LE(offset + 10);
+      const sampleRate = buf.readUInt32LE(offset + 12);
+      const bits       = buf.readUInt16LE(offset + 22);
+      // WAVE_FORMAT_EXTENSIBLE: the real format code leads the SubFormat GUID.
+      if (audioFormat === 0xfffe && chunkSize >= 40) audioFormat = buf.readUInt16LE(offset + 32);
+
+      let encoding = null;
+      if (audioFormat === 1 && [8, 16, 24, 32].includes(bits)) encoding = 'int';
+      else if (audioFormat === 3 && (bits === 32 || bits === 64)) encoding = 'float';
+      if (!encoding) return { error: `unsupported WAV encoding (format ${audioFormat}, ${bits}-bit)` };
+      if (!channels || !sampleRate) return { error: 'invalid fmt chunk' };
+      fmt = { encoding, bits, sampleRate, channels };
+    }
+    offset += 8 + chunkSize + (chunkSize % 2); // chunks are word-aligned
+  }
+  return null;
+}
+
+/** Map a parsed header onto one of PCM_FORMATS, or null if it isn't one. */
+function pcmFormatOf(header) {
+  if (header.encoding === 'int' && header.bits === 16) return 's16le';
+  if (header.encoding === 'float' && header.bits === 32) return 'f32le';
+  return null;
+}
+
+/** Wrap interleaved PCM in a minimal WAV header. */
+function encodeWav(pcm, { format, sampleRate, channels }) {
+  const bytesPerSample = PCM_FORMATS[format];
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(format === 'f32le' ? 3 : 1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+  header.writeUInt16LE(channels * bytesPerSample, 32);
+  header.writeUInt16LE(bytesPerSample * 8, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Decode a complete WAV file into mono float samples (channels averaged).
+ * @param {Buffer} buf
+ * @returns {{ sampleRate: number, samples: Float32Array }}
+ * @throws {Error} If the buffer is not a supported WAV file.
+ */
+function decodeWav(buf) {
+  const header = parseWavHeader(buf);
+  if (!header) throw new Error('truncated WAV header');
+  if (header.error) throw new Error(header.error);
+
+  const { encoding, bits, channels, sampleRate, dataOffset } = header;
+  const bytesPerSample = bits / 8;
+  const frameBytes = bytesPerSample * channels;
+  // Streamed WAVs often carry a placeholder size (0 or 0xFFFFFFFF).
+  const available = buf.length - dataOffset;
+  const dataSize = header.dataSize > 0 && header.dataSize <= available ? header.dataSize : available;
+  const frames = Math.floor(dataSize / frameBytes);
+
+  const readSample = {
+    int8:    (pos) => (buf.readUInt8(pos) - 128) / 128,
+    int16:   (pos) => buf.readInt16LE(pos) / 32768,
+    int24:   (pos) => buf.readIntLE(pos, 3) / 8388608,
+    int32:   (pos) => buf.readInt32LE(pos) / 2147483648,
+    float32: (pos) => buf.readFloatLE(pos),
+    float64: (pos) => buf.readDoubleLE(pos),
+  }[`${encoding}${bits}`];
+
+  const samples = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    const base = dataOffset + i * frameBytes;
+    for (let ch = 0; ch < channels; ch++) {
+      sum += readSample(base + ch * bytesPerSample);
+    }
+    samples[i] = sum / channels;
+  }
+  return { sampleRate, samples };
+}
+
+module.exports = { PCM_FORMATS, parseWavHeader, pcmFormatOf, encodeWav, decodeWav };